@@ -0,0 +1,204 @@
+/* ============================================================================
+   GRAB-AND-GO - Alert Rules
+   ============================================================================
+
+   PURPOSE:
+   Rules add role mentions or a tag to a post depending on the grabbed
+   system: ping logistics when a hub is close, ping PvP for a C5/C6, tag
+   nullsec... They are edited on the options page and checked against the
+   record just before a report is queued.
+
+   RULE SYNTAX (one rule per line):
+   <condition> => <text added in front of the post>
+
+   hub <= 5                  Any hub within 5 jumps
+   hub Amarr <= 10           Amarr within 10 jumps (the name as shown, i.e.
+                             its alias if it has one - see hubs.js)
+   class C5 C6               Wormhole class: C1...C6, C13...C18, Thera
+   security null low         Security band: high, low, null, pochven, wormhole
+
+   e.g.  class C5 C6 => <@&123456789012345678> PvP target
+
+   MENTIONS:
+   Roles are mentioned the Discord way, <@&role id>. With rules set up,
+   posts carry allowed_mentions so that only the roles of the rules that
+   fired can ping - an @everyone in a template no longer does. Slack and
+   JSON webhooks get the text without the mentions (see targets.js).
+
+   STORAGE:
+   Setting 'alertRules' (settings.js): the rule lines as typed, so they sync
+   and export with the other settings.
+
+   TO ADD A CONDITION:
+   Add an entry to ALERT_RULE_CONDITIONS and to the syntax above.
+
+   ============================================================================ */
+
+// Setting holding the rule lines
+const ALERT_RULES_KEY = 'alertRules';
+
+// Security bands a "security" rule can name (see record.js)
+const ALERT_SECURITY_BANDS = ['high', 'low', 'null', 'pochven', 'wormhole'];
+
+// Wormhole classes a "class" rule can name (upper-cased): C1-C6, shattered
+// C13, drifter C14-C18 and Thera - the classes record.js reports
+const ALERT_WORMHOLE_CLASS_PATTERN = /^(C(?:[1-6]|1[3-8])|THERA)$/;
+
+// Discord role mentions: <@&123456789012345678>
+const ROLE_MENTION_PATTERN = /<@&(\d+)>/g;
+
+// ============================================================================
+// CONDITIONS
+// ============================================================================
+
+/**
+ * Each condition has a pattern for its side of "=>", an optional check
+ * that explains bad values, and a test against the record
+ */
+const ALERT_RULE_CONDITIONS = {
+  hub: {
+    pattern: /^hub(?:\s+(.+?))?\s*<=\s*(\d+)$/i,
+    test: (match, record) => record.destinations.some(d => d.jumps !== null && d.jumps !== undefined &&
+      d.jumps <= Number(match[2]) && (!match[1] || d.name.toLowerCase() === match[1].toLowerCase()))
+  },
+
+  class: {
+    pattern: /^class\s+(.+)$/i,
+    check: match => {
+      const bad = splitRuleValues(match[1]).filter(value => !ALERT_WORMHOLE_CLASS_PATTERN.test(value));
+      return bad.length > 0 ? `Unknown wormhole class ${bad.join(', ')} - use C1...C6, C13...C18 or Thera` : null;
+    },
+    test: (match, record) => Boolean(record.wormholeClass) &&
+      splitRuleValues(match[1]).includes(record.wormholeClass.toUpperCase())
+  },
+
+  security: {
+    pattern: /^security\s+(.+)$/i,
+    check: match => {
+      const bad = splitRuleValues(match[1]).filter(value => !ALERT_SECURITY_BANDS.includes(value.toLowerCase()));
+      return bad.length > 0 ? `Unknown security band ${bad.join(', ')} - use ${ALERT_SECURITY_BANDS.join(', ')}` : null;
+    },
+    test: (match, record) => splitRuleValues(match[1]).map(value => value.toLowerCase()).includes(record.securityBand)
+  }
+};
+
+/**
+ * @param {string} text - e.g. "C5 C6" or "null, low"
+ * @returns {string[]} - Upper-cased values, e.g. ["C5", "C6"]
+ */
+function splitRuleValues(text) {
+  return text.split(/[\s,]+/).filter(Boolean).map(value => value.toUpperCase());
+}
+
+// ============================================================================
+// PARSING
+// ============================================================================
+
+/**
+ * Parses one rule line
+ *
+ * @param {string} line - e.g. "class C5 C6 => <@&123> PvP target"
+ * @returns {Object} - {rule: {line, when, text, roles, test(record)}|null, problem: string|null}
+ */
+function parseAlertRule(line) {
+  const arrow = line.indexOf('=>');
+  if (arrow === -1) {
+    return { rule: null, problem: `Rules are written "condition => text" (got "${line}")` };
+  }
+
+  const when = line.slice(0, arrow).trim();
+  const text = line.slice(arrow + 2).trim();
+  if (!text) {
+    return { rule: null, problem: `Rule "${when}" has no text to add` };
+  }
+
+  for (const condition of Object.values(ALERT_RULE_CONDITIONS)) {
+    const match = when.match(condition.pattern);
+    if (!match) {
+      continue;
+    }
+    const problem = condition.check ? condition.check(match) : null;
+    if (problem) {
+      return { rule: null, problem: problem };
+    }
+    return {
+      rule: {
+        line: line,
+        when: when,
+        text: text,
+        roles: Array.from(text.matchAll(ROLE_MENTION_PATTERN), mention => mention[1]),
+        test: record => condition.test(match, record)
+      },
+      problem: null
+    };
+  }
+  return { rule: null, problem: `Unknown condition "${when}" - use "hub <= 5", "class C5 C6" or "security null"` };
+}
+
+/**
+ * Parses the options page text
+ *
+ * @param {string} text - One rule per line
+ * @returns {Object} - {lines: string[] (blank lines dropped), problems: string[]}
+ */
+function parseAlertRules(text) {
+  const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+  const problems = lines.map(line => parseAlertRule(line).problem).filter(Boolean);
+  return { lines: lines, problems: problems };
+}
+
+// ============================================================================
+// EVALUATION
+// ============================================================================
+
+/**
+ * Finds the rules that fire for a record
+ *
+ * @param {Object} record - System record (after hub settings)
+ * @param {string[]} lines - Rule lines from the 'alertRules' setting
+ * @returns {Array} - Rules that fired, in order: [{when, text, roles}]
+ */
+function evaluateAlertRules(record, lines) {
+  const fired = [];
+  for (const line of lines) {
+    const { rule, problem } = parseAlertRule(line);
+    if (!rule) {
+      // Only reachable through a hand-edited settings file - the options page refuses these
+      console.warn(`Skipping alert rule "${line}": ${problem}`);
+      continue;
+    }
+    if (rule.test(record)) {
+      fired.push({ when: rule.when, text: rule.text, roles: rule.roles });
+    }
+  }
+  return fired;
+}
+
+/**
+ * Adds the text of the rules that fire to a payload and limits its pings
+ *
+ * The text goes in front of the content; in embed mode it becomes the
+ * content, since mentions inside embeds never ping.
+ *
+ * @param {Object} payload - Payload from buildDiscordPayload()
+ * @param {Object} record - System record the payload was built from
+ * @param {string[]} lines - Rule lines; with none the payload is returned unchanged
+ * @returns {Object} - New payload with allowed_mentions: {parse: [], roles: [...]}
+ */
+function applyAlertRules(payload, record, lines) {
+  if (lines.length === 0) {
+    return payload;
+  }
+
+  const fired = evaluateAlertRules(record, lines);
+  const result = Object.assign({}, payload);
+  const prefix = fired.map(rule => rule.text).join(' ');
+  if (prefix) {
+    result.content = payload.content ? `${prefix} ${payload.content}` : prefix;
+  }
+  result.allowed_mentions = {
+    parse: [],
+    roles: Array.from(new Set(fired.flatMap(rule => rule.roles)))
+  };
+  return result;
+}
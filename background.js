@@ -0,0 +1,671 @@
+/* ============================================================================
+   GRAB-AND-GO - Background Service Worker
+   ============================================================================
+
+   PURPOSE:
+   Owns the Discord outbox (see outbox.js). Messages queued by the popup
+   are persisted in chrome.storage.local and delivered from here, so they
+   are still sent after the popup closes. It is also the only writer of
+   each profile's last post (used to edit/delete it later) and of the
+   send/copy history (see history.js).
+
+   With auto-capture on, it also receives results from the content script
+   (capture.js), caches them for the popup and shows the jumps to the
+   nearest hub on the toolbar badge.
+
+   Keyboard shortcuts and the map page's context menu run "Grab and copy"
+   and "Grab and send" from here, without the popup (see shortcuts.js).
+
+   WAKE-UPS:
+   - Messages from the popup (queue / retry / discard, history add / clear)
+   - Captures from the content script
+   - Keyboard shortcuts and context menu clicks
+   - The 'outbox' alarm, scheduled for the next retry
+   - Browser startup
+
+   ============================================================================ */
+
+importScripts('settings.js', 'record.js', 'templates.js', 'webhooks.js', 'discord.js', 'targets.js', 'alerts.js',
+  'outbox.js', 'history.js', 'selectors.js', 'systems.js', 'hubs.js', 'scraper.js', 'shortcuts.js');
+
+// Name of the alarm that wakes the worker for the next retry
+const OUTBOX_ALARM = 'outbox';
+
+// Retries due sooner than this use a timer; the alarm is only a backstop
+// in case Chrome stops the worker first
+const OUTBOX_TIMER_LIMIT_MS = 25000;
+
+// State management
+let outboxLock = Promise.resolve();  // Serializes outbox, last-post and history writes
+let isProcessing = false;            // Prevents overlapping delivery runs
+let processAgain = false;            // Set when new work arrives mid-run
+let retryTimer = null;
+
+// ============================================================================
+// OUTBOX STORAGE
+// ============================================================================
+
+/**
+ * Runs a change against a stored value, one change at a time
+ *
+ * @param {string} key - chrome.storage.local key
+ * @param {*} emptyValue - Value to start from when nothing is stored
+ * @param {Function} mutator - Receives the stored value and may modify it in place
+ * @returns {Promise} - Resolves with the mutator's return value
+ */
+function updateStored(key, emptyValue, mutator) {
+  const run = outboxLock.then(() => chrome.storage.local.get(key).then(stored => {
+    const value = stored[key] || emptyValue;
+    const result = mutator(value);
+    return chrome.storage.local.set({ [key]: value }).then(() => result);
+  }));
+  outboxLock = run.catch(error => console.error(`Error updating ${key}:`, error));
+  return run;
+}
+
+/**
+ * @param {Function} mutator - Receives the outbox entries array
+ * @returns {Promise} - Resolves with the mutator's return value
+ */
+function updateOutbox(mutator) {
+  return updateStored(OUTBOX_KEY, [], mutator);
+}
+
+/**
+ * @param {Function} mutator - Receives the { profileId: lastPost } map
+ * @returns {Promise} - Resolves with the mutator's return value
+ */
+function updateLastPosts(mutator) {
+  return updateStored(LAST_POSTS_KEY, {}, mutator);
+}
+
+/**
+ * @param {Function} mutator - Receives the history entries array (newest first)
+ * @returns {Promise} - Resolves with the mutator's return value
+ */
+function updateHistory(mutator) {
+  return updateStored(HISTORY_KEY, [], mutator);
+}
+
+/**
+ * Adds entries to the top of the history and prunes old ones
+ *
+ * @param {Array} newEntries - Entries without id/createdAt
+ * @returns {Promise<Array>} - Ids of the new entries
+ */
+function addHistoryEntries(newEntries) {
+  const now = Date.now();
+  const stamped = newEntries.map((entry, index) => Object.assign({
+    id: `hist-${now}-${index}`,
+    createdAt: now,
+    error: null
+  }, entry));
+
+  return updateHistory(entries => {
+    const kept = pruneHistory(stamped.concat(entries), now);
+    entries.splice(0, entries.length, ...kept);
+    return stamped.map(e => e.id);
+  });
+}
+
+/**
+ * Records the delivery result of an outbox entry in its history entry
+ *
+ * @param {Object} entry - Outbox entry
+ * @param {string} result - 'pending', 'sent' or 'failed'
+ * @param {string|null} error - Error message, if any
+ * @returns {Promise} - Resolves when stored
+ */
+function setHistoryResult(entry, result, error) {
+  if (!entry.historyId) {
+    return Promise.resolve();
+  }
+  return updateHistory(entries => {
+    const historyEntry = entries.find(e => e.id === entry.historyId);
+    if (historyEntry) {
+      historyEntry.result = result;
+      historyEntry.error = error;
+    }
+  });
+}
+
+// ============================================================================
+// DELIVERY
+// ============================================================================
+
+/**
+ * Looks up the profile's last post for an edit or delete
+ *
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise<Object>} - {messageId, label, sentAt}; rejects permanently if there is none
+ */
+function getLastPostFor(entry) {
+  return loadLastPosts().then(posts => {
+    const lastPost = posts[entry.profile.id];
+    if (!lastPost) {
+      const error = new Error(`No previous post to ${entry.action}`);
+      error.permanent = true;
+      throw error;
+    }
+    return lastPost;
+  });
+}
+
+/**
+ * Performs the webhook request for an outbox entry and updates the
+ * profile's last post to match
+ *
+ * Only targets that return message ids (Discord) can edit or delete.
+ *
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise} - Resolves when the target has accepted the request
+ */
+function performEntry(entry) {
+  if (entry.action !== 'post') {
+    let target;
+    try {
+      target = getOutputTarget(entry.profile);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+    if (!target.editable) {
+      const error = new Error(`${target.name} posts can't be updated or deleted`);
+      error.permanent = true;
+      return Promise.reject(error);
+    }
+  }
+
+  if (entry.action === 'edit') {
+    return getLastPostFor(entry)
+      .then(lastPost => editDiscordMessage(entry.payload, entry.profile, lastPost.messageId, entry.id))
+      .then(() => updateLastPosts(posts => {
+        if (posts[entry.profile.id]) {
+          posts[entry.profile.id].label = entry.label;
+          posts[entry.profile.id].editedAt = Date.now();
+        }
+      }));
+  }
+
+  if (entry.action === 'delete') {
+    return getLastPostFor(entry)
+      .then(lastPost => deleteDiscordMessage(entry.profile, lastPost.messageId, entry.id)
+        .catch(error => {
+          // Already deleted in Discord - nothing left to do
+          if (error.status !== 404) {
+            throw error;
+          }
+        }))
+      .then(() => updateLastPosts(posts => {
+        delete posts[entry.profile.id];
+      }));
+  }
+
+  return postToTarget(entry.payload, entry.profile, entry.record || null, entry.id)
+    .then(messageId => updateLastPosts(posts => {
+      if (messageId && getOutputTarget(entry.profile).editable) {
+        posts[entry.profile.id] = { messageId: messageId, label: entry.label, sentAt: Date.now() };
+      }
+    }));
+}
+
+/**
+ * Sends one outbox entry and records the outcome
+ *
+ * @param {Object} entry - Outbox entry
+ * @returns {Promise} - Resolves when the outcome is stored
+ */
+function deliverEntry(entry) {
+  return performEntry(entry)
+    .then(() => updateOutbox(entries => {
+      const index = entries.findIndex(e => e.id === entry.id);
+      if (index >= 0) {
+        entries.splice(index, 1);
+      }
+      console.log(`Outbox: ${entry.action} ${entry.id} delivered to ${entry.profile.name}`);
+    }))
+    .then(() => setHistoryResult(entry, 'sent', null))
+    .catch(error => updateOutbox(entries => {
+      const stored = entries.find(e => e.id === entry.id);
+      if (!stored) {
+        return;  // Discarded while it was being sent
+      }
+
+      const decision = getRetryDecision(error, stored.attempts + 1);
+      if (decision.countsAsAttempt) {
+        stored.attempts += 1;
+      }
+      stored.lastError = error.message;
+
+      if (decision.retry) {
+        stored.nextAttemptAt = Date.now() + decision.delayMs;
+        console.log(`Outbox: ${entry.id} will retry in ${decision.delayMs}ms (${error.message})`);
+      } else {
+        stored.status = 'failed';
+        console.error(`Outbox: ${entry.id} failed permanently (${error.message})`);
+      }
+      return stored.status;
+    }).then(status => {
+      if (status === 'failed') {
+        return setHistoryResult(entry, 'failed', error.message);
+      }
+    }));
+}
+
+/**
+ * Edits and deletes act on the profile's last post, so they must wait
+ * for any earlier post to the same profile that hasn't gone out yet
+ *
+ * @param {Object} entry - Outbox entry
+ * @param {Array} earlier - Entries queued before it
+ * @returns {boolean} - true if the entry has to wait
+ */
+function isWaitingForPost(entry, earlier) {
+  return entry.action !== 'post' && earlier.some(e =>
+    e.action === 'post' && e.status === 'pending' && e.profile.id === entry.profile.id);
+}
+
+/**
+ * Delivers every pending entry that is due, one at a time
+ *
+ * @returns {Promise} - Resolves when the run is finished
+ */
+async function processOutbox() {
+  if (isProcessing) {
+    processAgain = true;
+    return;
+  }
+  isProcessing = true;
+
+  try {
+    do {
+      processAgain = false;
+      const entries = await loadOutbox();
+      const due = entries.filter((e, index) => e.status === 'pending' &&
+        e.nextAttemptAt <= Date.now() && !isWaitingForPost(e, entries.slice(0, index)));
+
+      for (const entry of due) {
+        await deliverEntry(entry);
+      }
+    } while (processAgain);
+  } catch (error) {
+    console.error('Error processing outbox:', error);
+  } finally {
+    isProcessing = false;
+  }
+
+  await scheduleNextRun();
+}
+
+/**
+ * Schedules the next delivery run for the earliest pending retry
+ *
+ * @returns {Promise} - Resolves when scheduled
+ */
+async function scheduleNextRun() {
+  clearTimeout(retryTimer);
+  const pending = (await loadOutbox()).filter(e => e.status === 'pending');
+
+  if (pending.length === 0) {
+    await chrome.alarms.clear(OUTBOX_ALARM);
+    return;
+  }
+
+  const nextAt = Math.min(...pending.map(e => e.nextAttemptAt));
+  const delay = Math.max(0, nextAt - Date.now());
+  if (delay <= OUTBOX_TIMER_LIMIT_MS) {
+    retryTimer = setTimeout(processOutbox, delay);
+  }
+  await chrome.alarms.create(OUTBOX_ALARM, { when: Math.max(nextAt, Date.now() + 1000) });
+}
+
+// ============================================================================
+// AUTO-CAPTURE
+// ============================================================================
+
+// Badge colors for a captured system and for a failed capture
+const BADGE_OK_COLOR = '#2e7d32';
+const BADGE_ERROR_COLOR = '#c62828';
+
+/**
+ * Shows a capture result on the tab's toolbar badge
+ *
+ * The nearest hub respects the hub settings, so hidden hubs don't count
+ * and aliases are shown (see hubs.js)
+ *
+ * @param {number} tabId - Tab the result came from
+ * @param {Object} data - Result of getSystemData()
+ * @param {Object} hubSettings - From loadHubSettings()
+ * @returns {Promise} - Resolves when the badge is updated
+ */
+function updateBadge(tabId, data, hubSettings) {
+  let text = '';
+  let title = 'Grab-and-Go';
+  let color = BADGE_OK_COLOR;
+
+  if (data.success) {
+    const nearest = getNearestDestination(applyHubSettings(data.record, hubSettings));
+    if (nearest) {
+      text = String(nearest.jumps);
+      title = `${data.record.system}: ${nearest.name} ${nearest.jumps} jumps`;
+    }
+  } else if (data.error !== 'No system selected.') {
+    // Nothing selected is normal - anything else means the scrape failed
+    text = '!';
+    title = `Grab-and-Go: ${data.error}`;
+    color = BADGE_ERROR_COLOR;
+  }
+
+  return Promise.all([
+    chrome.action.setBadgeText({ tabId: tabId, text: text }),
+    chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: color }),
+    chrome.action.setTitle({ tabId: tabId, title: title })
+  ]);
+}
+
+/**
+ * Caches a capture result for the popup and updates the badge
+ *
+ * @param {number} tabId - Tab the result came from
+ * @param {Object} data - Result of getSystemData()
+ * @returns {Promise} - Resolves when done
+ */
+function storeCapture(tabId, data) {
+  return Promise.all([
+    chrome.storage.session.set({ [getCaptureKey(tabId)]: { data: data, capturedAt: Date.now() } }),
+    loadHubSettings().then(hubSettings => updateBadge(tabId, data, hubSettings))
+  ]);
+}
+
+/**
+ * Forgets a tab's capture and resets its badge
+ *
+ * @param {number} tabId - Tab to clear
+ * @returns {Promise} - Resolves when done
+ */
+function clearCapture(tabId) {
+  return Promise.all([
+    chrome.storage.session.remove(getCaptureKey(tabId)),
+    chrome.action.setBadgeText({ tabId: tabId, text: '' }),
+    chrome.action.setTitle({ tabId: tabId, title: 'Grab-and-Go' })
+  ]);
+}
+
+chrome.tabs.onRemoved.addListener(tabId => {
+  chrome.storage.session.remove(getCaptureKey(tabId));
+});
+
+// ============================================================================
+// SHORTCUTS AND CONTEXT MENU
+// ============================================================================
+
+// How long the badge shows a shortcut's outcome when the page can't show a toast
+const BADGE_FLASH_MS = 2000;
+
+/**
+ * Runs a function in the tab's page and returns its result
+ *
+ * @param {number} tabId - Tab to run in
+ * @param {Function} func - Self-contained function to inject
+ * @param {Array} args - Arguments for the function
+ * @returns {Promise<*>} - The function's result
+ */
+function runInTab(tabId, func, args) {
+  return chrome.scripting.executeScript({ target: { tabId: tabId }, func: func, args: args })
+    .then(results => results[0].result);
+}
+
+/**
+ * Briefly shows text on the tab's badge, then restores the auto-capture badge
+ *
+ * @param {number} tabId - Tab to flash
+ * @param {string} text - Badge text
+ * @param {string} color - Badge color
+ * @returns {Promise} - Resolves once the flash is shown
+ */
+function flashBadge(tabId, text, color) {
+  setTimeout(() => {
+    Promise.all([loadCapturedData(tabId), loadHubSettings()]).then(([capture, hubSettings]) => capture
+      ? updateBadge(tabId, capture.data, hubSettings)
+      : chrome.action.setBadgeText({ tabId: tabId, text: '' }));
+  }, BADGE_FLASH_MS);
+
+  return Promise.all([
+    chrome.action.setBadgeText({ tabId: tabId, text: text }),
+    chrome.action.setBadgeBackgroundColor({ tabId: tabId, color: color })
+  ]);
+}
+
+/**
+ * Tells the user how a shortcut went: a toast on the page, or a badge
+ * flash when the page can't be reached (e.g. the shortcut was used elsewhere)
+ *
+ * @param {number} tabId - Tab the shortcut ran in
+ * @param {string} message - Text for the toast
+ * @param {boolean} isError - Whether the shortcut failed
+ * @returns {Promise} - Resolves once shown
+ */
+function notifyTab(tabId, message, isError) {
+  return runInTab(tabId, showPageToast, [message, isError]).catch(() =>
+    flashBadge(tabId, isError ? '!' : 'OK', isError ? BADGE_ERROR_COLOR : BADGE_OK_COLOR));
+}
+
+/**
+ * Grabs the system in the tab and copies it or sends it to the webhook
+ * profile(s) selected in the popup
+ *
+ * @param {string} action - GRAB_COPY_ACTION or GRAB_SEND_ACTION
+ * @param {Object} tab - Tab the shortcut was used in
+ * @returns {Promise} - Resolves when done (errors are shown, not thrown)
+ */
+async function runShortcut(action, tab) {
+  console.log(`Shortcut: ${action} in tab ${tab.id}`);
+  try {
+    const settings = await loadShortcutSettings();
+    const data = await runInTab(tab.id, getSystemData, [{
+      routeMode: settings.routeMode,
+      routeDetail: settings.routeDetail,
+      selectorProfile: await loadSelectorProfile(),
+      knownSystems: await loadKnownSystems()
+    }]);
+    if (!data || !data.success) {
+      throw new Error(data && data.error ? data.error : 'No system selected.');
+    }
+
+    const record = applyHubSettings(enrichRecord(data.record, await loadSystemInfo().catch(() => null)),
+      await loadHubSettings());
+    const text = renderTemplate(settings.template, getTemplateFields(record));
+
+    if (action === GRAB_COPY_ACTION) {
+      const copyError = await runInTab(tab.id, copyTextInPage, [text]);
+      if (copyError) {
+        throw new Error(`Copy failed: ${copyError}`);
+      }
+      await addHistoryEntries([{
+        action: 'copy',
+        record: record,
+        text: text,
+        target: { type: 'clipboard' },
+        result: 'copied'
+      }]);
+      await notifyTab(tab.id, `Copied ${record.system}`, false);
+      return;
+    }
+
+    const profiles = getTargetProfiles(await loadWebhookProfiles());
+    if (profiles.length === 0) {
+      throw new Error('No webhook profile selected. Set one up in the popup.');
+    }
+    await queueMessages({
+      action: 'post',
+      label: record.system,
+      payload: applyAlertRules(buildDiscordPayload(record, text, { useEmbed: settings.useEmbed }), record,
+        settings.alertRules),
+      profiles: profiles,
+      record: record,
+      text: text
+    });
+    processOutbox();
+    await notifyTab(tab.id, `Sending ${record.system} to ${profiles.map(p => p.name).join(', ')}`, false);
+  } catch (error) {
+    console.error(`Shortcut ${action} failed:`, error);
+    await notifyTab(tab.id, error.message, true);
+  }
+}
+
+chrome.runtime.onInstalled.addListener(() => {
+  chrome.contextMenus.removeAll(() => {
+    const documentUrlPatterns = ['https://wormholes.new-eden.io/maps*'];
+    chrome.contextMenus.create({
+      id: GRAB_COPY_ACTION,
+      title: 'Grab and copy',
+      contexts: ['all'],
+      documentUrlPatterns: documentUrlPatterns
+    });
+    chrome.contextMenus.create({
+      id: GRAB_SEND_ACTION,
+      title: 'Grab and send to Discord',
+      contexts: ['all'],
+      documentUrlPatterns: documentUrlPatterns
+    });
+  });
+});
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  runShortcut(info.menuItemId, tab);
+});
+
+chrome.commands.onCommand.addListener((command, tab) => {
+  if (command === GRAB_COPY_ACTION || command === GRAB_SEND_ACTION) {
+    runShortcut(command, tab);
+  }
+});
+
+// ============================================================================
+// MESSAGE HANDLERS
+// ============================================================================
+
+/**
+ * Adds one entry per profile to the outbox, plus a history entry per
+ * profile when the message carries a record
+ *
+ * @param {Object} message - {action, label, payload, profiles, record?, text?}
+ *                           from queueDiscordMessages()
+ * @returns {Promise<Array>} - Ids of the new outbox entries
+ */
+async function queueMessages(message) {
+  const now = Date.now();
+  let historyIds = [];
+  if (message.record) {
+    historyIds = await addHistoryEntries(message.profiles.map(profile => ({
+      action: message.action,
+      record: message.record,
+      text: message.text || '',
+      payload: message.payload,
+      target: { type: 'webhook', profileId: profile.id, profileName: profile.name },
+      result: 'pending'
+    })));
+  }
+
+  const newEntries = message.profiles.map((profile, index) => ({
+    id: `msg-${now}-${index}`,
+    action: message.action || 'post',
+    label: message.label || '',
+    profile: profile,
+    payload: message.payload,
+    record: message.record || null,
+    status: 'pending',
+    attempts: 0,
+    nextAttemptAt: now,
+    lastError: null,
+    createdAt: now,
+    historyId: historyIds[index] || null
+  }));
+
+  return updateOutbox(entries => {
+    entries.push(...newEntries);
+    return newEntries.map(e => e.id);
+  });
+}
+
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.type === 'outbox:queue') {
+    queueMessages(message).then(ids => {
+      sendResponse({ ids: ids });
+      processOutbox();
+    }).catch(error => sendResponse({ error: error.message }));
+    return true;  // Keep the channel open for the async response
+  }
+
+  if (message.type === 'outbox:retry') {
+    updateOutbox(entries => {
+      const entry = entries.find(e => e.id === message.id);
+      if (entry) {
+        entry.status = 'pending';
+        entry.attempts = 0;
+        entry.nextAttemptAt = Date.now();
+        entry.lastError = null;
+      }
+      return entry;
+    }).then(entry => entry && setHistoryResult(entry, 'pending', null)).then(() => {
+      sendResponse({ ok: true });
+      processOutbox();
+    }).catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'outbox:discard') {
+    updateOutbox(entries => {
+      const index = entries.findIndex(e => e.id === message.id);
+      return index >= 0 ? entries.splice(index, 1)[0] : null;
+    }).then(entry => entry && setHistoryResult(entry, 'failed', 'Discarded'))
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'history:add') {
+    addHistoryEntries([message.entry])
+      .then(ids => sendResponse({ ids: ids }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'history:clear') {
+    updateHistory(entries => {
+      entries.length = 0;
+    }).then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'capture:update' && sender.tab) {
+    storeCapture(sender.tab.id, message.data)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  if (message.type === 'capture:clear' && sender.tab) {
+    clearCapture(sender.tab.id)
+      .then(() => sendResponse({ ok: true }))
+      .catch(error => sendResponse({ error: error.message }));
+    return true;
+  }
+
+  return false;
+});
+
+// ============================================================================
+// WAKE-UPS
+// ============================================================================
+
+chrome.alarms.onAlarm.addListener(alarm => {
+  if (alarm.name === OUTBOX_ALARM) {
+    processOutbox();
+  }
+});
+
+chrome.runtime.onStartup.addListener(processOutbox);
+
+// Pick up anything left over whenever the worker starts
+processOutbox();
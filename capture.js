@@ -0,0 +1,172 @@
+/* ============================================================================
+   GRAB-AND-GO - Background Capture (content script)
+   ============================================================================
+
+   PURPOSE:
+   Optional auto-capture. While "Auto-capture" is on, this content script
+   watches the map page and re-runs getSystemData() (scraper.js) whenever
+   the page changes, so the popup opens with the data already there and
+   the toolbar badge shows the jumps to the nearest hub.
+
+   FLOW:
+   1. A MutationObserver notices page changes (e.g. a new system selected).
+      Changes made while a grab is running are ignored: the popup or a
+      shortcut opening a route section isn't the user moving on
+      (getSystemData() counts running grabs in window.grabAndGoScrapes -
+      content scripts and injected functions share one window)
+   2. Changes are debounced, so rapid map clicks cause one extraction
+   3. getSystemData() runs in 'active' route mode without the route
+      detail or opening a collapsed route section - it never clicks route
+      tabs, panels or hub rows behind the user's back
+   4. If the result differs from the last one, it goes to background.js
+      ('capture:update'), which caches it and updates the badge
+
+   The selector profile and known systems are loaded once per page, not on
+   every extraction. Importing or resetting a selector profile drops the
+   loaded one (chrome.storage.local, SELECTOR_PROFILE_KEY in selectors.js).
+
+   The setting lives in chrome.storage.sync under AUTO_CAPTURE_KEY
+   (record.js, settings.js) and takes effect immediately in open map tabs.
+
+   ============================================================================ */
+
+// Quiet time after the last DOM change before extracting
+const CAPTURE_DEBOUNCE_MS = 500;
+
+// State management
+let captureObserver = null;
+let debounceTimer = null;
+let isCapturing = false;     // Prevents overlapping extractions
+let captureAgain = false;    // Set when the page changes mid-extraction
+let lastSignature = null;    // What was last sent, to skip unchanged results
+
+// Promises for what every extraction needs, filled in on first use
+const captureData = {
+  selectorProfile: null,     // loadSelectorProfile() (selectors.js)
+  knownSystems: null         // loadKnownSystems() (systems.js)
+};
+
+/**
+ * Loads one of the captureData entries, or returns the one already loaded
+ *
+ * A failed load is forgotten, so the next extraction tries again.
+ *
+ * @param {string} key - 'selectorProfile' or 'knownSystems'
+ * @param {Function} loader - Returns a promise of the data
+ * @returns {Promise<Object>} - The data
+ */
+function loadCaptureData(key, loader) {
+  if (!captureData[key]) {
+    captureData[key] = loader().catch(error => {
+      captureData[key] = null;
+      throw error;
+    });
+  }
+  return captureData[key];
+}
+
+/**
+ * Summarizes a result so unchanged extractions aren't sent again
+ *
+ * @param {Object} data - Result of getSystemData()
+ * @returns {string} - Comparable signature
+ */
+function getCaptureSignature(data) {
+  const record = data.record;
+  return JSON.stringify([
+    data.success,
+    data.error || null,
+    record ? record.system : null,
+    record ? record.destinations : null
+  ]);
+}
+
+/**
+ * Extracts the current system and reports it if anything changed
+ */
+async function captureSystemData() {
+  if (isCapturing) {
+    captureAgain = true;
+    return;
+  }
+  isCapturing = true;
+
+  try {
+    do {
+      captureAgain = false;
+      const data = await getSystemData({
+        routeMode: 'active',
+        expandRoutePanel: false,
+        selectorProfile: await loadCaptureData('selectorProfile', loadSelectorProfile),
+        knownSystems: await loadCaptureData('knownSystems', loadKnownSystems)
+      });
+      const signature = getCaptureSignature(data);
+      if (signature !== lastSignature) {
+        lastSignature = signature;
+        await chrome.runtime.sendMessage({ type: 'capture:update', data: data });
+      }
+    } while (captureAgain);
+  } catch (error) {
+    console.error('Grab-and-Go auto-capture failed:', error);
+  } finally {
+    isCapturing = false;
+  }
+}
+
+/**
+ * Restarts the debounce timer after a DOM change, unless a grab made it
+ */
+function scheduleCapture() {
+  if (window.grabAndGoScrapes > 0) {
+    return;
+  }
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(captureSystemData, CAPTURE_DEBOUNCE_MS);
+}
+
+/**
+ * Starts watching the page and captures right away
+ */
+function startAutoCapture() {
+  if (captureObserver) {
+    return;
+  }
+  captureObserver = new MutationObserver(scheduleCapture);
+  captureObserver.observe(document.body, { childList: true, subtree: true, characterData: true });
+  console.log('Grab-and-Go auto-capture started');
+  captureSystemData();
+}
+
+/**
+ * Stops watching the page and clears this tab's badge
+ */
+function stopAutoCapture() {
+  if (!captureObserver) {
+    return;
+  }
+  captureObserver.disconnect();
+  captureObserver = null;
+  clearTimeout(debounceTimer);
+  lastSignature = null;
+  chrome.runtime.sendMessage({ type: 'capture:clear' });
+  console.log('Grab-and-Go auto-capture stopped');
+}
+
+chrome.storage.sync.get(AUTO_CAPTURE_KEY).then(stored => {
+  if (stored[AUTO_CAPTURE_KEY]) {
+    startAutoCapture();
+  }
+});
+
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === 'local' && changes[SELECTOR_PROFILE_KEY]) {
+    captureData.selectorProfile = null;
+  }
+  if (areaName === 'sync' && changes[AUTO_CAPTURE_KEY]) {
+    if (changes[AUTO_CAPTURE_KEY].newValue) {
+      startAutoCapture();
+    } else {
+      stopAutoCapture();
+    }
+  }
+});
@@ -0,0 +1,248 @@
+/* ============================================================================
+   GRAB-AND-GO - Chain Reports
+   ============================================================================
+
+   PURPOSE:
+   A wormhole chain is reported as a whole, not one system at a time. The
+   user adds the current system to a named chain, selects the next system
+   on the map, adds it, and so on. Entries can be reordered, removed and
+   annotated ("EOL", "crit mass"), and the chain exports as one message,
+   a text table or a list of Discord embeds.
+
+   CHAIN SHAPE:
+   {
+     id: "chain-1700000000000",
+     name: "Home chain",
+     entries: [
+       { record: {...}, note: "EOL" },   // System record (see record.js)
+       ...                               // in chain order
+     ],
+     updatedAt: 1700000000000
+   }
+
+   A system is in a chain at most once: adding it again replaces its
+   record (fresh jump counts) but keeps its position and note.
+
+   STORAGE:
+   chrome.storage.local, so chains survive closing the popup until the
+   user clears or deletes them:
+   - chains:         Array of chains
+   - selectedChain:  Id of the chain the popup adds to
+
+   ============================================================================ */
+
+// chrome.storage.local keys
+const CHAINS_KEY = 'chains';
+const SELECTED_CHAIN_KEY = 'selectedChain';
+
+// Discord accepts at most 10 embeds per message
+const MAX_EMBEDS_PER_MESSAGE = 10;
+
+// Export formats offered in the popup
+const CHAIN_FORMATS = [
+  { id: 'message', name: 'Message' },
+  { id: 'table', name: 'Table' },
+  { id: 'embeds', name: 'Embed list' }
+];
+
+// ============================================================================
+// EDITING
+// Each helper returns a new chain and leaves the one passed in untouched
+// ============================================================================
+
+/**
+ * @param {string} name - Chain name
+ * @returns {Object} - An empty chain
+ */
+function createChain(name) {
+  return {
+    id: `chain-${Date.now()}`,
+    name: name,
+    entries: [],
+    updatedAt: Date.now()
+  };
+}
+
+/**
+ * Copies a chain with new entries
+ *
+ * @param {Object} chain - Chain
+ * @param {Array} entries - The chain's new entries
+ * @returns {Object} - Updated chain
+ */
+function withEntries(chain, entries) {
+  return Object.assign({}, chain, { entries: entries, updatedAt: Date.now() });
+}
+
+/**
+ * Adds a system to the end of the chain, or refreshes it if it's already there
+ *
+ * @param {Object} chain - Chain
+ * @param {Object} record - System record
+ * @returns {Object} - Updated chain
+ */
+function addToChain(chain, record) {
+  const index = chain.entries.findIndex(e => e.record.system === record.system);
+  if (index >= 0) {
+    const entries = chain.entries.slice();
+    entries[index] = Object.assign({}, entries[index], { record: record });
+    return withEntries(chain, entries);
+  }
+  return withEntries(chain, chain.entries.concat({ record: record, note: '' }));
+}
+
+/**
+ * Moves an entry up or down
+ *
+ * @param {Object} chain - Chain
+ * @param {number} index - Entry to move
+ * @param {number} offset - -1 for up, 1 for down
+ * @returns {Object} - Updated chain (unchanged if the move would leave the list)
+ */
+function moveChainEntry(chain, index, offset) {
+  const target = index + offset;
+  if (target < 0 || target >= chain.entries.length) {
+    return chain;
+  }
+  const entries = chain.entries.slice();
+  [entries[index], entries[target]] = [entries[target], entries[index]];
+  return withEntries(chain, entries);
+}
+
+/**
+ * @param {Object} chain - Chain
+ * @param {number} index - Entry to remove
+ * @returns {Object} - Updated chain
+ */
+function removeChainEntry(chain, index) {
+  return withEntries(chain, chain.entries.filter((e, i) => i !== index));
+}
+
+/**
+ * @param {Object} chain - Chain
+ * @param {number} index - Entry to annotate
+ * @param {string} note - e.g. "EOL", "crit mass"; empty removes the note
+ * @returns {Object} - Updated chain
+ */
+function setChainNote(chain, index, note) {
+  const entries = chain.entries.slice();
+  entries[index] = Object.assign({}, entries[index], { note: note.trim() });
+  return withEntries(chain, entries);
+}
+
+// ============================================================================
+// EXPORT
+// ============================================================================
+
+/**
+ * One line per system, each rendered with the selected output template
+ *
+ * @param {Object} chain - Chain
+ * @param {string} template - Output template (see templates.js)
+ * @returns {string} - e.g. "Home chain\n1. J123456, -1.0, C4, Jita 22 [EOL]"
+ */
+function formatChainMessage(chain, template) {
+  const lines = chain.entries.map((entry, index) => {
+    const text = renderTemplate(template, getTemplateFields(entry.record));
+    return `${index + 1}. ${text}${entry.note ? ` [${entry.note}]` : ''}`;
+  });
+  return [chain.name].concat(lines).join('\n');
+}
+
+/**
+ * A fixed-width table with the nearest hub per system, in a code block so
+ * Discord keeps the columns lined up
+ *
+ * @param {Object} chain - Chain
+ * @returns {string} - Table text
+ */
+function formatChainTable(chain) {
+  const rows = [['#', 'System', 'Sec', 'Class', 'Nearest', 'Note']];
+  chain.entries.forEach((entry, index) => {
+    const nearest = getNearestDestination(entry.record);
+    rows.push([
+      String(index + 1),
+      entry.record.system,
+      formatSecurity(entry.record),
+      formatSystemClass(entry.record),
+      nearest ? `${nearest.name} ${nearest.jumps}` : '',
+      entry.note
+    ]);
+  });
+
+  const widths = rows[0].map((heading, column) => Math.max(...rows.map(row => row[column].length)));
+  const lines = rows.map(row => row.map((cell, column) => cell.padEnd(widths[column])).join('  ').trimEnd());
+  return [chain.name, '```', ...lines, '```'].join('\n');
+}
+
+/**
+ * The text Copy puts on the clipboard (and plain Discord messages send)
+ *
+ * @param {Object} chain - Chain
+ * @param {string} format - 'message', 'table' or 'embeds' (copied as a message)
+ * @param {string} template - Output template for the message format
+ * @returns {string} - Chain text
+ */
+function formatChainText(chain, format, template) {
+  return format === 'table' ? formatChainTable(chain) : formatChainMessage(chain, template);
+}
+
+/**
+ * Builds the webhook payloads for a chain
+ *
+ * The embed list has one embed per system (see buildDiscordEmbed()) with
+ * the note on top, split into several messages when the chain is longer
+ * than Discord allows in one.
+ *
+ * @param {Object} chain - Chain
+ * @param {string} format - 'message', 'table' or 'embeds'
+ * @param {string} template - Output template for the message format
+ * @returns {Array} - JSON bodies, posted in order
+ */
+function buildChainPayloads(chain, format, template) {
+  if (format !== 'embeds') {
+    return [{ content: formatChainText(chain, format, template) }];
+  }
+
+  const embeds = chain.entries.map((entry, index) => {
+    const embed = buildDiscordEmbed(entry.record);
+    embed.title = `${index + 1}. ${embed.title}`;
+    if (entry.note) {
+      embed.description = `**${entry.note}**\n${embed.description}`;
+    }
+    return embed;
+  });
+
+  const payloads = [];
+  for (let start = 0; start < embeds.length; start += MAX_EMBEDS_PER_MESSAGE) {
+    payloads.push({ embeds: embeds.slice(start, start + MAX_EMBEDS_PER_MESSAGE) });
+  }
+  if (payloads.length > 0) {
+    payloads[0].content = chain.name;
+  }
+  return payloads;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} - {chains, selectedId}
+ */
+function loadChains() {
+  return chrome.storage.local.get([CHAINS_KEY, SELECTED_CHAIN_KEY]).then(stored => {
+    const chains = stored[CHAINS_KEY] || [];
+    const selected = chains.find(c => c.id === stored[SELECTED_CHAIN_KEY]) || chains[0];
+    return { chains: chains, selectedId: selected ? selected.id : null };
+  });
+}
+
+/**
+ * @param {Array} chains - All chains
+ * @param {string|null} selectedId - Id of the chain the popup adds to
+ * @returns {Promise} - Resolves when saved
+ */
+function saveChains(chains, selectedId) {
+  return chrome.storage.local.set({ [CHAINS_KEY]: chains, [SELECTED_CHAIN_KEY]: selectedId });
+}
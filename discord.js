@@ -0,0 +1,293 @@
+/* ============================================================================
+   GRAB-AND-GO - Discord Integration
+   ============================================================================
+
+   PURPOSE:
+   Builds Discord webhook payloads from a system record and posts them
+   to a webhook profile (see webhooks.js).
+
+   PAYLOAD MODES:
+   - Plain:  { content: "<template output>" }
+   - Embed:  { embeds: [{ title, color, fields, footer, timestamp }] }
+             The embed color follows the security band / wormhole class.
+
+   EDITING:
+   Posts use ?wait=true so the message id is known. The last post per
+   webhook profile can then be updated (PATCH) or deleted (DELETE).
+
+   Posting goes through the Discord output target (targets.js), which
+   uses the helpers here; edits, deletes and the webhook check (the
+   popup's "Test" button - a GET, nothing is posted) are Discord-only.
+
+   TESTING:
+   Point a webhook profile at tools/mock-webhook-server.js to see the exact
+   payloads without posting to a real channel.
+
+   ============================================================================ */
+
+// ============================================================================
+// EMBED COLORS
+// Discord expects colors as decimal integers
+// ============================================================================
+
+// K-space security bands
+const SECURITY_BAND_COLORS = {
+  high: 0x2ecc71,      // Green
+  low: 0xf39c12,       // Orange
+  null: 0xe74c3c,      // Red
+  pochven: 0x8b0000,   // Dark red
+  wormhole: 0x9b59b6,  // Purple - used when the class is unknown
+  unknown: 0x95a5a6    // Gray
+};
+
+// Wormhole classes get their own shades so C1 and C6 look different
+const WORMHOLE_CLASS_COLORS = {
+  C1: 0x5dade2,
+  C2: 0x48c9b0,
+  C3: 0x3498db,
+  C4: 0x8e44ad,
+  C5: 0xc0392b,
+  C6: 0x641e16,
+  C13: 0x7f8c8d,       // Shattered
+  C14: 0x1abc9c,       // Drifter systems (Sentinel ... Redoubt)
+  C15: 0x1abc9c,
+  C16: 0x1abc9c,
+  C17: 0x1abc9c,
+  C18: 0x1abc9c,
+  Thera: 0xf1c40f
+};
+
+/**
+ * Picks the embed color for a record
+ *
+ * @param {Object} record - System record
+ * @returns {number} - Color as a decimal integer
+ */
+function getEmbedColor(record) {
+  if (record.wormholeClass && WORMHOLE_CLASS_COLORS[record.wormholeClass] !== undefined) {
+    return WORMHOLE_CLASS_COLORS[record.wormholeClass];
+  }
+  return SECURITY_BAND_COLORS[record.securityBand] ?? SECURITY_BAND_COLORS.unknown;
+}
+
+// ============================================================================
+// PAYLOAD BUILDING
+// ============================================================================
+
+/**
+ * Describes which routes the record's jump counts come from
+ *
+ * @param {Object} record - System record
+ * @returns {string} - e.g. "SHORTEST + SECURE" or "SHORTEST"
+ */
+function describeRoutes(record) {
+  const hasShortest = record.destinations.some(d => (d.shortest ?? null) !== null);
+  const hasSecure = record.destinations.some(d => (d.secure ?? null) !== null);
+  return hasShortest && hasSecure ? 'SHORTEST + SECURE' : record.route;
+}
+
+/**
+ * Builds the embed description: security, then location and wormhole
+ * details when known
+ *
+ * @param {Object} record - System record
+ * @returns {string} - e.g. "Security -1.0 · wormhole\nA-R00001 · A-C00311\nPulsar"
+ */
+function describeSystem(record) {
+  const lines = [`Security ${formatSecurity(record)} · ${record.securityBand}`];
+  const location = [record.region, record.constellation].filter(Boolean);
+  if (location.length > 0) {
+    lines.push(location.join(' · '));
+  }
+  if (record.effect) {
+    lines.push(record.effect);
+  }
+  return lines.join('\n');
+}
+
+/**
+ * The "Nearest" lead field, when the hub settings turn it on (hubs.js)
+ *
+ * @param {Object} record - System record
+ * @returns {Array} - [{name: "Nearest", value: "Amarr 5 jumps"}], or [] if there is none
+ */
+function describeNearest(record) {
+  if (!record.nearest) {
+    return [];
+  }
+  return [{ name: 'Nearest', value: `${formatNearest(record)} jumps`, inline: false }];
+}
+
+/**
+ * Builds a Discord embed for a record
+ *
+ * @param {Object} record - System record
+ * @returns {Object} - Discord embed object
+ */
+function buildDiscordEmbed(record) {
+  const title = formatSystemClass(record)
+    ? `${record.system} (${formatSystemClass(record)})`
+    : record.system;
+
+  return {
+    title: title,
+    url: record.sourceUrl,
+    description: describeSystem(record),
+    color: getEmbedColor(record),
+    fields: describeNearest(record).concat(record.destinations.map(d => ({
+      name: d.name,
+      value: `${formatJumps(d)} jumps${formatRouteWarning(d) ? `\n⚠ ${formatRouteWarning(d)}` : ''}`,
+      inline: true
+    }))),
+    footer: {
+      text: `${describeRoutes(record)} route · Grab-and-Go`
+    },
+    timestamp: record.extractedAt
+  };
+}
+
+/**
+ * Builds the webhook payload
+ *
+ * @param {Object} record - System record
+ * @param {string} text - Template output, used for plain messages
+ * @param {Object} options - {useEmbed: boolean}
+ * @returns {Object} - JSON body for the webhook POST
+ */
+function buildDiscordPayload(record, text, options = {}) {
+  if (options.useEmbed) {
+    return { embeds: [buildDiscordEmbed(record)] };
+  }
+  return { content: text };
+}
+
+// ============================================================================
+// SENDING
+// ============================================================================
+
+/**
+ * Turns a failed response into an Error with the service's explanation
+ *
+ * Used for every output target (see targets.js): Discord and Mattermost
+ * answer with JSON ({message, code}), Slack with a plain word ("no_text").
+ *
+ * @param {Response} response - Non-2xx response
+ * @param {string} label - Who answered, e.g. "Discord API"
+ * @returns {Promise<Error>} - e.g. "Discord API returned status 401: Invalid
+ *                             Webhook Token (code 50027)", carrying `status` and
+ *                             `retryAfter` (seconds) so the outbox can decide
+ *                             whether to retry
+ */
+function readWebhookError(response, label) {
+  return response.text().catch(() => '').then(text => {
+    let detail = text.trim().slice(0, 200);
+    try {
+      const body = JSON.parse(text);
+      const message = body && (body.message || body.error);
+      if (typeof message === 'string') {
+        detail = body.code ? `${message} (code ${body.code})` : message;
+      }
+    } catch (error) {
+      // Not JSON (e.g. a proxy's error page) - keep the start of the text
+    }
+
+    const error = new Error(`${label} returned status ${response.status}${detail ? `: ${detail}` : ''}`);
+    error.status = response.status;
+    error.retryAfter = parseFloat(response.headers.get('retry-after')) || null;
+    return error;
+  });
+}
+
+/**
+ * Makes a webhook request and handles Discord's response conventions
+ *
+ * IMPORTANT: Discord answers 204 (No Content) for deletes and for posts
+ * without ?wait=true, which means there's no body to parse. Only parse
+ * JSON when there is actually content.
+ *
+ * @param {string} method - HTTP method
+ * @param {string} url - Full webhook URL
+ * @param {Object|null} body - JSON body, or null for none
+ * @param {string|number} requestId - Unique request identifier for logging
+ * @returns {Promise<Object|null>} - Parsed response, or null for 204
+ */
+function discordRequest(method, url, body, requestId) {
+  const init = { method: method };
+  if (body !== null) {
+    init.headers = { 'Content-Type': 'application/json' };
+    init.body = JSON.stringify(body);
+  }
+
+  return fetch(url, init)
+    .then(response => {
+      if (!response.ok) {
+        return readWebhookError(response, 'Discord API').then(error => {
+          throw error;
+        });
+      }
+      console.log(`${method} succeeded for requestId:`, requestId);
+
+      if (response.status === 204 || response.headers.get('content-length') === '0') {
+        return null;  // Success, but no content to return
+      }
+      return response.json();
+    })
+    .catch(error => {
+      console.error(`Error in Discord ${method} (requestId:`, requestId, '):', error);
+      throw error;  // Re-throw to be handled by the outbox
+    });
+}
+
+/**
+ * Replaces the content of a message previously posted through the webhook
+ *
+ * Both `content` and `embeds` are always sent, so switching between plain
+ * and embed mode clears whatever the old message had.
+ *
+ * @param {Object} payload - JSON body from buildDiscordPayload()
+ * @param {Object} profile - Webhook profile the message was posted with
+ * @param {string} messageId - Discord message id
+ * @param {string|number} requestId - Unique request identifier for logging
+ * @returns {Promise<Object>} - The updated Discord message
+ */
+function editDiscordMessage(payload, profile, messageId, requestId) {
+  console.log(`Request to edit message ${messageId} initiated (${profile.name}):`, requestId);
+  const body = {
+    content: payload.content || '',
+    embeds: payload.embeds || []
+  };
+  if (payload.allowed_mentions) {
+    body.allowed_mentions = payload.allowed_mentions;
+  }
+  return discordRequest('PATCH', buildWebhookUrl(profile, { messageId: messageId }), body, requestId);
+}
+
+/**
+ * Deletes a message previously posted through the webhook
+ *
+ * @param {Object} profile - Webhook profile the message was posted with
+ * @param {string} messageId - Discord message id
+ * @param {string|number} requestId - Unique request identifier for logging
+ * @returns {Promise<null>} - Resolves when deleted
+ */
+function deleteDiscordMessage(profile, messageId, requestId) {
+  console.log(`Request to delete message ${messageId} initiated (${profile.name}):`, requestId);
+  return discordRequest('DELETE', buildWebhookUrl(profile, { messageId: messageId }), null, requestId);
+}
+
+/**
+ * Asks Discord for a webhook, without posting anything
+ *
+ * The GET needs only the webhook URL (its token is the credential) and
+ * returns the webhook's name and channel.
+ *
+ * @param {Object} profile - Webhook profile (may be unsaved)
+ * @param {string|number} requestId - Unique request identifier for logging
+ * @returns {Promise<Object>} - Discord's webhook object ({name, channel_id, guild_id, ...})
+ */
+function getDiscordWebhook(profile, requestId) {
+  console.log(`Webhook check initiated (${profile.name}):`, requestId);
+  const url = new URL(profile.url);
+  url.search = '';
+  return discordRequest('GET', url.toString(), null, requestId);
+}
@@ -0,0 +1,132 @@
+/* ============================================================================
+   GRAB-AND-GO - Send/Copy History
+   ============================================================================
+
+   PURPOSE:
+   Remembers the last grabs (copies and Discord sends) after the popup
+   closes, so they can be searched, copied again or resent.
+
+   STORAGE:
+   chrome.storage.local under HISTORY_KEY, newest first. Like the outbox,
+   it is only written by background.js: the popup asks for changes with
+   runtime messages, and the worker fills in delivery results as the
+   outbox delivers (see outbox.js).
+
+   ENTRY SHAPE:
+   {
+     id: "hist-1700000000000-0",
+     action: "post",            // copy, copy-json, post or edit
+     record: {...},             // System record (see record.js)
+     text: "Egmur, 0.7, ...",   // What was copied / the template output
+     payload: {...},            // Discord payload (webhook entries only)
+     target: { type: "webhook", profileId: "profile-1", profileName: "Intel" },
+                                // or { type: "clipboard" }
+     createdAt: 1700000000000,
+     result: "sent",            // copied, pending, sent or failed
+     error: null
+   }
+
+   PRUNING:
+   Entries beyond HISTORY_MAX_ENTRIES or older than HISTORY_MAX_AGE_MS are
+   dropped whenever a new entry is added.
+
+   ============================================================================ */
+
+// chrome.storage.local key holding the history entries
+const HISTORY_KEY = 'history';
+
+// Keep at most this many entries...
+const HISTORY_MAX_ENTRIES = 50;
+
+// ...and nothing older than 30 days
+const HISTORY_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+
+// ============================================================================
+// PURE HELPERS
+// ============================================================================
+
+/**
+ * Drops entries beyond the count limit or older than the age limit
+ *
+ * @param {Array} entries - History entries, newest first
+ * @param {number} now - Current time in milliseconds
+ * @returns {Array} - Entries to keep
+ */
+function pruneHistory(entries, now) {
+  return entries
+    .filter(e => now - e.createdAt <= HISTORY_MAX_AGE_MS)
+    .slice(0, HISTORY_MAX_ENTRIES);
+}
+
+/**
+ * Filters entries by a free-text query (system, text or target name)
+ *
+ * @param {Array} entries - History entries
+ * @param {string} query - Search text; empty matches everything
+ * @returns {Array} - Matching entries
+ */
+function searchHistory(entries, query) {
+  const needle = query.trim().toLowerCase();
+  if (!needle) {
+    return entries;
+  }
+
+  return entries.filter(e => [
+    e.record ? e.record.system : '',
+    e.text,
+    e.target.profileName || e.target.type
+  ].some(value => (value || '').toLowerCase().includes(needle)));
+}
+
+/**
+ * Describes where an entry went, for display
+ *
+ * @param {Object} entry - History entry
+ * @returns {string} - e.g. "Clipboard" or "Intel"
+ */
+function describeHistoryTarget(entry) {
+  return entry.target.type === 'webhook' ? entry.target.profileName : 'Clipboard';
+}
+
+// ============================================================================
+// POPUP SIDE
+// These helpers talk to background.js, which owns the history, through
+// sendWorkerMessage() (outbox.js)
+// ============================================================================
+
+/**
+ * Records a clipboard copy
+ *
+ * @param {Object} record - System record
+ * @param {string} text - Text that was copied
+ * @param {string} action - 'copy' or 'copy-json'
+ * @returns {Promise} - Resolves when stored
+ */
+function addCopyToHistory(record, text, action) {
+  return sendWorkerMessage({
+    type: 'history:add',
+    entry: {
+      action: action,
+      record: record,
+      text: text,
+      target: { type: 'clipboard' },
+      result: 'copied'
+    }
+  });
+}
+
+/**
+ * Removes every history entry
+ *
+ * @returns {Promise} - Resolves when cleared
+ */
+function clearHistory() {
+  return sendWorkerMessage({ type: 'history:clear' });
+}
+
+/**
+ * @returns {Promise<Array>} - History entries, newest first
+ */
+function loadHistory() {
+  return chrome.storage.local.get(HISTORY_KEY).then(stored => stored[HISTORY_KEY] || []);
+}
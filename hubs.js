@@ -0,0 +1,159 @@
+/* ============================================================================
+   GRAB-AND-GO - Hub Settings
+   ============================================================================
+
+   PURPOSE:
+   The scraper returns destinations in page order with the page's names.
+   Hub settings (edited on the options page, options.html) reorder, hide
+   and rename them, and can add a "nearest: Amarr 5" lead item.
+
+   They are applied to the record itself, right after getSystemData() and
+   enrichRecord(), so the popup, templates, Discord embeds, JSON, history
+   and shortcuts all show the same list.
+
+   SETTINGS SHAPE:
+   The HUB_SETTINGS_KEY setting (synced - see settings.js):
+   {
+     order: ["Jita", "Amarr"],      // Listed first, in this order; the rest follow in page order
+     hidden: ["Rens"],              // Left out of every output
+     aliases: { "Jita": "J" },      // Short names
+     sortByJumps: false,            // Closest first (replaces `order`)
+     showNearest: false             // Adds record.nearest: {name, jumps}
+   }
+   Hub names match the page's names, ignoring case.
+
+   ============================================================================ */
+
+// Setting holding the hub settings (see settings.js)
+const HUB_SETTINGS_KEY = 'hubSettings';
+
+// Settings that leave destinations as the page shows them
+const DEFAULT_HUB_SETTINGS = {
+  order: [],
+  hidden: [],
+  aliases: {},
+  sortByJumps: false,
+  showNearest: false
+};
+
+// ============================================================================
+// APPLYING
+// ============================================================================
+
+/**
+ * Finds a hub in a list of names, ignoring case
+ *
+ * @param {string[]} names - Hub names from the settings
+ * @param {string} name - Destination name from the page
+ * @returns {number} - Index in `names`, or -1
+ */
+function indexOfHub(names, name) {
+  return names.findIndex(n => n.toLowerCase() === name.toLowerCase());
+}
+
+/**
+ * Reorders, hides and renames a record's destinations
+ *
+ * @param {Object} record - System record
+ * @param {Object} settings - Hub settings (missing fields use the defaults)
+ * @returns {Object} - A copy of the record; `nearest` is {name, jumps} or
+ *                     null when showNearest is on, absent otherwise
+ */
+function applyHubSettings(record, settings) {
+  const config = Object.assign({}, DEFAULT_HUB_SETTINGS, settings);
+  const aliasNames = Object.keys(config.aliases);
+
+  let destinations = record.destinations.filter(d => indexOfHub(config.hidden, d.name) === -1);
+
+  if (config.sortByJumps) {
+    // Array.prototype.sort is stable, so ties keep page order; unknown counts go last
+    destinations = destinations.slice().sort((a, b) => (a.jumps ?? Infinity) - (b.jumps ?? Infinity));
+  } else if (config.order.length > 0) {
+    const rank = d => {
+      const index = indexOfHub(config.order, d.name);
+      return index === -1 ? config.order.length : index;
+    };
+    destinations = destinations.slice().sort((a, b) => rank(a) - rank(b));
+  }
+
+  destinations = destinations.map(d => {
+    const alias = aliasNames[indexOfHub(aliasNames, d.name)];
+    return alias ? Object.assign({}, d, { name: config.aliases[alias] }) : d;
+  });
+
+  const result = Object.assign({}, record, { destinations: destinations });
+  if (config.showNearest) {
+    const nearest = getNearestDestination(result);
+    result.nearest = nearest ? { name: nearest.name, jumps: nearest.jumps } : null;
+  }
+  return result;
+}
+
+/**
+ * Applies hub settings to a getSystemData() result
+ *
+ * @param {Object} data - {success, record, ...}
+ * @param {Object} settings - Hub settings
+ * @returns {Object} - The result with the record updated; unchanged if there is no record
+ */
+function applyHubSettingsToResult(data, settings) {
+  if (!data || !data.record) {
+    return data;
+  }
+  return Object.assign({}, data, { record: applyHubSettings(data.record, settings) });
+}
+
+// ============================================================================
+// OPTIONS PAGE TEXT
+// The options page edits lists as text, one hub per line
+// ============================================================================
+
+/**
+ * @param {string} text - One hub per line
+ * @returns {string[]} - Hub names, blank lines dropped
+ */
+function parseHubList(text) {
+  return text.split('\n').map(line => line.trim()).filter(Boolean);
+}
+
+/**
+ * @param {string} text - One "Jita = J" per line
+ * @returns {Object} - { Jita: "J" }; lines without both sides are dropped
+ */
+function parseHubAliases(text) {
+  const aliases = {};
+  for (const line of parseHubList(text)) {
+    const [name, alias] = line.split('=').map(part => part.trim());
+    if (name && alias) {
+      aliases[name] = alias;
+    }
+  }
+  return aliases;
+}
+
+/**
+ * @param {Object} aliases - { Jita: "J" }
+ * @returns {string} - "Jita = J" lines
+ */
+function formatHubAliases(aliases) {
+  return Object.entries(aliases).map(([name, alias]) => `${name} = ${alias}`).join('\n');
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} - Hub settings, with defaults for anything not set
+ */
+function loadHubSettings() {
+  return loadSettings().then(settings => Object.assign({}, DEFAULT_HUB_SETTINGS, settings[HUB_SETTINGS_KEY]));
+}
+
+/**
+ * @param {Object} settings - Hub settings
+ * @returns {Promise} - Resolves when saved
+ */
+function saveHubSettings(settings) {
+  return setSetting(HUB_SETTINGS_KEY, settings);
+}
@@ -0,0 +1,130 @@
+/* ============================================================================
+   GRAB-AND-GO - Options Page
+   ============================================================================
+
+   PURPOSE:
+   Edits the hub settings (see hubs.js): hub order, hidden hubs, aliases,
+   sorting by jumps and the "nearest" lead item. Saving writes them to
+   chrome.storage, where the popup (which refreshes right away) and the
+   background worker (shortcuts, badge) pick them up.
+
+   Also edits the alert rules (see alerts.js), chooses whether webhook
+   profiles sync, and exports/imports the settings file (see settings.js).
+
+   ============================================================================ */
+
+document.addEventListener('DOMContentLoaded', function () {
+  const hubOrderInput = document.getElementById('hubOrder');
+  const sortByJumpsCheckbox = document.getElementById('sortByJumps');
+  const hiddenHubsInput = document.getElementById('hiddenHubs');
+  const hubAliasesInput = document.getElementById('hubAliases');
+  const showNearestCheckbox = document.getElementById('showNearest');
+  const saveButton = document.getElementById('saveHubSettingsButton');
+  const saveStatus = document.getElementById('saveStatus');
+  const alertRulesInput = document.getElementById('alertRules');
+  const saveAlertRulesButton = document.getElementById('saveAlertRulesButton');
+  const alertRulesStatus = document.getElementById('alertRulesStatus');
+  const syncWebhooksCheckbox = document.getElementById('syncWebhooks');
+  const exportWebhooksCheckbox = document.getElementById('exportWebhooks');
+  const exportSettingsButton = document.getElementById('exportSettingsButton');
+  const importSettingsButton = document.getElementById('importSettingsButton');
+  const settingsFileInput = document.getElementById('settingsFileInput');
+  const settingsStatus = document.getElementById('settingsStatus');
+
+  /**
+   * Custom order does nothing while sorting by jumps, so it's greyed out
+   */
+  function updateOrderState() {
+    hubOrderInput.disabled = sortByJumpsCheckbox.checked;
+  }
+
+  /**
+   * Fills the form from the stored settings
+   */
+  function showSettings() {
+    loadHubSettings().then(settings => {
+      hubOrderInput.value = settings.order.join('\n');
+      sortByJumpsCheckbox.checked = settings.sortByJumps;
+      hiddenHubsInput.value = settings.hidden.join('\n');
+      hubAliasesInput.value = formatHubAliases(settings.aliases);
+      showNearestCheckbox.checked = settings.showNearest;
+      alertRulesInput.value = getSetting(ALERT_RULES_KEY).join('\n');
+      syncWebhooksCheckbox.checked = getSetting('syncWebhooks');
+      updateOrderState();
+    });
+  }
+
+  showSettings();
+
+  sortByJumpsCheckbox.addEventListener('change', updateOrderState);
+
+  saveButton.addEventListener('click', function () {
+    const settings = {
+      order: parseHubList(hubOrderInput.value),
+      hidden: parseHubList(hiddenHubsInput.value),
+      aliases: parseHubAliases(hubAliasesInput.value),
+      sortByJumps: sortByJumpsCheckbox.checked,
+      showNearest: showNearestCheckbox.checked
+    };
+
+    saveHubSettings(settings).then(saved => {
+      console.log('Hub settings saved:', settings);
+      saveStatus.textContent = saved ? 'Saved.' : 'Could not save - check the console.';
+    });
+  });
+
+  // Rules with mistakes aren't saved - each problem is listed instead
+  saveAlertRulesButton.addEventListener('click', function () {
+    const parsed = parseAlertRules(alertRulesInput.value);
+    if (parsed.problems.length > 0) {
+      alertRulesStatus.textContent = parsed.problems.join('\n');
+      return;
+    }
+
+    setSetting(ALERT_RULES_KEY, parsed.lines).then(saved => {
+      console.log('Alert rules saved:', parsed.lines);
+      alertRulesStatus.textContent = saved ? 'Saved.' : 'Could not save - check the console.';
+    });
+  });
+
+  // Moves the webhook profiles between this computer and sync storage
+  syncWebhooksCheckbox.addEventListener('change', function () {
+    setSetting('syncWebhooks', syncWebhooksCheckbox.checked).then(saved => {
+      console.log(`Webhook profile sync ${syncWebhooksCheckbox.checked ? 'enabled' : 'disabled'}`);
+      settingsStatus.textContent = saved ? '' : 'Could not move the webhook profiles - check the console.';
+    });
+  });
+
+  // Downloads the settings file
+  exportSettingsButton.addEventListener('click', function () {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([exportSettings(exportWebhooksCheckbox.checked)], { type: 'application/json' }));
+    link.download = 'grab-and-go-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+  });
+
+  importSettingsButton.addEventListener('click', function () {
+    settingsFileInput.click();
+  });
+
+  settingsFileInput.addEventListener('change', function () {
+    const file = settingsFileInput.files[0];
+    settingsFileInput.value = '';
+    if (!file) {
+      return;
+    }
+
+    file.text()
+      .then(importSettings)
+      .then(keys => {
+        console.log('Settings imported:', keys);
+        settingsStatus.textContent = `Imported ${keys.length} settings.`;
+        showSettings();
+      })
+      .catch(error => {
+        console.error('Error importing settings:', error);
+        settingsStatus.textContent = `Could not import the settings:\n${error.message}`;
+      });
+  });
+});
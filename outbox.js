@@ -0,0 +1,164 @@
+/* ============================================================================
+   GRAB-AND-GO - Discord Outbox
+   ============================================================================
+
+   PURPOSE:
+   Webhook sends go through a persistent outbox owned by the background
+   service worker (background.js), which posts each entry through its
+   profile's output target (see targets.js). A report survives rate limits, dropped
+   connections and the popup closing mid-send.
+
+   FLOW:
+   1. The popup queues messages with queueDiscordMessages()
+   2. background.js stores them in chrome.storage.local under OUTBOX_KEY
+      and delivers them, retrying as described below
+   3. The popup watches the stored outbox to show pending/failed messages,
+      and can retry or discard failed ones
+
+   ACTIONS:
+   - post    Posts a new message; its id is remembered as the profile's
+             last post (chrome.storage.local 'lastPosts', see webhooks.js)
+   - edit    Replaces the profile's last post with a new payload
+   - delete  Deletes the profile's last post
+   The last post is looked up at delivery time, so an edit queued right
+   after a post waits for that post to go out first.
+
+   RETRY RULES (see getRetryDecision()):
+   - 429 Too Many Requests  -> wait for Retry-After, doesn't count as an attempt
+   - 5xx / network errors   -> exponential backoff, up to OUTBOX_MAX_ATTEMPTS
+   - Other 4xx              -> failed immediately (bad URL, bad payload...)
+   - error.permanent        -> failed immediately (e.g. no last post to edit,
+                               or editing a target that can't edit)
+
+   ENTRY SHAPE:
+   {
+     id: "msg-1700000000000-0",
+     action: "post",          // post, edit or delete
+     label: "Egmur",          // What the message is about, for display
+     profile: {...},          // Snapshot of the webhook profile at send time
+     payload: {...},          // JSON body from buildDiscordPayload() (null for delete)
+     record: {...},           // System record the payload was built from, or null
+     status: "pending",       // or "failed"
+     attempts: 0,
+     nextAttemptAt: 1700000000000,
+     lastError: null,
+     createdAt: 1700000000000,
+     historyId: "hist-..."   // History entry to update with the result, if any
+   }
+
+   ============================================================================ */
+
+// chrome.storage.local key holding the outbox entries
+const OUTBOX_KEY = 'outbox';
+
+// Give up on transient errors after this many attempts
+const OUTBOX_MAX_ATTEMPTS = 5;
+
+// Backoff for transient errors: 2s, 4s, 8s... capped at 5 minutes
+const OUTBOX_BASE_DELAY_MS = 2000;
+const OUTBOX_MAX_DELAY_MS = 5 * 60 * 1000;
+
+// ============================================================================
+// RETRY DECISIONS
+// ============================================================================
+
+/**
+ * Decides what to do after a failed delivery
+ *
+ * @param {Error} error - Error from postToTarget() (may carry status/retryAfter)
+ * @param {number} attempts - Attempts made so far, including this one
+ * @returns {Object} - {retry: boolean, delayMs: number, countsAsAttempt: boolean}
+ */
+function getRetryDecision(error, attempts) {
+  // Nothing a retry could fix
+  if (error.permanent) {
+    return { retry: false, delayMs: 0, countsAsAttempt: true };
+  }
+
+  // Rate limited - Discord tells us exactly how long to wait
+  if (error.status === 429) {
+    const seconds = error.retryAfter || 1;
+    return { retry: true, delayMs: Math.ceil(seconds * 1000), countsAsAttempt: false };
+  }
+
+  // Network error (no status) or server error - worth retrying
+  const isTransient = !error.status || error.status >= 500;
+  if (!isTransient || attempts >= OUTBOX_MAX_ATTEMPTS) {
+    return { retry: false, delayMs: 0, countsAsAttempt: true };
+  }
+
+  const delayMs = Math.min(OUTBOX_BASE_DELAY_MS * Math.pow(2, attempts - 1), OUTBOX_MAX_DELAY_MS);
+  return { retry: true, delayMs: delayMs, countsAsAttempt: true };
+}
+
+// ============================================================================
+// POPUP SIDE
+// These helpers talk to background.js, which owns the outbox
+// ============================================================================
+
+/**
+ * Sends a message to background.js
+ *
+ * The worker answers {error} when it couldn't do what was asked (storage
+ * full, say) - that rejects here like any other failure.
+ *
+ * @param {Object} message - {type, ...}
+ * @returns {Promise<Object>} - The worker's response
+ */
+function sendWorkerMessage(message) {
+  return chrome.runtime.sendMessage(message).then(response => {
+    if (response && response.error) {
+      throw new Error(response.error);
+    }
+    return response;
+  });
+}
+
+/**
+ * Queues one message per webhook profile
+ *
+ * @param {Object|null} payload - JSON body from buildDiscordPayload() (null for delete)
+ * @param {Array} profiles - Target webhook profiles
+ * @param {Object} options - {action: 'post'|'edit'|'delete', label: string,
+ *                           record?: Object, text?: string}
+ *                           With a record, each send is also added to the history
+ * @returns {Promise<Array>} - Ids of the queued entries
+ */
+function queueDiscordMessages(payload, profiles, options = {}) {
+  return sendWorkerMessage({
+    type: 'outbox:queue',
+    action: options.action || 'post',
+    label: options.label || '',
+    record: options.record || null,
+    text: options.text || '',
+    payload: payload,
+    profiles: profiles
+  }).then(response => response.ids);
+}
+
+/**
+ * Moves a failed entry back to pending and delivers it now
+ *
+ * @param {string} id - Outbox entry id
+ * @returns {Promise} - Resolves when the background worker has accepted it
+ */
+function retryOutboxEntry(id) {
+  return sendWorkerMessage({ type: 'outbox:retry', id: id });
+}
+
+/**
+ * Removes an entry from the outbox without sending it
+ *
+ * @param {string} id - Outbox entry id
+ * @returns {Promise} - Resolves when removed
+ */
+function discardOutboxEntry(id) {
+  return sendWorkerMessage({ type: 'outbox:discard', id: id });
+}
+
+/**
+ * @returns {Promise<Array>} - Current outbox entries
+ */
+function loadOutbox() {
+  return chrome.storage.local.get(OUTBOX_KEY).then(stored => stored[OUTBOX_KEY] || []);
+}
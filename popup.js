@@ -7,21 +7,40 @@
    and formats it for easy sharing via clipboard or Discord webhook.
    
    OUTPUT FORMAT:
+   Controlled by the selected output template (see templates.js).
+   The default template produces:
    System name, Security status, Hub1 Jumps1, Hub2 Jumps2, ...
    Example: "Queen's Landing, C4, Jita 14, Hek 16, Amarr 5"
    
    MAIN FEATURES:
-   - Copy system data to clipboard
-   - Send system data directly to Discord
-   - Automatically detects which tab (SHORTEST/SECURE) is active
+   - Copy system data to clipboard (formatted text, Markdown/CSV/TSV/HTML
+     table or raw JSON record)
+   - Send system data directly to Discord (plain text or rich embed)
+   - Named webhook profiles, with optional multi-profile sends
+   - Alert rules that add role mentions or tags to posts (alerts.js, options page)
+   - Background outbox with rate-limit handling and retries (background.js)
+   - Update or delete the last report posted to a webhook profile
+   - History of recent copies/sends with search, copy again and resend
+   - Chain reports: several systems, reordered and annotated, sent as one (chain.js)
+   - Optional background auto-capture with a nearest-hub badge (capture.js)
+   - Keyboard shortcuts / context menu to grab without the popup (shortcuts.js)
+   - Selector profiles (selectors.json) with a diagnostics view
+   - Captures SHORTEST and SECURE jump counts in one grab
    - Dynamically extracts ALL user-configured destinations (not hardcoded)
-   - Theme customization support
+   - Hub order, hiding, aliases and a nearest-hub lead item (hubs.js, options page)
+   - User-defined output templates with live preview
+   - Themes: built-in (colors.json) and custom, with an editor and import/export (themes.js)
    - Automatic button disable when no system is selected
    
    MAINTENANCE NOTES:
-   - If the website structure changes, update the selector functions below
-   - All scraping logic is in the getSystemData() function and its helpers
-   - Theme colors are stored in colors.json
+   - If the website structure changes, update selectors.json (see selectors.js)
+   - All scraping logic is in getSystemData() (scraper.js) and its helpers
+   - getSystemData() returns a structured record; formatting is in record.js
+   - Discord payloads and sending are in discord.js, other webhook types
+     (Slack / Mattermost, JSON) in targets.js
+   - Built-in theme colors are stored in colors.json (see themes.js)
+   - Settings live in chrome.storage - add new ones to settings.js, with a
+     migration if an existing setting changes shape
    - Console logs are extensive for debugging (check browser console with F12)
    
    ============================================================================ */
@@ -30,105 +49,1244 @@
 // INITIALIZATION - Runs when the extension popup is opened
 // ============================================================================
 
-document.addEventListener('DOMContentLoaded', function () {
+document.addEventListener('DOMContentLoaded', async function () {
   console.log('=== Grab-and-Go Extension Loaded ===');
+
+  // Settings (and their migrations) come first - templates and themes
+  // read them synchronously (see settings.js)
+  await loadSettings();
   
   // Get references to UI elements
   const discordButton = document.getElementById('sendToDiscordButton');
   const copyButton = document.getElementById('copyButton');
+  const copyJsonButton = document.getElementById('copyJsonButton');
+  const copyFormatDropdown = document.getElementById('copyFormatDropdown');
+  const webhookProfileDropdown = document.getElementById('webhookProfileDropdown');
+  const multiProfileList = document.getElementById('multiProfileList');
+  const profileNameInput = document.getElementById('profileName');
   const webhookUrlInput = document.getElementById('webhookUrl');
+  const profileUsernameInput = document.getElementById('profileUsername');
+  const profileAvatarInput = document.getElementById('profileAvatarUrl');
+  const profileThreadInput = document.getElementById('profileThreadId');
+  const profileTypeDropdown = document.getElementById('profileType');
+  const profileHeadersInput = document.getElementById('profileHeaders');
+  const newProfileButton = document.getElementById('newProfileButton');
+  const saveProfileButton = document.getElementById('saveProfileButton');
+  const deleteProfileButton = document.getElementById('deleteProfileButton');
+  const revealWebhookUrlButton = document.getElementById('revealWebhookUrlButton');
+  const webhookUrlStatus = document.getElementById('webhookUrlStatus');
+  const testWebhookButton = document.getElementById('testWebhookButton');
+  const testPostCheckbox = document.getElementById('testPostCheckbox');
+  const webhookTestResult = document.getElementById('webhookTestResult');
+  const outboxStatus = document.getElementById('outboxStatus');
+  const lastPostInfo = document.getElementById('lastPostInfo');
+  const updateLastPostButton = document.getElementById('updateLastPostButton');
+  const deleteLastPostButton = document.getElementById('deleteLastPostButton');
+  const historySearchInput = document.getElementById('historySearch');
+  const historyList = document.getElementById('historyList');
+  const clearHistoryButton = document.getElementById('clearHistoryButton');
+  const chainDropdown = document.getElementById('chainDropdown');
+  const newChainButton = document.getElementById('newChainButton');
+  const deleteChainButton = document.getElementById('deleteChainButton');
+  const addToChainButton = document.getElementById('addToChainButton');
+  const clearChainButton = document.getElementById('clearChainButton');
+  const chainList = document.getElementById('chainList');
+  const chainFormatDropdown = document.getElementById('chainFormatDropdown');
+  const copyChainButton = document.getElementById('copyChainButton');
+  const sendChainButton = document.getElementById('sendChainButton');
+  const chainPreview = document.getElementById('chainPreview');
+  const selectorProfileInfo = document.getElementById('selectorProfileInfo');
+  const importSelectorsButton = document.getElementById('importSelectorsButton');
+  const resetSelectorsButton = document.getElementById('resetSelectorsButton');
+  const selectorsFileInput = document.getElementById('selectorsFileInput');
+  const diagnosticsOutput = document.getElementById('diagnosticsOutput');
+  const useEmbedsCheckbox = document.getElementById('useEmbeds');
   const themeDropdown = document.getElementById('themeDropdown');
+  const themeColorInputsContainer = document.getElementById('themeColorInputs');
+  const themeProblems = document.getElementById('themeProblems');
+  const saveThemeButton = document.getElementById('saveThemeButton');
+  const deleteThemeButton = document.getElementById('deleteThemeButton');
+  const importThemeButton = document.getElementById('importThemeButton');
+  const exportThemeButton = document.getElementById('exportThemeButton');
+  const themeFileInput = document.getElementById('themeFileInput');
+  const routeModeDropdown = document.getElementById('routeModeDropdown');
+  const routeDetailCheckbox = document.getElementById('routeDetail');
+  const autoCaptureCheckbox = document.getElementById('autoCapture');
+  const hubOptionsButton = document.getElementById('hubOptionsButton');
+  const templateDropdown = document.getElementById('templateDropdown');
+  const templateEditor = document.getElementById('templateEditor');
+  const templatePreview = document.getElementById('templatePreview');
+  const alertRulesPreview = document.getElementById('alertRulesPreview');
+  const saveTemplateButton = document.getElementById('saveTemplateButton');
+  const deleteTemplateButton = document.getElementById('deleteTemplateButton');
   
   // State management
   let isSendingToDiscord = false;  // Prevents duplicate Discord sends
   let lastRequestId = null;         // Tracks unique Discord requests
+  let currentRecord = null;         // System record from the last successful scrape
+  let webhookState = { profiles: [], selectedId: null, multiIds: [] };  // See webhooks.js
+  let editingProfileId = null;      // Profile shown in the webhook editor (null = new)
+  const queuedMessageIds = new Set();  // Outbox entries queued from this popup
+  let lastPosts = {};               // { profileId: {messageId, label, sentAt} }
+  let historyEntries = [];          // Newest first, see history.js
+  let chainState = { chains: [], selectedId: null };  // See chain.js
+
+  // ============================================================================
+  // OUTPUT TEMPLATES
+  // Lets the user choose how the copied/sent text is formatted (see templates.js)
+  // ============================================================================
+
+  /**
+   * Rebuilds the template dropdown from built-in and custom templates
+   *
+   * @param {string} selectedId - Template id to select after rebuilding
+   */
+  function populateTemplateDropdown(selectedId) {
+    const template = getTemplate(selectedId);
+    templateDropdown.innerHTML = '';
+
+    for (const t of getAllTemplates()) {
+      const option = document.createElement('option');
+      option.value = t.id;
+      option.textContent = t.builtIn ? t.name : `${t.name} (custom)`;
+      templateDropdown.appendChild(option);
+    }
+
+    templateDropdown.value = template.id;
+    templateEditor.value = template.template;
+    deleteTemplateButton.disabled = template.builtIn;
+    notifyIfNotSaved(setSelectedTemplateId(template.id));
+    updateTemplatePreview();
+  }
+
+  /**
+   * Renders the template in the editor against the current system data
+   */
+  function updateTemplatePreview() {
+    templatePreview.innerText = currentRecord ? getOutputText() : '';
+    renderAlertRulesPreview();
+    renderChainPreview();
+  }
+
+  /**
+   * Shows which alert rules fire for the current system (see alerts.js)
+   */
+  function renderAlertRulesPreview() {
+    const lines = getSetting(ALERT_RULES_KEY);
+    if (!currentRecord || lines.length === 0) {
+      alertRulesPreview.textContent = '';
+      return;
+    }
+    const fired = evaluateAlertRules(currentRecord, lines);
+    alertRulesPreview.textContent = fired.length > 0
+      ? fired.map(rule => `🔔 ${rule.when} → ${rule.text}`).join('\n')
+      : 'No alert rules fire for this system';
+  }
+
+  /**
+   * @returns {string} - The text that Copy and Send to Discord will output
+   */
+  function getOutputText() {
+    return renderTemplate(templateEditor.value, getTemplateFields(currentRecord));
+  }
+
+  /**
+   * Builds what Send to Discord posts for the current system: the template
+   * text or an embed, with the alert rules that fire
+   *
+   * @param {string} text - From getOutputText()
+   * @returns {Object} - Payload for queueDiscordMessages()
+   */
+  function buildOutputPayload(text) {
+    const payload = buildDiscordPayload(currentRecord, text, { useEmbed: useEmbedsCheckbox.checked });
+    return applyAlertRules(payload, currentRecord, getSetting(ALERT_RULES_KEY));
+  }
+
+  populateTemplateDropdown(getSelectedTemplateId());
+  console.log(`Template loaded: ${templateDropdown.value}`);
+
+  // Switch template
+  templateDropdown.addEventListener('change', function () {
+    populateTemplateDropdown(templateDropdown.value);
+    console.log(`Template changed to: ${templateDropdown.value}`);
+  });
+
+  // Live preview while editing
+  templateEditor.addEventListener('input', updateTemplatePreview);
+
+  // Save edits - built-in templates are saved as a new custom template
+  saveTemplateButton.addEventListener('click', function () {
+    const selected = getTemplate(templateDropdown.value);
+    const name = prompt('Template name:', selected.builtIn ? '' : selected.name);
+    if (!name || name.trim() === '') {
+      return;
+    }
+
+    // Keep the same id when overwriting a custom template under its own name
+    const overwrite = !selected.builtIn && name.trim() === selected.name;
+    saveCustomTemplate({
+      id: overwrite ? selected.id : null,
+      name: name.trim(),
+      template: templateEditor.value
+    }).then(saved => populateTemplateDropdown(saved.id)).catch(error => {
+      console.error('Error saving template:', error);
+      alert(error.message);
+    });
+  });
+
+  // Delete the selected custom template
+  deleteTemplateButton.addEventListener('click', function () {
+    const selected = getTemplate(templateDropdown.value);
+    if (selected.builtIn || !confirm(`Delete template "${selected.name}"?`)) {
+      return;
+    }
+    notifyIfNotSaved(deleteCustomTemplate(selected.id))
+      .then(() => populateTemplateDropdown(getSelectedTemplateId()));
+  });
+
+  // ============================================================================
+  // WEBHOOK PROFILE MANAGEMENT
+  // Named webhook profiles, kept as settings (see webhooks.js, settings.js)
+  // ============================================================================
+
+  /**
+   * Rebuilds the target dropdown and the multi-send checkbox list
+   */
+  function renderWebhookProfiles() {
+    webhookProfileDropdown.innerHTML = '';
+    multiProfileList.innerHTML = '';
+
+    for (const profile of webhookState.profiles) {
+      const option = document.createElement('option');
+      option.value = profile.id;
+      option.textContent = profile.name;
+      webhookProfileDropdown.appendChild(option);
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.value = profile.id;
+      checkbox.checked = webhookState.multiIds.includes(profile.id);
+      checkbox.addEventListener('change', onMultiProfileChange);
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(` ${profile.name}`));
+      multiProfileList.appendChild(label);
+    }
+
+    if (webhookState.profiles.length > 1) {
+      const option = document.createElement('option');
+      option.value = MULTIPLE_PROFILES;
+      option.textContent = 'Several profiles...';
+      webhookProfileDropdown.appendChild(option);
+    }
+
+    if (webhookState.profiles.length === 0) {
+      const option = document.createElement('option');
+      option.value = '';
+      option.textContent = 'No webhooks - add one below';
+      webhookProfileDropdown.appendChild(option);
+    }
+
+    webhookProfileDropdown.value = webhookState.selectedId || '';
+    multiProfileList.style.display = webhookState.selectedId === MULTIPLE_PROFILES ? 'block' : 'none';
+
+    const selected = webhookState.profiles.find(p => p.id === webhookState.selectedId);
+    fillProfileEditor(selected || null);
+    renderLastPost();
+  }
+
+  /**
+   * Shows a profile in the editor, or clears it for a new profile
+   *
+   * @param {Object|null} profile - Profile to edit
+   */
+  function fillProfileEditor(profile) {
+    editingProfileId = profile ? profile.id : null;
+    profileNameInput.value = profile ? profile.name : '';
+    webhookUrlInput.value = profile ? profile.url : '';
+    profileUsernameInput.value = profile ? profile.username || '' : '';
+    profileAvatarInput.value = profile ? profile.avatar_url || '' : '';
+    profileThreadInput.value = profile ? profile.thread_id || '' : '';
+    profileTypeDropdown.value = profile ? profile.type || DEFAULT_TARGET_TYPE : DEFAULT_TARGET_TYPE;
+    profileHeadersInput.value = profile ? formatHeaderLines(profile.headers) : '';
+    deleteProfileButton.disabled = !profile;
+    updateProfileTypeFields();
+    setWebhookUrlRevealed(false);
+    showWebhookTestResult('', false);
+    updateWebhookUrlStatus();
+  }
+
+  /**
+   * Shows only the editor fields the chosen output target uses (targets.js):
+   * thread ids are Discord's, custom headers are for JSON webhooks
+   */
+  function updateProfileTypeFields() {
+    const type = profileTypeDropdown.value;
+    webhookUrlInput.placeholder = `${OUTPUT_TARGETS[type].name} webhook URL`;
+    profileThreadInput.style.display = type === 'discord' ? '' : 'none';
+    profileUsernameInput.style.display = type === 'json' ? 'none' : '';
+    profileAvatarInput.style.display = type === 'json' ? 'none' : '';
+    profileHeadersInput.style.display = type === 'json' ? '' : 'none';
+  }
+
+  /**
+   * @param {boolean} revealed - Show the URL in plain text instead of masked
+   */
+  function setWebhookUrlRevealed(revealed) {
+    webhookUrlInput.type = revealed ? 'text' : 'password';
+    revealWebhookUrlButton.textContent = revealed ? 'Hide' : 'Show';
+  }
+
+  /**
+   * Shows what's wrong with the URL in the editor, or which webhook it is
+   * with the token masked
+   *
+   * @returns {string[]} - Problems with the URL (empty if it looks right or is empty)
+   */
+  function updateWebhookUrlStatus() {
+    const url = webhookUrlInput.value.trim();
+    const problems = url ? OUTPUT_TARGETS[profileTypeDropdown.value].validateUrl(url) : [];
+    webhookUrlInput.classList.toggle('invalid', problems.length > 0);
+    webhookUrlStatus.classList.toggle('problem', problems.length > 0);
+    webhookUrlStatus.textContent = problems.length > 0 ? problems.join('\n') : url ? maskWebhookUrl(url) : '';
+    return problems;
+  }
+
+  /**
+   * @param {string} message - Result of the last webhook test ('' to clear)
+   * @param {boolean} failed - Show it as an error
+   */
+  function showWebhookTestResult(message, failed) {
+    webhookTestResult.textContent = message;
+    webhookTestResult.classList.toggle('problem', failed);
+  }
+
+  /**
+   * Builds a profile from the editor's fields
+   *
+   * @returns {Object|null} - Webhook profile, or null if the name or URL is
+   *                          missing or the URL or headers are malformed (shown inline)
+   */
+  function readProfileEditor() {
+    const name = profileNameInput.value.trim();
+    const url = webhookUrlInput.value.trim();
+    if (!name || !url) {
+      webhookUrlStatus.classList.add('problem');
+      webhookUrlStatus.textContent = 'A webhook profile needs a name and a URL.';
+      return null;
+    }
+    if (updateWebhookUrlStatus().length > 0) {
+      webhookUrlInput.focus();
+      return null;
+    }
+
+    const type = profileTypeDropdown.value;
+    const headers = type === 'json' ? parseHeaderLines(profileHeadersInput.value) : { headers: {}, problems: [] };
+    profileHeadersInput.classList.toggle('invalid', headers.problems.length > 0);
+    if (headers.problems.length > 0) {
+      webhookUrlStatus.classList.add('problem');
+      webhookUrlStatus.textContent = headers.problems.join('\n');
+      profileHeadersInput.focus();
+      return null;
+    }
+
+    // Fields the type doesn't use are hidden - don't keep stale values
+    return createWebhookProfile({
+      id: editingProfileId,
+      type: type,
+      name: name,
+      url: url,
+      username: type === 'json' ? '' : profileUsernameInput.value,
+      avatar_url: type === 'json' ? '' : profileAvatarInput.value,
+      thread_id: type === 'discord' ? profileThreadInput.value : '',
+      headers: headers.headers
+    });
+  }
+
+  /**
+   * Saves which profiles are ticked for multi-send
+   */
+  function onMultiProfileChange() {
+    webhookState.multiIds = Array.from(multiProfileList.querySelectorAll('input:checked')).map(c => c.value);
+    notifyIfNotSaved(saveWebhookSelection(webhookState.selectedId, webhookState.multiIds));
+    renderLastPost();
+  }
+
+  for (const [type, target] of Object.entries(OUTPUT_TARGETS)) {
+    const option = document.createElement('option');
+    option.value = type;
+    option.textContent = target.name;
+    profileTypeDropdown.appendChild(option);
+  }
+
+  loadWebhookProfiles().then(state => {
+    webhookState = state;
+    renderWebhookProfiles();
+    console.log(`Webhook profiles loaded: ${state.profiles.length}`);
+  });
+
+  // Switch target profile
+  webhookProfileDropdown.addEventListener('change', function () {
+    webhookState.selectedId = webhookProfileDropdown.value;
+    notifyIfNotSaved(saveWebhookSelection(webhookState.selectedId, webhookState.multiIds));
+    renderWebhookProfiles();
+    console.log(`Webhook target changed to: ${webhookState.selectedId}`);
+  });
+
+  // Start a new profile
+  newProfileButton.addEventListener('click', function () {
+    fillProfileEditor(null);
+    profileNameInput.focus();
+  });
+
+  webhookUrlInput.addEventListener('input', updateWebhookUrlStatus);
+
+  profileTypeDropdown.addEventListener('change', function () {
+    updateProfileTypeFields();
+    updateWebhookUrlStatus();
+    showWebhookTestResult('', false);
+  });
+
+  revealWebhookUrlButton.addEventListener('click', function () {
+    setWebhookUrlRevealed(webhookUrlInput.type === 'password');
+  });
+
+  // Check the webhook in the editor (saved or not) - see testTarget()
+  testWebhookButton.addEventListener('click', function () {
+    const profile = readProfileEditor();
+    if (!profile) {
+      return;
+    }
+
+    testWebhookButton.disabled = true;
+    showWebhookTestResult('Testing...', false);
+    requestTargetAccess(profile)
+      .then(granted => {
+        if (!granted) {
+          const error = new Error(`Grab-and-Go needs access to ${new URL(profile.url).hostname} to post there`);
+          error.permanent = true;
+          throw error;
+        }
+        return testTarget(profile, testPostCheckbox.checked, Date.now());
+      })
+      .then(result => {
+        const webhook = result.name ? `Webhook "${result.name}"` : `${getOutputTarget(profile).name} webhook`;
+        const channel = result.channelId ? ` in channel ${result.channelId}` : '';
+        const posted = testPostCheckbox.checked ? ' - test message posted' : '';
+        showWebhookTestResult(`✓ ${webhook}${channel}${posted}`, false);
+      })
+      .catch(error => {
+        console.error('Webhook test failed:', error);
+        const reason = error.status || error.permanent ? error.message : `Could not reach the webhook: ${error.message}`;
+        showWebhookTestResult(`✗ ${reason}`, true);
+      })
+      .finally(() => {
+        testWebhookButton.disabled = false;
+      });
+  });
+
+  // Create or update the profile in the editor
+  saveProfileButton.addEventListener('click', function () {
+    const profile = readProfileEditor();
+    if (!profile) {
+      return;
+    }
+
+    const index = webhookState.profiles.findIndex(p => p.id === profile.id);
+    if (index >= 0) {
+      webhookState.profiles[index] = profile;
+    } else {
+      webhookState.profiles.push(profile);
+    }
+    webhookState.selectedId = profile.id;
+
+    notifyIfNotSaved(saveWebhookProfiles(webhookState.profiles));
+    notifyIfNotSaved(saveWebhookSelection(webhookState.selectedId, webhookState.multiIds));
+    renderWebhookProfiles();
+    console.log(`Webhook profile saved: ${profile.name}`);
+
+    // Saved either way - sends fail until access is granted (Save or Test again)
+    requestTargetAccess(profile)
+      .then(granted => {
+        if (!granted) {
+          showWebhookTestResult(`✗ Grab-and-Go needs access to ${new URL(profile.url).hostname} to post there`, true);
+        }
+      })
+      .catch(error => console.error('Error requesting webhook access:', error));
+  });
+
+  // Delete the profile in the editor
+  deleteProfileButton.addEventListener('click', function () {
+    const profile = webhookState.profiles.find(p => p.id === editingProfileId);
+    if (!profile || !confirm(`Delete webhook profile "${profile.name}"?`)) {
+      return;
+    }
+
+    webhookState.profiles = webhookState.profiles.filter(p => p.id !== profile.id);
+    webhookState.multiIds = webhookState.multiIds.filter(id => id !== profile.id);
+    if (webhookState.selectedId === profile.id) {
+      webhookState.selectedId = webhookState.profiles[0] ? webhookState.profiles[0].id : null;
+    }
+
+    notifyIfNotSaved(saveWebhookProfiles(webhookState.profiles));
+    notifyIfNotSaved(saveWebhookSelection(webhookState.selectedId, webhookState.multiIds));
+    renderWebhookProfiles();
+    console.log(`Webhook profile deleted: ${profile.name}`);
+  });
+
+  // Embed mode - post a rich embed instead of the plain template text
+  useEmbedsCheckbox.checked = getSetting('discordEmbeds');
+  useEmbedsCheckbox.addEventListener('change', function () {
+    notifyIfNotSaved(setSetting('discordEmbeds', useEmbedsCheckbox.checked));
+    console.log(`Discord embeds ${useEmbedsCheckbox.checked ? 'enabled' : 'disabled'}`);
+  });
 
   // ============================================================================
-  // WEBHOOK URL MANAGEMENT
-  // Saves and loads Discord webhook URL from browser local storage
+  // DISCORD BUTTON HANDLER
+  // Sends formatted system data to Discord webhook
   // ============================================================================
   
-  // Load saved webhook URL or use empty string as default
-  webhookUrlInput.value = localStorage.getItem('webhookUrl') || '';
-  console.log('Webhook URL loaded from storage');
+  if (discordButton && !discordButton.dataset.listenerAdded) {
+    discordButton.addEventListener('click', function () {
+      // Prevent duplicate sends
+      if (isSendingToDiscord) {
+        console.log('Message is already being sent. Please wait.');
+        return;
+      }
+
+      // Set flag and create unique request ID
+      isSendingToDiscord = true;
+      lastRequestId = Date.now();
+      console.log('Starting to send message to Discord...', lastRequestId);
 
-  // Save webhook URL whenever it changes
-  webhookUrlInput.addEventListener('change', function () {
-    localStorage.setItem('webhookUrl', webhookUrlInput.value);
-    console.log('Webhook URL saved to storage');
+      // Format the data with the selected template (or as an embed) and the alert rules
+      const text = getOutputText();
+      const payload = buildOutputPayload(text);
+
+      // Resolve the target profile(s)
+      const targets = getTargetProfiles(webhookState);
+      if (targets.length === 0) {
+        alert('Please add a webhook profile first (or tick at least one profile)!');
+        isSendingToDiscord = false;
+        return;
+      }
+
+      // Hand the message to the background outbox - it keeps retrying
+      // even if the popup is closed (see outbox.js)
+      queueDiscordMessages(payload, targets, {
+        action: 'post',
+        label: currentRecord.system,
+        record: currentRecord,
+        text: text
+      })
+        .then((ids) => {
+          ids.forEach(id => queuedMessageIds.add(id));
+          console.log('Message queued for delivery.', lastRequestId, ids);
+          showNotification('Queued!');
+        })
+        .catch((error) => {
+          console.error('Error queuing message:', error);
+          alert('Failed to queue the Discord message. Check console for details.');
+        })
+        .finally(() => {
+          // Reset flag after sending is complete
+          isSendingToDiscord = false;
+          console.log('Sending process finished for request:', lastRequestId);
+        });
+    });
+
+    // Mark that listener has been added (prevents duplicate listeners)
+    discordButton.dataset.listenerAdded = true;
+  }
+
+  // ============================================================================
+  // LAST POST - UPDATE / DELETE
+  // Corrects or removes the last report posted to the selected profile(s)
+  // ============================================================================
+
+  /**
+   * @returns {Array} - Target profiles that have a last post on record
+   */
+  function getProfilesWithLastPost() {
+    return getTargetProfiles(webhookState).filter(p => lastPosts[p.id]);
+  }
+
+  /**
+   * Shows what the last post of the selected profile(s) was about
+   */
+  function renderLastPost() {
+    const profiles = getProfilesWithLastPost();
+    lastPostInfo.textContent = profiles
+      .map(p => `Last post (${p.name}): ${lastPosts[p.id].label} at ${new Date(lastPosts[p.id].sentAt).toLocaleTimeString()}`)
+      .join('\n');
+    updateLastPostButton.disabled = profiles.length === 0 || !currentRecord;
+    deleteLastPostButton.disabled = profiles.length === 0;
+  }
+
+  /**
+   * Queues an edit or delete of the last post for each selected profile
+   *
+   * @param {string} action - 'edit' or 'delete'
+   */
+  function queueLastPostAction(action) {
+    const profiles = getProfilesWithLastPost();
+    if (profiles.length === 0) {
+      return;
+    }
+
+    const isEdit = action === 'edit';
+    const text = isEdit ? getOutputText() : '';
+    const payload = isEdit ? buildOutputPayload(text) : null;
+
+    queueDiscordMessages(payload, profiles, {
+      action: action,
+      label: isEdit ? currentRecord.system : '',
+      record: isEdit ? currentRecord : null,
+      text: text
+    })
+      .then((ids) => {
+        ids.forEach(id => queuedMessageIds.add(id));
+        console.log(`Last post ${action} queued.`, ids);
+        showNotification('Queued!');
+      })
+      .catch((error) => {
+        console.error(`Error queuing last post ${action}:`, error);
+        alert('Failed to queue the Discord request. Check console for details.');
+      });
+  }
+
+  loadLastPosts().then(posts => {
+    lastPosts = posts;
+    renderLastPost();
+  });
+
+  // Re-send the current data into the last post
+  updateLastPostButton.addEventListener('click', function () {
+    queueLastPostAction('edit');
+  });
+
+  // Remove the last post from the channel
+  deleteLastPostButton.addEventListener('click', function () {
+    if (confirm('Delete the last post from Discord?')) {
+      queueLastPostAction('delete');
+    }
+  });
+
+  // ============================================================================
+  // OUTBOX STATUS
+  // Shows pending and permanently failed Discord messages (see outbox.js)
+  // ============================================================================
+
+  /**
+   * Renders the outbox: a pending count plus each failed message
+   * with Retry and Discard buttons
+   *
+   * @param {Array} entries - Outbox entries
+   */
+  function renderOutbox(entries) {
+    const pending = entries.filter(e => e.status === 'pending');
+    const failed = entries.filter(e => e.status === 'failed');
+
+    // Anything this popup queued that is no longer in the outbox was delivered
+    for (const id of Array.from(queuedMessageIds)) {
+      if (!entries.find(e => e.id === id)) {
+        queuedMessageIds.delete(id);
+        showNotification('Sent!');
+      }
+    }
+
+    outboxStatus.innerHTML = '';
+    if (pending.length > 0) {
+      const retrying = pending.filter(e => e.lastError);
+      const line = document.createElement('div');
+      line.textContent = retrying.length > 0
+        ? `Sending ${pending.length} message(s)... (retrying: ${retrying[0].lastError})`
+        : `Sending ${pending.length} message(s)...`;
+      outboxStatus.appendChild(line);
+    }
+
+    for (const entry of failed) {
+      const row = document.createElement('div');
+      row.className = 'outboxFailed';
+      row.textContent = `Failed (${entry.profile.name}): ${entry.lastError} `;
+
+      const retryButton = document.createElement('button');
+      retryButton.className = 'smallButton';
+      retryButton.textContent = 'Retry';
+      retryButton.addEventListener('click', () => {
+        queuedMessageIds.add(entry.id);
+        retryOutboxEntry(entry.id).catch((error) => {
+          console.error('Error retrying outbox entry:', error);
+          alert('Failed to retry the Discord message. Check console for details.');
+        });
+      });
+
+      const discardButton = document.createElement('button');
+      discardButton.className = 'smallButton';
+      discardButton.textContent = 'Discard';
+      discardButton.addEventListener('click', () => {
+        discardOutboxEntry(entry.id).catch((error) => {
+          console.error('Error discarding outbox entry:', error);
+          alert('Failed to discard the Discord message. Check console for details.');
+        });
+      });
+
+      row.appendChild(retryButton);
+      row.appendChild(discardButton);
+      outboxStatus.appendChild(row);
+    }
+  }
+
+  loadOutbox().then(renderOutbox);
+
+  // Live updates while the background worker delivers
+  chrome.storage.onChanged.addListener(function (changes, areaName) {
+    if (areaName === 'local' && changes[OUTBOX_KEY]) {
+      renderOutbox(changes[OUTBOX_KEY].newValue || []);
+    }
+    if (areaName === 'local' && changes[LAST_POSTS_KEY]) {
+      lastPosts = changes[LAST_POSTS_KEY].newValue || {};
+      renderLastPost();
+    }
+    if (areaName === 'local' && changes[HISTORY_KEY]) {
+      historyEntries = changes[HISTORY_KEY].newValue || [];
+      renderHistory();
+    }
+    if (areaName === 'sync' && changes[HUB_SETTINGS_KEY]) {
+      refreshSystemData();  // Saved on the options page - show the new hub list
+    }
+    if (areaName === 'sync' && isSettingChange(changes, ALERT_RULES_KEY)) {
+      loadSettings().then(updateTemplatePreview);  // Also saved on the options page
+    }
+  });
+
+  // ============================================================================
+  // HISTORY
+  // Recent copies and sends, with search, copy again and resend (see history.js)
+  // ============================================================================
+
+  /**
+   * Renders the history entries that match the search box
+   */
+  function renderHistory() {
+    const matches = searchHistory(historyEntries, historySearchInput.value);
+    historyList.innerHTML = '';
+
+    if (matches.length === 0) {
+      historyList.textContent = historyEntries.length === 0 ? 'Nothing copied or sent yet.' : 'No matches.';
+      return;
+    }
+
+    for (const entry of matches) {
+      const row = document.createElement('div');
+      row.className = 'historyEntry';
+
+      const summary = document.createElement('div');
+      const time = new Date(entry.createdAt).toLocaleString();
+      const result = entry.error ? `${entry.result}: ${entry.error}` : entry.result;
+      summary.textContent = `${time} · ${describeHistoryTarget(entry)} · ${result}`;
+
+      const text = document.createElement('div');
+      text.className = 'historyText';
+      text.textContent = entry.text;
+
+      const copyAgainButton = document.createElement('button');
+      copyAgainButton.className = 'smallButton';
+      copyAgainButton.textContent = 'Copy';
+      copyAgainButton.addEventListener('click', () => copyToClipboard(entry.text));
+
+      row.appendChild(summary);
+      row.appendChild(text);
+      row.appendChild(copyAgainButton);
+
+      // Resend to the same webhook profile (its current settings, if it still exists)
+      if (entry.target.type === 'webhook' && entry.payload) {
+        const resendButton = document.createElement('button');
+        resendButton.className = 'smallButton';
+        resendButton.textContent = 'Resend';
+        resendButton.addEventListener('click', () => resendHistoryEntry(entry));
+        row.appendChild(resendButton);
+      }
+
+      historyList.appendChild(row);
+    }
+  }
+
+  /**
+   * Queues a history entry's payload again for its webhook profile
+   *
+   * @param {Object} entry - History entry with a webhook target
+   */
+  function resendHistoryEntry(entry) {
+    const profile = webhookState.profiles.find(p => p.id === entry.target.profileId);
+    if (!profile) {
+      alert(`The webhook profile "${entry.target.profileName}" no longer exists.`);
+      return;
+    }
+
+    queueDiscordMessages(entry.payload, [profile], {
+      action: 'post',
+      label: entry.record.system,
+      record: entry.record,
+      text: entry.text
+    })
+      .then((ids) => {
+        ids.forEach(id => queuedMessageIds.add(id));
+        showNotification('Queued!');
+      })
+      .catch((error) => {
+        console.error('Error resending history entry:', error);
+        alert('Failed to queue the Discord message. Check console for details.');
+      });
+  }
+
+  loadHistory().then(entries => {
+    historyEntries = entries;
+    renderHistory();
+  });
+
+  historySearchInput.addEventListener('input', renderHistory);
+
+  clearHistoryButton.addEventListener('click', function () {
+    if (confirm('Clear the whole history?')) {
+      clearHistory().catch((error) => {
+        console.error('Error clearing history:', error);
+        alert('Failed to clear the history. Check console for details.');
+      });
+    }
+  });
+
+  // ============================================================================
+  // CHAIN REPORT
+  // Several systems collected into a named chain and exported as one
+  // message (see chain.js)
+  // ============================================================================
+
+  /**
+   * @returns {Object|null} - The chain the popup adds to
+   */
+  function getSelectedChain() {
+    return chainState.chains.find(c => c.id === chainState.selectedId) || null;
+  }
+
+  /**
+   * Saves chainState, and says so when storage refuses it
+   *
+   * @returns {Promise<boolean>} - Whether the chains were saved
+   */
+  function storeChains() {
+    const saving = saveChains(chainState.chains, chainState.selectedId)
+      .then(() => true)
+      .catch(error => {
+        console.error('Error saving chains:', error);
+        return false;
+      });
+    return notifyIfNotSaved(saving, 'Could not save the chain - see the console');
+  }
+
+  /**
+   * Stores a changed chain and redraws the panel
+   *
+   * @param {Object} chain - Updated chain (replaces the one with the same id)
+   */
+  function updateChain(chain) {
+    chainState.chains = chainState.chains.map(c => (c.id === chain.id ? chain : c));
+    storeChains();
+    renderChain();
+  }
+
+  /**
+   * Creates a button for a chain entry row
+   *
+   * @param {string} label - Button text
+   * @param {string} title - Tooltip
+   * @param {Function} onClick - Click handler
+   * @returns {HTMLButtonElement}
+   */
+  function createChainButton(label, title, onClick) {
+    const button = document.createElement('button');
+    button.className = 'smallButton';
+    button.textContent = label;
+    button.title = title;
+    button.addEventListener('click', onClick);
+    return button;
+  }
+
+  /**
+   * Redraws the chain dropdown, the selected chain's entries and the preview
+   */
+  function renderChain() {
+    chainDropdown.innerHTML = '';
+    for (const c of chainState.chains) {
+      const option = document.createElement('option');
+      option.value = c.id;
+      option.textContent = `${c.name} (${c.entries.length})`;
+      chainDropdown.appendChild(option);
+    }
+
+    const chain = getSelectedChain();
+    chainDropdown.value = chain ? chain.id : '';
+    chainDropdown.disabled = !chain;
+    deleteChainButton.disabled = !chain;
+    addToChainButton.disabled = !currentRecord;
+    clearChainButton.disabled = !chain || chain.entries.length === 0;
+    copyChainButton.disabled = clearChainButton.disabled;
+    sendChainButton.disabled = clearChainButton.disabled;
+
+    chainList.innerHTML = '';
+    renderChainPreview();
+    if (!chain || chain.entries.length === 0) {
+      chainList.textContent = 'Add the selected system, pick the next one on the map, add it, and so on.';
+      return;
+    }
+
+    chain.entries.forEach((entry, index) => {
+      const row = document.createElement('div');
+      row.className = 'chainEntry';
+      row.appendChild(document.createTextNode(`${index + 1}. ${entry.record.system} `));
+
+      const noteInput = document.createElement('input');
+      noteInput.type = 'text';
+      noteInput.className = 'chainNote';
+      noteInput.placeholder = 'Note (e.g. EOL)';
+      noteInput.value = entry.note;
+      noteInput.addEventListener('change', () => updateChain(setChainNote(getSelectedChain(), index, noteInput.value)));
+      row.appendChild(noteInput);
+
+      row.appendChild(createChainButton('↑', 'Move up', () => updateChain(moveChainEntry(getSelectedChain(), index, -1))));
+      row.appendChild(createChainButton('↓', 'Move down', () => updateChain(moveChainEntry(getSelectedChain(), index, 1))));
+      row.appendChild(createChainButton('✕', 'Remove', () => updateChain(removeChainEntry(getSelectedChain(), index))));
+      chainList.appendChild(row);
+    });
+  }
+
+  /**
+   * Shows the chain as it will be copied, with the current output template
+   */
+  function renderChainPreview() {
+    const chain = getSelectedChain();
+    chainPreview.textContent = chain && chain.entries.length > 0
+      ? formatChainText(chain, chainFormatDropdown.value, templateEditor.value)
+      : '';
+  }
+
+  for (const format of CHAIN_FORMATS) {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.name;
+    chainFormatDropdown.appendChild(option);
+  }
+  chainFormatDropdown.value = getSetting('chainFormat');
+
+  loadChains().then(state => {
+    chainState = state;
+    renderChain();
+  });
+
+  chainDropdown.addEventListener('change', function () {
+    chainState.selectedId = chainDropdown.value;
+    storeChains();
+    renderChain();
+  });
+
+  newChainButton.addEventListener('click', function () {
+    const name = prompt('Chain name:', `Chain ${chainState.chains.length + 1}`);
+    if (!name || name.trim() === '') {
+      return;
+    }
+    const chain = createChain(name.trim());
+    chainState.chains.push(chain);
+    chainState.selectedId = chain.id;
+    storeChains();
+    renderChain();
+  });
+
+  deleteChainButton.addEventListener('click', function () {
+    const chain = getSelectedChain();
+    if (!chain || !confirm(`Delete the chain "${chain.name}"?`)) {
+      return;
+    }
+    chainState.chains = chainState.chains.filter(c => c.id !== chain.id);
+    chainState.selectedId = chainState.chains[0] ? chainState.chains[0].id : null;
+    storeChains();
+    renderChain();
+  });
+
+  // Starts a chain called "Chain 1" if there is none yet
+  addToChainButton.addEventListener('click', function () {
+    let chain = getSelectedChain();
+    if (!chain) {
+      chain = createChain('Chain 1');
+      chainState.chains.push(chain);
+      chainState.selectedId = chain.id;
+    }
+    updateChain(addToChain(chain, currentRecord));
+    showNotification('Added!');
+  });
+
+  clearChainButton.addEventListener('click', function () {
+    const chain = getSelectedChain();
+    if (chain && confirm(`Remove every system from "${chain.name}"?`)) {
+      updateChain(Object.assign({}, chain, { entries: [], updatedAt: Date.now() }));
+    }
+  });
+
+  chainFormatDropdown.addEventListener('change', function () {
+    notifyIfNotSaved(setSetting('chainFormat', chainFormatDropdown.value));
+    renderChainPreview();
+  });
+
+  copyChainButton.addEventListener('click', function () {
+    copyToClipboard(formatChainText(getSelectedChain(), chainFormatDropdown.value, templateEditor.value));
+  });
+
+  // Long embed lists go out as several messages, queued in order
+  sendChainButton.addEventListener('click', async function () {
+    const chain = getSelectedChain();
+    const targets = getTargetProfiles(webhookState);
+    if (targets.length === 0) {
+      alert('Please add a webhook profile first (or tick at least one profile)!');
+      return;
+    }
+
+    try {
+      for (const payload of buildChainPayloads(chain, chainFormatDropdown.value, templateEditor.value)) {
+        const ids = await queueDiscordMessages(payload, targets, { action: 'post', label: chain.name });
+        ids.forEach(id => queuedMessageIds.add(id));
+      }
+      showNotification('Queued!');
+    } catch (error) {
+      console.error('Error queuing chain:', error);
+      alert('Failed to queue the Discord message. Check console for details.');
+    }
+  });
+
+  // ============================================================================
+  // SELECTOR PROFILE AND DIAGNOSTICS
+  // Which selector profile the scraper uses, and what each strategy found
+  // (see selectors.js)
+  // ============================================================================
+
+  /**
+   * Shows which selector profile is in use
+   */
+  function renderSelectorProfileInfo() {
+    Promise.all([loadImportedSelectorProfile(), loadBuiltInSelectorProfile()])
+      .then(([imported, builtIn]) => {
+        if (imported) {
+          selectorProfileInfo.textContent =
+            `Imported profile: ${imported.name} rev ${imported.revision} (built-in is rev ${builtIn.revision})`;
+        } else {
+          selectorProfileInfo.textContent = `Built-in profile: ${builtIn.name} rev ${builtIn.revision}`;
+        }
+        resetSelectorsButton.disabled = !imported;
+      })
+      .catch(error => console.error('Error loading selector profiles:', error));
+  }
+
+  /**
+   * Lists, per field, which strategy matched and why the others didn't
+   *
+   * @param {Object|null} diagnostics - From the getSystemData() result
+   */
+  function renderDiagnostics(diagnostics) {
+    if (!diagnostics) {
+      diagnosticsOutput.textContent = 'No diagnostics for this page.';
+      return;
+    }
+
+    const lines = [`Profile: ${diagnostics.profile.name} rev ${diagnostics.profile.revision}`];
+    for (const field of diagnostics.fields) {
+      lines.push('', `${field.field}: ${field.matched || 'NOT FOUND'}`);
+      for (const attempt of field.attempts) {
+        const mark = attempt.matched ? '✓' : '✗';
+        lines.push(`  ${mark} ${attempt.strategy} (${attempt.candidates} candidates): ${attempt.reason}`);
+      }
+    }
+    diagnosticsOutput.textContent = lines.join('\n');
+  }
+
+  renderSelectorProfileInfo();
+
+  importSelectorsButton.addEventListener('click', function () {
+    selectorsFileInput.click();
+  });
+
+  selectorsFileInput.addEventListener('change', function () {
+    const file = selectorsFileInput.files[0];
+    selectorsFileInput.value = '';
+    if (!file) {
+      return;
+    }
+
+    file.text()
+      .then(importSelectorProfile)
+      .then((profile) => {
+        console.log(`Imported selector profile ${profile.name} rev ${profile.revision}`);
+        renderSelectorProfileInfo();
+        refreshSystemData();
+      })
+      .catch((error) => {
+        console.error('Error importing selector profile:', error);
+        alert(`Could not import the selector profile:\n${error.message}`);
+      });
+  });
+
+  resetSelectorsButton.addEventListener('click', function () {
+    if (!confirm('Stop using the imported selector profile and go back to the built-in one?')) {
+      return;
+    }
+    resetSelectorProfile().then(() => {
+      renderSelectorProfileInfo();
+      refreshSystemData();
+    });
   });
 
   // ============================================================================
-  // DISCORD BUTTON HANDLER
-  // Sends formatted system data to Discord webhook
+  // THEME MANAGEMENT
+  // Theme dropdown and editor: built-in themes from colors.json plus the
+  // user's custom themes (see themes.js)
   // ============================================================================
-  
-  if (discordButton && !discordButton.dataset.listenerAdded) {
-    discordButton.addEventListener('click', function () {
-      // Prevent duplicate sends
-      if (isSendingToDiscord) {
-        console.log('Message is already being sent. Please wait.');
-        return;
+
+  let builtInThemes = null;         // colors.json, loaded once
+  const themeColorInputs = {};      // "group.key" -> <input type="color">
+
+  // One color picker per theme color, generated from the schema
+  for (const [group, section] of Object.entries(THEME_SCHEMA)) {
+    const row = document.createElement('div');
+    row.className = 'themeGroup';
+    row.appendChild(document.createTextNode(`${section.label}: `));
+    for (const [key, label] of Object.entries(section.colors)) {
+      const input = document.createElement('input');
+      input.type = 'color';
+      input.title = `${section.label} - ${label}`;
+      // Live preview - nothing is saved until Save is clicked
+      input.addEventListener('input', () => applyTheme(readEditedTheme('')));
+      themeColorInputs[`${group}.${key}`] = input;
+      row.appendChild(input);
+    }
+    themeColorInputsContainer.appendChild(row);
+  }
+
+  /**
+   * @param {string} name - Name for the theme
+   * @returns {Object} - A theme built from the editor's color pickers
+   */
+  function readEditedTheme(name) {
+    const theme = { name: name };
+    for (const [group, section] of Object.entries(THEME_SCHEMA)) {
+      theme[group] = {};
+      for (const key of Object.keys(section.colors)) {
+        theme[group][key] = themeColorInputs[`${group}.${key}`].value;
       }
+    }
+    return theme;
+  }
 
-      // Set flag and create unique request ID
-      isSendingToDiscord = true;
-      lastRequestId = Date.now();
-      console.log('Starting to send message to Discord...', lastRequestId);
+  /**
+   * Rebuilds the theme dropdown, applies the selected theme and loads it
+   * into the editor. A missing or incomplete theme is reported, not hidden.
+   *
+   * @param {string} selectedId - Theme id to select
+   */
+  function populateThemeDropdown(selectedId) {
+    const selected = resolveTheme(builtInThemes, selectedId);
+    themeDropdown.innerHTML = '';
 
-      // Get the formatted data from the UI
-      const numbers = document.getElementById('number').innerText;
-      const header = document.getElementById('headerData').innerText;
-      const fullText = numbers ? `${header} ${numbers}` : header;
+    for (const t of getAllThemes(builtInThemes)) {
+      const option = document.createElement('option');
+      option.value = t.id;
+      option.textContent = t.builtIn ? t.name : `${t.name} (custom)`;
+      themeDropdown.appendChild(option);
+    }
 
-      // Get webhook URL
-      const webhookUrl = webhookUrlInput.value;
+    themeDropdown.value = selected.id;
+    deleteThemeButton.disabled = selected.builtIn;
+    notifyIfNotSaved(setSelectedThemeId(selected.id));
+    applyTheme(selected.theme);
 
-      // Validate webhook URL
-      if (!webhookUrl || webhookUrl.trim() === '') {
-        alert('Please enter a Discord Webhook URL first!');
-        isSendingToDiscord = false;
-        return;
+    for (const [group, section] of Object.entries(THEME_SCHEMA)) {
+      for (const key of Object.keys(section.colors)) {
+        themeColorInputs[`${group}.${key}`].value = toColorInputValue(selected.theme[group][key]);
       }
+    }
 
-      // Send to Discord
-      sendToDiscord(fullText, webhookUrl, lastRequestId)
-        .then(() => {
-          console.log('Message sent successfully.', lastRequestId);
-          // Optional: Show success notification
-        })
-        .catch((error) => {
-          console.error('Error sending message:', error);
-          alert('Failed to send to Discord. Check console for details.');
-        })
-        .finally(() => {
-          // Reset flag after sending is complete
-          isSendingToDiscord = false;
-          console.log('Sending process finished for request:', lastRequestId);
-        });
-    });
-
-    // Mark that listener has been added (prevents duplicate listeners)
-    discordButton.dataset.listenerAdded = true;
+    themeProblems.textContent = selected.problems.join('\n');
+    if (selected.problems.length > 0) {
+      console.warn(`Theme ${selectedId}:`, selected.problems);
+      showNotification(selected.problems[0]);
+    }
+    console.log(`Theme loaded: ${selected.id}`);
   }
 
-  // ============================================================================
-  // THEME MANAGEMENT
-  // Handles theme selection and applies colors from colors.json
-  // ============================================================================
-  
-  // Load saved theme or default to 'default' theme
-  const savedTheme = localStorage.getItem('theme') || 'default';
-  applyTheme(savedTheme);
-  themeDropdown.value = savedTheme;
-  console.log(`Theme loaded: ${savedTheme}`);
+  loadBuiltInThemes()
+    .then(themes => {
+      builtInThemes = themes;
+      populateThemeDropdown(getSelectedThemeId());
+    })
+    .catch(error => console.error('Error loading colors.json:', error));
 
   // Handle theme changes
   themeDropdown.addEventListener('change', function () {
-    const selectedTheme = themeDropdown.value;
-    applyTheme(selectedTheme);
-    localStorage.setItem('theme', selectedTheme);
-    console.log(`Theme changed to: ${selectedTheme}`);
+    populateThemeDropdown(themeDropdown.value);
+    console.log(`Theme changed to: ${themeDropdown.value}`);
+  });
+
+  // Saves the editor's colors; built-in themes are saved as a new custom theme
+  saveThemeButton.addEventListener('click', function () {
+    const selected = resolveTheme(builtInThemes, themeDropdown.value);
+    const name = prompt('Theme name:', selected.builtIn ? '' : selected.name);
+    if (!name || name.trim() === '') {
+      return;
+    }
+
+    // Keep the same id when overwriting a custom theme under its own name
+    const overwrite = !selected.builtIn && name.trim() === selected.name;
+    saveCustomTheme(overwrite ? selected.id : null, readEditedTheme(name.trim()))
+      .then(populateThemeDropdown)
+      .catch(error => {
+        console.error('Error saving theme:', error);
+        alert(error.message);
+      });
+  });
+
+  deleteThemeButton.addEventListener('click', function () {
+    const selected = resolveTheme(builtInThemes, themeDropdown.value);
+    if (selected.builtIn || !confirm(`Delete theme "${selected.name}"?`)) {
+      return;
+    }
+    notifyIfNotSaved(deleteCustomTheme(selected.id))
+      .then(() => populateThemeDropdown(getSelectedThemeId()));
+  });
+
+  importThemeButton.addEventListener('click', function () {
+    themeFileInput.click();
+  });
+
+  themeFileInput.addEventListener('change', function () {
+    const file = themeFileInput.files[0];
+    themeFileInput.value = '';
+    if (!file) {
+      return;
+    }
+
+    file.text()
+      .then(importCustomTheme)
+      .then(id => populateThemeDropdown(id))
+      .catch((error) => {
+        console.error('Error importing theme:', error);
+        alert(`Could not import the theme:\n${error.message}`);
+      });
+  });
+
+  // Downloads the editor's colors (including unsaved changes) as a JSON file
+  exportThemeButton.addEventListener('click', function () {
+    const name = resolveTheme(builtInThemes, themeDropdown.value).name;
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([exportTheme(readEditedTheme(name))], { type: 'application/json' }));
+    link.download = `${name.replace(/[^\w-]+/g, '-')}.json`;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
   });
 
   // ============================================================================
@@ -136,45 +1294,149 @@ document.addEventListener('DOMContentLoaded', function () {
   // Scrapes system data from wormholes.new-eden.io/maps
   // ============================================================================
   
-  console.log('Fetching data from active tab...');
-  chrome.tabs.query({ active: true, currentWindow: true }, function (tabs) {
-    // Execute scraping function in the context of the webpage
-    chrome.scripting.executeScript({
-      target: { tabId: tabs[0].id },
-      function: getSystemData  // This function runs on the webpage
-    }, (results) => {
-      // Handle execution errors
-      if (chrome.runtime.lastError) {
-        console.error('Chrome Runtime Error:', chrome.runtime.lastError.message);
-        document.getElementById('headerData').innerText = 'Error: ' + chrome.runtime.lastError.message;
-        disableButtons();
-        return;
-      }
-      
-      // Process the scraped data
-      const data = results[0].result;
-      console.log('Scraped data received:', data);
+  // Region, constellation and effect, added to every result (see systems.js)
+  const systemInfoLoaded = loadSystemInfo().catch(error => {
+    console.error('Error loading system info:', error);
+    return null;
+  });
+  
+  /**
+   * Displays a getSystemData() result and enables the buttons if it has data
+   *
+   * @param {Object} data - {success, record, error}
+   */
+  function showScrapeResult(data) {
+    if (data && data.success) {
+      // Data extraction successful - display a summary of the record
+      const summary = formatRecordSummary(data.record);
+      document.getElementById('headerData').innerText = summary.header;
       
-      if (data && data.success) {
-        // Data extraction successful
-        document.getElementById('headerData').innerText = data.header;
-        
-        const numberElement = document.getElementById('number');
-        if (data.destinations && data.destinations.trim() !== '') {
-          numberElement.innerText = data.destinations;
-          enableButtons();  // Enable copy and Discord buttons
-        } else {
-          numberElement.innerText = '';
-          disableButtons();  // No data, disable buttons
-        }
+      const numberElement = document.getElementById('number');
+      if (data.record.destinations.length > 0) {
+        numberElement.innerText = summary.destinations;
+        currentRecord = data.record;
+        enableButtons();  // Enable copy and Discord buttons
       } else {
-        // Data extraction failed
-        console.error('Error from content script:', data ? data.error : 'No data returned');
-        document.getElementById('headerData').innerText = data && data.error ? data.error : 'No system selected.';
-        document.getElementById('number').innerText = '';
-        disableButtons();
+        numberElement.innerText = '';
+        currentRecord = null;
+        disableButtons();  // No data, disable buttons
       }
+    } else {
+      // Data extraction failed
+      console.error('Error from content script:', data ? data.error : 'No data returned');
+      document.getElementById('headerData').innerText = data && data.error ? data.error : 'No system selected.';
+      document.getElementById('number').innerText = '';
+      currentRecord = null;
+      disableButtons();
+    }
+    updateTemplatePreview();
+    renderLastPost();
+    renderChain();
+    renderDiagnostics(data ? data.diagnostics : null);
+  }
+
+  /**
+   * Shows the active tab's auto-captured result, if any, while a fresh
+   * scrape runs (see capture.js)
+   *
+   * @returns {Promise} - Resolves once the cached result (if any) is shown
+   */
+  function showCachedCapture() {
+    return Promise.all([
+      chrome.tabs.query({ active: true, currentWindow: true }).then(tabs => loadCapturedData(tabs[0].id)),
+      systemInfoLoaded,
+      loadHubSettings()
+    ])
+      .then(([capture, systemInfo, hubSettings]) => {
+        if (capture) {
+          console.log('Showing auto-captured data from', new Date(capture.capturedAt).toLocaleTimeString());
+          showScrapeResult(applyHubSettingsToResult(enrichScrapeResult(capture.data, systemInfo), hubSettings));
+        }
+      })
+      .catch(error => console.error('Error loading auto-captured data:', error));
+  }
+
+  /**
+   * Runs getSystemData() on the active tab and displays the result
+   */
+  function refreshSystemData() {
+    console.log('Fetching data from active tab...');
+
+    // Shown when the page can't be read at all - no record, no diagnostics
+    const showRefreshError = message => {
+      document.getElementById('headerData').innerText = 'Error: ' + message;
+      document.getElementById('number').innerText = '';
+      currentRecord = null;
+      updateTemplatePreview();
+      renderDiagnostics(null);
+      disableButtons();
+    };
+
+    Promise.all([
+      chrome.tabs.query({ active: true, currentWindow: true }),
+      loadSelectorProfile(),
+      loadKnownSystems(),
+      systemInfoLoaded,
+      loadHubSettings()
+    ]).then(([tabs, selectorProfile, knownSystems, systemInfo, hubSettings]) => {
+      // Execute scraping function in the context of the webpage (see scraper.js)
+      chrome.scripting.executeScript({
+        target: { tabId: tabs[0].id },
+        function: getSystemData,  // This function runs on the webpage
+        args: [{
+          routeMode: routeModeDropdown.value,
+          routeDetail: routeDetailCheckbox.checked,
+          selectorProfile: selectorProfile,
+          knownSystems: knownSystems
+        }]
+      }, (results) => {
+        // Handle execution errors
+        if (chrome.runtime.lastError) {
+          console.error('Chrome Runtime Error:', chrome.runtime.lastError.message);
+          showRefreshError(chrome.runtime.lastError.message);
+          return;
+        }
+        
+        // Process the scraped data
+        const data = results[0].result;
+        console.log('Scraped data received:', data);
+        showScrapeResult(applyHubSettingsToResult(enrichScrapeResult(data, systemInfo), hubSettings));
+      });
+    }).catch(error => {
+      // The selector profile, system data or hub settings couldn't be loaded
+      console.error('Error preparing the grab:', error);
+      showRefreshError(error.message);
     });
+  }
+
+  // Route mode: which route tabs (SHORTEST/SECURE) to capture
+  routeModeDropdown.value = getSetting('routeMode');
+  routeModeDropdown.addEventListener('change', function () {
+    notifyIfNotSaved(setSetting('routeMode', routeModeDropdown.value));
+    console.log(`Route mode changed to: ${routeModeDropdown.value}`);
+    refreshSystemData();
+  });
+
+  // Route detail: expand each hub's route to count lowsec/nullsec jumps
+  routeDetailCheckbox.checked = getSetting('routeDetail');
+  routeDetailCheckbox.addEventListener('change', function () {
+    notifyIfNotSaved(setSetting('routeDetail', routeDetailCheckbox.checked));
+    console.log(`Route detail ${routeDetailCheckbox.checked ? 'enabled' : 'disabled'}`);
+    refreshSystemData();
+  });
+
+  showCachedCapture().then(refreshSystemData);
+
+  // Hub order, hidden hubs and aliases are edited on the options page (hubs.js)
+  hubOptionsButton.addEventListener('click', function () {
+    chrome.runtime.openOptionsPage();
+  });
+
+  // Auto-capture: keep the map page's data cached in the background (capture.js)
+  autoCaptureCheckbox.checked = Boolean(getSetting(AUTO_CAPTURE_KEY));
+  autoCaptureCheckbox.addEventListener('change', function () {
+    notifyIfNotSaved(setSetting(AUTO_CAPTURE_KEY, autoCaptureCheckbox.checked));
+    console.log(`Auto-capture ${autoCaptureCheckbox.checked ? 'enabled' : 'disabled'}`);
   });
 
   // ============================================================================
@@ -182,11 +1444,43 @@ document.addEventListener('DOMContentLoaded', function () {
   // Copies formatted system data to clipboard
   // ============================================================================
   
+  // The copy format picks plain text, a Markdown/CSV/TSV table or an
+  // HTML table (see buildClipboardContent() in record.js)
+  for (const format of COPY_FORMATS) {
+    const option = document.createElement('option');
+    option.value = format.id;
+    option.textContent = format.name;
+    copyFormatDropdown.appendChild(option);
+  }
+  copyFormatDropdown.value = getSetting('copyFormat');
+  copyFormatDropdown.addEventListener('change', function () {
+    notifyIfNotSaved(setSetting('copyFormat', copyFormatDropdown.value));
+    console.log(`Copy format changed to: ${copyFormatDropdown.value}`);
+  });
+
   copyButton.addEventListener('click', function () {
-    const numbers = document.getElementById('number').innerText;
-    const header = document.getElementById('headerData').innerText;
-    const fullText = numbers ? `${header} ${numbers}` : header;
-    copyToClipboard(fullText);
+    const record = currentRecord;
+    const content = buildClipboardContent(record, copyFormatDropdown.value, getOutputText());
+    copyToClipboard(content.text, content.html).then(copied => {
+      if (copied) {
+        return addCopyToHistory(record, content.text, 'copy');
+      }
+    }).catch(error => console.error('Error adding the copy to the history:', error));
+  });
+
+  // ============================================================================
+  // COPY AS JSON BUTTON HANDLER
+  // Copies the raw system record so bots can ingest it directly
+  // ============================================================================
+
+  copyJsonButton.addEventListener('click', function () {
+    const record = currentRecord;
+    const json = formatRecordAsJson(record);
+    copyToClipboard(json).then(copied => {
+      if (copied) {
+        return addCopyToHistory(record, json, 'copy-json');
+      }
+    }).catch(error => console.error('Error adding the copy to the history:', error));
   });
 });
 
@@ -196,13 +1490,15 @@ document.addEventListener('DOMContentLoaded', function () {
 // ============================================================================
 
 /**
- * Disables copy and Discord buttons when no system is selected
+ * Disables copy, JSON and Discord buttons when no system is selected
  */
 function disableButtons() {
   const copyButton = document.getElementById('copyButton');
+  const copyJsonButton = document.getElementById('copyJsonButton');
   const discordButton = document.getElementById('sendToDiscordButton');
   
   copyButton.disabled = true;
+  copyJsonButton.disabled = true;
   discordButton.disabled = true;
   copyButton.style.opacity = '0.5';
   discordButton.style.opacity = '0.5';
@@ -213,13 +1509,15 @@ function disableButtons() {
 }
 
 /**
- * Enables copy and Discord buttons when system data is available
+ * Enables copy, JSON and Discord buttons when system data is available
  */
 function enableButtons() {
   const copyButton = document.getElementById('copyButton');
+  const copyJsonButton = document.getElementById('copyJsonButton');
   const discordButton = document.getElementById('sendToDiscordButton');
   
   copyButton.disabled = false;
+  copyJsonButton.disabled = false;
   discordButton.disabled = false;
   copyButton.style.opacity = '1';
   discordButton.style.opacity = '1';
@@ -229,609 +1527,130 @@ function enableButtons() {
   console.log('Buttons enabled - system data available');
 }
 
-// ============================================================================
-// DISCORD INTEGRATION
-// Sends formatted data to Discord webhook
-// ============================================================================
-
-/**
- * Sends data to Discord webhook using HTTP POST
- * 
- * IMPORTANT: Discord webhooks return HTTP 204 (No Content) on success,
- * which means there's no response body to parse. Don't try to parse JSON!
- * 
- * @param {string} data - The formatted system data to send
- * @param {string} webhookUrl - Discord webhook URL
- * @param {number} requestId - Unique request identifier for logging
- * @returns {Promise} - Resolves when message is sent
- */
-function sendToDiscord(data, webhookUrl, requestId) {
-  console.log('Request to send message initiated:', requestId);
-
-  return fetch(webhookUrl, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      content: data
-    })
-  })
-  .then(response => {
-    if (!response.ok) {
-      throw new Error(`Discord API returned status ${response.status}`);
-    }
-    console.log('Message sent successfully for requestId:', requestId);
-    
-    // Discord returns 204 No Content on success - no JSON to parse
-    // Only try to parse JSON if there's actually content
-    if (response.status === 204 || response.headers.get('content-length') === '0') {
-      return null;  // Success, but no content to return
-    }
-    
-    // If there is content (error responses), parse it
-    return response.json();
-  })
-  .catch(error => {
-    console.error('Error sending to Discord (requestId:', requestId, '):', error);
-    throw error;  // Re-throw to be caught by the button handler
-  });
-}
-
 // ============================================================================
 // THEME SYSTEM
-// Loads and applies color schemes from colors.json
+// Applies a theme's colors (themes.js loads and validates them)
 // ============================================================================
 
 /**
- * Applies a theme by loading colors from colors.json
- * Themes available: default, dark, glacier, amarr, caldari, gallente, 
- *                   minmatar, SEND, pink, tyrian, nebula
+ * Applies a theme's colors to the popup
  * 
- * TO ADD A NEW THEME:
- * 1. Add theme definition to colors.json
- * 2. Add option to HTML dropdown in popup.html
+ * The buttons are colored through CSS variables (see popup.html), so their
+ * :hover rules work without event listeners and applying a theme again
+ * (e.g. during live preview) adds nothing.
  * 
- * @param {string} theme - Theme name to apply
+ * TO ADD A NEW BUILT-IN THEME:
+ * Add it to colors.json - the dropdown and editor are generated from it
+ * (see themes.js for the shape)
+ * 
+ * @param {Object} theme - Complete theme (see resolveTheme() in themes.js)
  */
 function applyTheme(theme) {
-  fetch('colors.json')
-    .then(response => response.json())
-    .then(colors => {
-      // Get theme colors, fallback to default if theme not found
-      const themeColors = colors[theme] || colors.default;
-      console.log(`Applying theme: ${theme}`);
-
-      // Apply background gradient
-      document.body.style.background = `linear-gradient(135deg, ${themeColors.backgroundGradient.start}, ${themeColors.backgroundGradient.end})`;
-
-      // Apply title box colors
-      const titleBox = document.getElementById('titleBox');
-      titleBox.style.backgroundColor = themeColors.titleBox.backgroundColor;
-      titleBox.style.color = themeColors.titleBox.fontColor;
-
-      // Apply copy button colors
-      const copyButton = document.getElementById('copyButton');
-      copyButton.style.background = `linear-gradient(135deg, ${themeColors.copyButton.backgroundGradientStart}, ${themeColors.copyButton.backgroundGradientEnd})`;
-      copyButton.style.color = themeColors.copyButton.fontColor;
-
-      // Add hover effect for copy button
-      copyButton.addEventListener('mouseenter', () => {
-        if (!copyButton.disabled) {
-          copyButton.style.background = themeColors.copyButton.hoverColor;
-        }
-      });
-      copyButton.addEventListener('mouseleave', () => {
-        copyButton.style.background = `linear-gradient(135deg, ${themeColors.copyButton.backgroundGradientStart}, ${themeColors.copyButton.backgroundGradientEnd})`;
-      });
+  const gradient = (start, end) => `linear-gradient(135deg, ${start}, ${end})`;
+  const rootStyle = document.documentElement.style;
 
-      // Apply text colors
-      const headerData = document.getElementById('headerData');
-      headerData.style.color = themeColors.headerData.fontColor;
+  // Apply background gradient
+  document.body.style.background = gradient(theme.backgroundGradient.start, theme.backgroundGradient.end);
 
-      const number = document.getElementById('number');
-      number.style.color = themeColors.number.fontColor;
+  // Apply title box colors
+  const titleBox = document.getElementById('titleBox');
+  titleBox.style.backgroundColor = theme.titleBox.backgroundColor;
+  titleBox.style.color = theme.titleBox.fontColor;
 
-      // Apply notification colors
-      const notification = document.getElementById('copyNotification');
-      notification.style.backgroundColor = themeColors.notification.backgroundColor;
-      notification.style.color = themeColors.notification.fontColor;
-    })
-    .catch(error => console.error('Error loading colors.json:', error));
+  // Apply copy and Discord button colors, including hover
+  for (const [prefix, colors] of [['copy-button', theme.copyButton], ['discord-button', theme.discordButton]]) {
+    rootStyle.setProperty(`--${prefix}-background`, gradient(colors.backgroundGradientStart, colors.backgroundGradientEnd));
+    rootStyle.setProperty(`--${prefix}-hover`, colors.hoverColor);
+    rootStyle.setProperty(`--${prefix}-color`, colors.fontColor);
+  }
+
+  // Apply text colors
+  const headerData = document.getElementById('headerData');
+  headerData.style.color = theme.headerData.fontColor;
+
+  const number = document.getElementById('number');
+  number.style.color = theme.number.fontColor;
+
+  // Apply notification colors
+  const notification = document.getElementById('copyNotification');
+  notification.style.backgroundColor = theme.notification.backgroundColor;
+  notification.style.color = theme.notification.fontColor;
 }
 
 // ============================================================================
-// WEB SCRAPING FUNCTIONS
-// These functions run in the context of the wormholes.new-eden.io webpage
+// CLIPBOARD FUNCTIONALITY
 // ============================================================================
 
 /**
- * MAIN SCRAPING FUNCTION
- * Extracts system data from wormholes.new-eden.io/maps
- * 
- * RETURNS: {
- *   success: boolean,
- *   header: string,        // "System name, Security rating, Connection type,"
- *   destinations: string,  // "Hub1 Jumps1, Hub2 Jumps2, ..."
- *   error: string          // Error message if failed
- * }
- * 
- * OUTPUT FORMAT:
- * "System name, Security rating, Connection type, Hub1 Jumps1, Hub2 Jumps2, ..."
- * Example: "Bairshir, 0.4, C3, Jita 31, Hek 22, Amarr 21, ..."
- * 
- * Note: Connection type (C1-C6) is only included for wormhole connections
- * 
- * SCRAPING STRATEGY:
- * 1. Extract system name from page header
- * 2. Extract security rating (0.0-1.0 for K-space, or negative for null)
- * 3. Extract wormhole connection type (C1-C6) if applicable
- * 4. Detect which tab is active (SHORTEST or SECURE)
- * 5. Extract all destinations from active tab
- * 6. Format and return data
+ * Copies text to clipboard and shows a "Copied!" notification
  * 
- * IF THIS BREAKS:
- * - Check console logs (F12) to see which step failed
- * - Inspect the webpage HTML to find new selectors
- * - Update the extraction functions below
+ * Uses the async Clipboard API. With `html`, both versions go on the
+ * clipboard (text/html and text/plain), so spreadsheets and rich editors
+ * paste a table and plain text fields get the text.
  * 
- * NOTE: All helper functions are defined INSIDE this function to ensure
- * they're available when Chrome injects this code into the webpage
+ * @param {string} text - Text to copy to clipboard
+ * @param {string|null} html - Optional HTML version of the same content
+ * @returns {Promise<boolean>} - true if copied; a rejected write is reported
+ *                               to the user and resolves false
  */
-function getSystemData() {
-  console.log('=== Starting System Data Extraction ===');
-  
-  // ============================================================================
-  // HELPER FUNCTION: Extract system name from the page header
-  // ============================================================================
-  function extractSystemName() {
-    console.log('Extracting system name...');
-    
-    // Strategy 1: Look for header elements in the main content area
-    const headerSelectors = [
-      'main header h6',           // Most specific - main area header
-      'header h6',                 // Any header
-      '.MuiPaper-root header h6',  // Material-UI paper component header
-      '[class*="header"] h6'       // Any element with "header" in class name
-    ];
-    
-    for (const selector of headerSelectors) {
-      const elements = document.querySelectorAll(selector);
-      for (const element of elements) {
-        const text = element.textContent.trim();
-        // System names are typically short (1-30 characters) and don't contain newlines
-        if (text && text.length > 0 && text.length < 30 && !text.includes('\n')) {
-          console.log(`Found system name using selector "${selector}": ${text}`);
-          return text;
-        }
-      }
-    }
-    
-    // Strategy 2: Look for any h6 that might contain the system name
-    const allH6 = document.querySelectorAll('h6');
-    for (const h6 of allH6) {
-      const text = h6.textContent.trim();
-      if (text && text.length > 0 && text.length < 30 && !text.includes('\n')) {
-        // Exclude common UI text that's not a system name
-        if (!text.includes('SHORTEST') && 
-            !text.includes('SECURE') && 
-            !text.includes('Settings') &&
-            !text.includes('Route')) {
-          console.log(`Found system name in h6: ${text}`);
-          return text;
-        }
-      }
-    }
-    
-    console.log('Could not find system name');
-    return null;
-  }
-  
-  // ============================================================================
-  // HELPER FUNCTION: Extract security rating and connection type
-  // ============================================================================
-  /**
-   * Extracts both security rating and wormhole connection type
-   * 
-   * SECURITY RATINGS (K-space):
-   * - High Sec: 1.0, 0.9, 0.8, 0.7, 0.6, 0.5
-   * - Low Sec: 0.4, 0.3, 0.2, 0.1
-   * - Null Sec: 0.0, -0.1 to -1.0
-   * 
-   * WORMHOLE CONNECTION TYPES:
-   * - C1, C2, C3, C4, C5, C6 (represents the destination wormhole class)
-   * 
-   * @param {string} systemName - The system name
-   * @returns {Object} - {securityRating: string, connectionType: string|null}
-   */
-  function extractSecurityAndConnection(systemName) {
-    console.log('Extracting security rating and connection type...');
-    
-    let securityRating = null;
-    let connectionType = null;
-    
-    // STRATEGY 1: Look for the selected system node on the map
-    // The map node should contain both security rating and connection type
-    const mapNodes = document.querySelectorAll('[class*="node"], [class*="system"]');
-    
-    for (const node of mapNodes) {
-      const nodeText = node.textContent;
-      
-      // Check if this node contains the system name
-      if (nodeText.includes(systemName)) {
-        console.log('Found system node on map:', nodeText);
-        
-        // Look for security rating (0.0 to 1.0 or negative for null sec)
-        const securityMatch = nodeText.match(/-?\d\.\d/);
-        if (securityMatch) {
-          securityRating = securityMatch[0];
-          console.log(`Found security rating on node: ${securityRating}`);
-        }
-        
-        // Look for wormhole connection class (C1-C6)
-        const connectionMatch = nodeText.match(/C[1-6]/);
-        if (connectionMatch) {
-          connectionType = connectionMatch[0];
-          console.log(`Found connection type on node: ${connectionType}`);
-        }
-        
-        break;
-      }
-    }
-    
-    // STRATEGY 2: Look for system-type elements (class indicators)
-    if (!securityRating && !connectionType) {
-      const systemTypeElements = document.querySelectorAll('.system-type, [class*="system-type"]');
-      
-      for (const element of systemTypeElements) {
-        const text = element.textContent.trim();
-        
-        // Check if it's a wormhole class
-        if (/C[1-6]/.test(text)) {
-          connectionType = text.match(/C[1-6]/)[0];
-          console.log(`Found connection type in system-type: ${connectionType}`);
-        }
-        // Check if it's a security rating
-        else if (/-?\d\.\d/.test(text)) {
-          securityRating = text.match(/-?\d\.\d/)[0];
-          console.log(`Found security rating in system-type: ${securityRating}`);
-        }
-      }
-    }
-    
-    // STRATEGY 3: Search in header area
-    if (!securityRating || !connectionType) {
-      const headerArea = document.querySelector('main header, header');
-      if (headerArea) {
-        const headerText = headerArea.textContent;
-        
-        if (!securityRating) {
-          const secMatch = headerText.match(/-?\d\.\d/);
-          if (secMatch) {
-            securityRating = secMatch[0];
-            console.log(`Found security rating in header: ${securityRating}`);
-          }
-        }
-        
-        if (!connectionType) {
-          const connMatch = headerText.match(/C[1-6]/);
-          if (connMatch) {
-            connectionType = connMatch[0];
-            console.log(`Found connection type in header: ${connectionType}`);
-          }
-        }
-      }
-    }
-    
-    // Set defaults if not found
-    if (!securityRating) {
-      securityRating = 'Unknown';
-      console.log('Could not find security rating');
-    }
-    
-    // Connection type is optional (only for wormhole connections)
-    if (connectionType) {
-      console.log(`Using connection type: ${connectionType}`);
+async function copyToClipboard(text, html = null) {
+  try {
+    if (html) {
+      await navigator.clipboard.write([new ClipboardItem({
+        'text/plain': new Blob([text], { type: 'text/plain' }),
+        'text/html': new Blob([html], { type: 'text/html' })
+      })]);
     } else {
-      console.log('No wormhole connection type found (system may be direct K-space)');
-    }
-    
-    return { securityRating, connectionType };
-  }
-  
-  // ============================================================================
-  // HELPER FUNCTION: Detect which tab (SHORTEST or SECURE) is currently active
-  // ============================================================================
-  function detectActiveTab() {
-    console.log('Detecting active tab...');
-    
-    // Look for tab buttons or indicators
-    const tabButtons = document.querySelectorAll('button, [role="tab"]');
-    
-    for (const button of tabButtons) {
-      const text = button.textContent.trim().toUpperCase();
-      
-      // Check if this button contains SHORTEST or SECURE
-      if (text === 'SHORTEST' || text === 'SECURE') {
-        // Check if it's selected/active using common selection indicators
-        const isActive = 
-          button.getAttribute('aria-selected') === 'true' ||
-          button.classList.contains('Mui-selected') ||
-          button.classList.contains('active') ||
-          button.hasAttribute('data-selected');
-        
-        if (isActive) {
-          console.log(`Active tab detected: ${text}`);
-          return text;
-        }
-      }
-    }
-    
-    // Default to SHORTEST if we can't determine
-    console.log('Could not detect active tab, defaulting to SHORTEST');
-    return 'SHORTEST';
-  }
-  
-  // ============================================================================
-  // HELPER FUNCTION: Extract a single destination from an element
-  // ============================================================================
-  function extractDestinationFromElement(element) {
-    try {
-      // Look for the hub name and jump count in text elements
-      const textElements = element.querySelectorAll('p, span, [class*="Typography"]');
-      
-      let hubName = null;
-      let jumps = null;
-      
-      for (const textEl of textElements) {
-        const text = textEl.textContent.trim();
-        
-        // Check if it's a number (jump count)
-        const number = parseInt(text);
-        if (!isNaN(number) && text.length <= 3) {
-          jumps = text;
-        }
-        // Check if it's a hub name (text, not a number)
-        else if (text && text.length > 0 && text.length < 30 && isNaN(text)) {
-          // Exclude common UI text
-          if (!text.includes('from') && 
-              !text.includes('jumps') && 
-              !text.toLowerCase().includes('route')) {
-            hubName = text;
-          }
-        }
-      }
-      
-      if (hubName && jumps) {
-        console.log(`  Found: ${hubName} - ${jumps} jumps`);
-        return { name: hubName, jumps: jumps };
-      }
-      
-      return null;
-    } catch (error) {
-      console.error('Error extracting destination from element:', error);
-      return null;
-    }
-  }
-  
-  // ============================================================================
-  // HELPER FUNCTION: Extract all destinations from a container element
-  // ============================================================================
-  function extractAllDestinationsFromContainer(container) {
-    const destinations = [];
-    
-    // Common trade hub names (but remember, users can configure ANY systems!)
-    const commonHubs = ['Jita', 'Hek', 'Amarr', 'Rens', 'Dodixie', 'Stacmon'];
-    
-    // Get all text content
-    const allElements = container.querySelectorAll('*');
-    
-    for (const element of allElements) {
-      const text = element.textContent.trim();
-      
-      // Check if this element contains a hub name
-      for (const hub of commonHubs) {
-        if (text === hub) {
-          // Look for a number nearby
-          let jumps = null;
-          
-          // Check siblings
-          if (element.previousElementSibling) {
-            const siblingText = element.previousElementSibling.textContent.trim();
-            const number = parseInt(siblingText);
-            if (!isNaN(number)) {
-              jumps = siblingText;
-            }
-          }
-          
-          if (!jumps && element.nextElementSibling) {
-            const siblingText = element.nextElementSibling.textContent.trim();
-            const number = parseInt(siblingText);
-            if (!isNaN(number)) {
-              jumps = siblingText;
-            }
-          }
-          
-          // Check parent's children
-          if (!jumps && element.parentElement) {
-            const parentChildren = Array.from(element.parentElement.children);
-            for (const child of parentChildren) {
-              const childText = child.textContent.trim();
-              const number = parseInt(childText);
-              if (!isNaN(number) && childText.length <= 3) {
-                jumps = childText;
-                break;
-              }
-            }
-          }
-          
-          // Add if we found both name and jumps, and it's not a duplicate
-          if (jumps && !destinations.find(d => d.name === hub)) {
-            destinations.push({ name: hub, jumps: jumps });
-            console.log(`  Found: ${hub} - ${jumps} jumps`);
-          }
-        }
-      }
-    }
-    
-    return destinations;
-  }
-  
-  // ============================================================================
-  // HELPER FUNCTION: Extract all destinations from the active tab
-  // ============================================================================
-  function extractDestinations(activeTab) {
-    console.log(`Extracting destinations from ${activeTab} tab...`);
-    
-    const destinations = [];
-    
-    // STRATEGY 1: Look for route-hub-summary elements
-    const hubSummaries = document.querySelectorAll('.route-hub-summary, [class*="route-hub-summary"]');
-    console.log(`Found ${hubSummaries.length} route-hub-summary elements`);
-    
-    for (const summary of hubSummaries) {
-      const destination = extractDestinationFromElement(summary);
-      if (destination) {
-        destinations.push(destination);
-      }
-    }
-    
-    // STRATEGY 2: Look for MuiAccordion structures
-    if (destinations.length === 0) {
-      console.log('Trying MuiAccordion strategy...');
-      const accordions = document.querySelectorAll('[class*="MuiAccordion"]');
-      
-      for (const accordion of accordions) {
-        const destination = extractDestinationFromElement(accordion);
-        if (destination) {
-          destinations.push(destination);
-        }
-      }
+      await navigator.clipboard.writeText(text);
     }
-    
-    // STRATEGY 3: Look in the visible panel area
-    if (destinations.length === 0) {
-      console.log('Trying panel area strategy...');
-      const panels = document.querySelectorAll('[role="tabpanel"], [class*="panel"]');
-      
-      for (const panel of panels) {
-        // Check if this panel is visible
-        const style = window.getComputedStyle(panel);
-        if (style.display !== 'none' && style.visibility !== 'hidden') {
-          const panelDestinations = extractAllDestinationsFromContainer(panel);
-          destinations.push(...panelDestinations);
-        }
-      }
-    }
-    
-    console.log(`Extracted ${destinations.length} destinations:`, destinations);
-    return destinations;
-  }
-  
-  // ============================================================================
-  // MAIN EXECUTION STARTS HERE
-  // ============================================================================
-  
-  try {
-    // STEP 1: Get system name
-    const systemName = extractSystemName();
-    if (!systemName) {
-      console.log('No system name found - no system selected');
-      return {
-        success: false,
-        error: 'No system selected.',
-        header: 'No system selected',
-        destinations: ''
-      };
-    }
-    console.log('✓ System name:', systemName);
-    
-    // STEP 2: Get security rating and connection type
-    const { securityRating, connectionType } = extractSecurityAndConnection(systemName);
-    console.log('✓ Security rating:', securityRating);
-    console.log('✓ Connection type:', connectionType || 'None');
-    
-    // STEP 3: Detect which tab is active (SHORTEST or SECURE)
-    const activeTab = detectActiveTab();
-    console.log('✓ Active tab:', activeTab);
-    
-    // STEP 4: Extract all destinations from the active tab
-    const destinations = extractDestinations(activeTab);
-    console.log('✓ Destinations:', destinations);
-    
-    // Check if we got any destinations
-    if (!destinations || destinations.length === 0) {
-      console.log('No destinations found');
-      return {
-        success: false,
-        error: 'Could not extract destination data. Please ensure the tab is expanded.',
-        header: connectionType 
-          ? `${systemName}, ${securityRating}, ${connectionType}`
-          : `${systemName}, ${securityRating}`,
-        destinations: ''
-      };
-    }
-    
-    // STEP 5: Format the output
-    // Format: "System name, Security rating, Connection type, Hub1 Jumps1, Hub2 Jumps2, ..."
-    // Connection type is optional (only included if present)
-    const header = connectionType 
-      ? `${systemName}, ${securityRating}, ${connectionType},`
-      : `${systemName}, ${securityRating},`;
-    
-    const destinationText = destinations.map(d => `${d.name} ${d.jumps}`).join(', ');
-    
-    console.log('=== Extraction Complete ===');
-    return {
-      success: true,
-      header: header,
-      destinations: destinationText
-    };
-    
   } catch (error) {
-    console.error('Error in getSystemData:', error);
-    return {
-      success: false,
-      error: 'Error: ' + error.message,
-      header: 'Error extracting data',
-      destinations: ''
-    };
+    // e.g. NotAllowedError when the popup lost focus before the write
+    console.error('Error writing to the clipboard:', error);
+    showNotification('Copy failed');
+    alert(`Could not copy to the clipboard: ${error.message}`);
+    return false;
   }
-}
+  
+  console.log('Copied to clipboard:', text);
 
-// All helper functions have been moved inside getSystemData() above
-// to ensure they're available when Chrome injects the code into the webpage
+  // Show the "Copied!" notification
+  showNotification('Copied!');
+  return true;
+}
 
 // ============================================================================
-// CLIPBOARD FUNCTIONALITY
+// NOTIFICATIONS
 // ============================================================================
 
 /**
- * Copies text to clipboard and shows a "Copied!" notification
+ * Briefly shows a small notification (e.g. "Copied!", "Queued!", "Sent!")
  * 
- * @param {string} text - Text to copy to clipboard
+ * @param {string} message - Text to show
  */
-function copyToClipboard(text) {
-  // Create temporary textarea element
-  const tempInput = document.createElement('textarea');
-  tempInput.value = text;
-  document.body.appendChild(tempInput);
-  
-  // Select and copy the text
-  tempInput.select();
-  document.execCommand('copy');
-  
-  // Remove temporary element
-  document.body.removeChild(tempInput);
-  
-  console.log('Copied to clipboard:', text);
-
-  // Show the "Copied!" notification
+function showNotification(message) {
   const notification = document.getElementById('copyNotification');
+  notification.textContent = message;
   notification.classList.add('show');
 
   // Hide the notification after 2 seconds
-  setTimeout(() => {
+  clearTimeout(showNotification.hideTimer);
+  showNotification.hideTimer = setTimeout(() => {
     notification.classList.remove('show');
   }, 2000);
+}
+
+/**
+ * Tells the user when a settings save failed (see saveSettings())
+ *
+ * @param {Promise<boolean>} saving - From setSetting() or saveSettings()
+ * @param {string} message - What to say when it failed
+ * @returns {Promise<boolean>} - The same result
+ */
+function notifyIfNotSaved(saving, message = 'Could not save the setting - see the console') {
+  return saving.then(saved => {
+    if (!saved) {
+      showNotification(message);
+    }
+    return saved;
+  });
 }
\ No newline at end of file
@@ -0,0 +1,310 @@
+/* ============================================================================
+   GRAB-AND-GO - System Record Formatting
+   ============================================================================
+
+   PURPOSE:
+   getSystemData() returns a structured system record instead of text.
+   Every consumer (popup display, clipboard, Discord, JSON export) formats
+   from that record using the helpers below.
+
+   RECORD SHAPE:
+   {
+     system: "Egmur",
+     security: 0.7,                 // null if unknown
+     securityBand: "high",          // high, low, null, pochven, wormhole, unknown
+     wormholeClass: null,           // e.g. "C4", "C13", "C16", "Thera"
+     region: null,                  // e.g. "The Forge", null if unknown
+     constellation: null,           // e.g. "Kimotoro", null if unknown
+     effect: null,                  // Wormhole effect, e.g. "Pulsar"
+     route: "SHORTEST",             // route that `jumps` counts
+     destinations: [{ name: "Jita", jumps: 14, shortest: 14, secure: 19 }, ...],
+                                    // + systems and securityCounts with the route detail
+     nearest: { name: "Amarr", jumps: 5 },  // Only with "nearest" on (see hubs.js)
+     extractedAt: "2024-01-01T12:00:00.000Z",
+     sourceUrl: "https://wormholes.new-eden.io/maps/..."
+   }
+
+   `shortest` and `secure` are null when that route wasn't captured.
+   With the route detail on, each destination also has
+   systems: [{name, security}] (the route) and securityCounts: {high, low, null},
+   both null if that route couldn't be read.
+   The hub settings (hubs.js) may have reordered, hidden or renamed the
+   destinations, and add `nearest` (null if no hub has a jump count).
+   constellation and effect come from enrichRecord() (systems.js),
+   which runs after getSystemData() - records saved before it existed, or
+   for systems missing from the data, have null there.
+
+   ============================================================================ */
+
+/**
+ * Formats the security rating the way the website displays it
+ *
+ * @param {Object} record - System record
+ * @returns {string} - e.g. "0.7", "-0.3" or "Unknown"
+ */
+function formatSecurity(record) {
+  return record.security === null ? 'Unknown' : record.security.toFixed(1);
+}
+
+/**
+ * Names the kind of space the system is in, for outputs that show a class
+ *
+ * @param {Object} record - System record
+ * @returns {string} - e.g. "C4", "C13", "Thera", "Pochven", or "" for other K-space
+ */
+function formatSystemClass(record) {
+  if (record.securityBand === 'pochven') {
+    return 'Pochven';
+  }
+  return record.wormholeClass || '';
+}
+
+/**
+ * Formats a destination's jump count, showing both routes when both were captured
+ *
+ * @param {Object} destination - {name, jumps, shortest, secure}
+ * @returns {string} - e.g. "14 (secure 19)" or "14"
+ */
+function formatJumps(destination) {
+  if ((destination.shortest ?? null) !== null && (destination.secure ?? null) !== null) {
+    return `${destination.shortest} (secure ${destination.secure})`;
+  }
+  return String(destination.jumps);
+}
+
+/**
+ * Summarizes the dangerous jumps on a destination's route (route detail)
+ *
+ * @param {Object} destination - {name, jumps, ..., securityCounts?}
+ * @returns {string} - e.g. "2 low, 1 null", or "" if all highsec or not read
+ */
+function formatRouteWarning(destination) {
+  const counts = destination.securityCounts;
+  if (!counts) {
+    return '';
+  }
+  const parts = [];
+  if (counts.low > 0) {
+    parts.push(`${counts.low} low`);
+  }
+  if (counts.null > 0) {
+    parts.push(`${counts.null} null`);
+  }
+  return parts.join(', ');
+}
+
+/**
+ * Formats the "nearest" lead item added by the hub settings (hubs.js)
+ *
+ * @param {Object} record - System record
+ * @returns {string} - e.g. "Amarr 5", or "" when it's off or no hub has a count
+ */
+function formatNearest(record) {
+  return record.nearest ? `${record.nearest.name} ${record.nearest.jumps}` : '';
+}
+
+/**
+ * Builds the placeholder values used by the output templates
+ *
+ * @param {Object} record - System record
+ * @returns {Object} - {system, security, class, band, region, constellation, effect,
+ *                     route, nearest, hubs: [{name, jumps, shortest, secure, high, low, null, warning}]}
+ */
+function getTemplateFields(record) {
+  return {
+    system: record.system,
+    security: formatSecurity(record),
+    class: formatSystemClass(record),
+    band: record.securityBand,
+    region: record.region || '',
+    constellation: record.constellation || '',
+    effect: record.effect || '',
+    route: record.route,
+    nearest: formatNearest(record),
+    hubs: record.destinations.map(d => ({
+      name: d.name,
+      jumps: formatJumps(d),
+      shortest: d.shortest ?? '',
+      secure: d.secure ?? '',
+      high: d.securityCounts ? d.securityCounts.high : '',
+      low: d.securityCounts ? d.securityCounts.low : '',
+      null: d.securityCounts ? d.securityCounts.null : '',
+      warning: formatRouteWarning(d)
+    }))
+  };
+}
+
+/**
+ * Builds the two lines shown in the popup
+ *
+ * @param {Object} record - System record
+ * @returns {Object} - {header: "Egmur, 0.7",
+ *                     destinations: "nearest: Hek 2, Jita 14 (2 low, 1 null), Hek 2"}
+ */
+function formatRecordSummary(record) {
+  const headerParts = [record.system, formatSecurity(record)];
+  if (formatSystemClass(record)) {
+    headerParts.push(formatSystemClass(record));
+  }
+
+  const destinations = record.destinations.map(d => {
+    const warning = formatRouteWarning(d);
+    return `${d.name} ${formatJumps(d)}${warning ? ` (${warning})` : ''}`;
+  });
+  if (formatNearest(record)) {
+    destinations.unshift(`nearest: ${formatNearest(record)}`);
+  }
+
+  return {
+    header: headerParts.join(', '),
+    destinations: destinations.join(', ')
+  };
+}
+
+/**
+ * Serializes the record for bots and other tools
+ *
+ * @param {Object} record - System record
+ * @returns {string} - Pretty-printed JSON
+ */
+function formatRecordAsJson(record) {
+  return JSON.stringify(record, null, 2);
+}
+
+/**
+ * Finds the closest destination on the record's route
+ *
+ * @param {Object} record - System record
+ * @returns {Object|null} - {name, jumps, shortest, secure}, or null if no jump counts
+ */
+function getNearestDestination(record) {
+  return record.destinations
+    .filter(d => d.jumps !== null)
+    .reduce((nearest, d) => (nearest === null || d.jumps < nearest.jumps ? d : nearest), null);
+}
+
+// ============================================================================
+// CLIPBOARD FORMATS
+// What "Copy to Clipboard" writes: the template line, or the record as a
+// table for Markdown (wikis, Discord), CSV/TSV (spreadsheets) or HTML
+// ============================================================================
+
+// Formats offered next to the Copy button
+const COPY_FORMATS = [
+  { id: 'plain', name: 'Plain text' },
+  { id: 'markdown', name: 'Markdown table' },
+  { id: 'csv', name: 'CSV' },
+  { id: 'tsv', name: 'TSV' },
+  { id: 'html', name: 'HTML table' }
+];
+
+/**
+ * Lays the record out as one table row with a column per hub
+ *
+ * @param {Object} record - System record
+ * @returns {Object} - {headers: ["System", "Security", "Class", "Jita", ...],
+ *                     row: ["Egmur", "0.7", "", "14 (secure 19)", ...]}
+ */
+function getRecordTable(record) {
+  const headers = ['System', 'Security', 'Class'];
+  const row = [record.system, formatSecurity(record), formatSystemClass(record)];
+
+  if (formatNearest(record)) {
+    headers.push('Nearest');
+    row.push(formatNearest(record));
+  }
+  for (const d of record.destinations) {
+    const warning = formatRouteWarning(d);
+    headers.push(d.name);
+    row.push(`${formatJumps(d)}${warning ? ` (${warning})` : ''}`);
+  }
+  return { headers: headers, row: row };
+}
+
+/**
+ * @param {Object} record - System record
+ * @returns {string} - Header, separator and one data row
+ */
+function formatRecordAsMarkdown(record) {
+  const table = getRecordTable(record);
+  const line = cells => `| ${cells.map(cell => cell.replace(/\|/g, '\\|')).join(' | ')} |`;
+  return [line(table.headers), line(table.headers.map(() => '---')), line(table.row)].join('\n');
+}
+
+/**
+ * @param {Object} record - System record
+ * @param {string} separator - ',' for CSV, '\t' for TSV
+ * @returns {string} - Header line and one data line
+ */
+function formatRecordAsDelimited(record, separator) {
+  const table = getRecordTable(record);
+  const escape = cell => {
+    if (separator === '\t') {
+      return cell.replace(/[\t\n]/g, ' ');
+    }
+    return /[",\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+  };
+  return [table.headers, table.row].map(cells => cells.map(escape).join(separator)).join('\n');
+}
+
+/**
+ * @param {Object} record - System record
+ * @returns {string} - A <table> with a header row and one data row
+ */
+function formatRecordAsHtml(record) {
+  const table = getRecordTable(record);
+  const escape = cell => cell.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  const cells = (tag, values) => values.map(value => `<${tag}>${escape(value)}</${tag}>`).join('');
+  return `<table><thead><tr>${cells('th', table.headers)}</tr></thead>` +
+    `<tbody><tr>${cells('td', table.row)}</tr></tbody></table>`;
+}
+
+/**
+ * Builds what the Copy button puts on the clipboard
+ *
+ * @param {Object} record - System record
+ * @param {string} format - A COPY_FORMATS id
+ * @param {string} text - Template output, used for 'plain' and as the
+ *                        text/plain version of 'html'
+ * @returns {Object} - {text, html}; html is null except for the 'html' format
+ */
+function buildClipboardContent(record, format, text) {
+  switch (format) {
+    case 'markdown':
+      return { text: formatRecordAsMarkdown(record), html: null };
+    case 'csv':
+      return { text: formatRecordAsDelimited(record, ','), html: null };
+    case 'tsv':
+      return { text: formatRecordAsDelimited(record, '\t'), html: null };
+    case 'html':
+      return { text: text, html: formatRecordAsHtml(record) };
+    default:
+      return { text: text, html: null };
+  }
+}
+
+// ============================================================================
+// AUTO-CAPTURE
+// The latest auto-captured result per tab (see capture.js), written by
+// background.js to chrome.storage.session so it's gone with the browser
+// ============================================================================
+
+// Setting that turns auto-capture on (off by default, see settings.js)
+const AUTO_CAPTURE_KEY = 'autoCapture';
+
+/**
+ * @param {number} tabId - Tab the result was captured in
+ * @returns {string} - chrome.storage.session key for that tab
+ */
+function getCaptureKey(tabId) {
+  return `capture-${tabId}`;
+}
+
+/**
+ * @param {number} tabId - Tab to look up
+ * @returns {Promise<Object|null>} - {data, capturedAt}, data being a getSystemData() result
+ */
+function loadCapturedData(tabId) {
+  const key = getCaptureKey(tabId);
+  return chrome.storage.session.get(key).then(stored => stored[key] || null);
+}
@@ -0,0 +1,1178 @@
+/* ============================================================================
+   GRAB-AND-GO - System Data Scraper
+   ============================================================================
+
+   PURPOSE:
+   getSystemData() reads the selected system and its route distances from
+   wormholes.new-eden.io/maps and returns a structured record.
+
+   WHERE IT RUNS:
+   - Injected by the popup with chrome.scripting.executeScript()
+   - Loaded as a content script next to capture.js for background capture
+
+   Injection serializes the function on its own, so it must stay
+   self-contained: every helper lives inside it.
+
+   ============================================================================ */
+
+
+/**
+ * MAIN SCRAPING FUNCTION
+ * Extracts system data from wormholes.new-eden.io/maps
+ * 
+ * RETURNS: {
+ *   success: boolean,
+ *   record: {                     // null when no system is selected
+ *     system: string,             // "Bairshir"
+ *     security: number|null,      // 0.4
+ *     securityBand: string,       // 'high', 'low', 'null', 'pochven', 'wormhole' or 'unknown'
+ *     wormholeClass: string|null, // "C3", "C13", "C14"-"C18" or "Thera", only in wormhole space
+ *     region: string|null,        // "Pochven", "G-R00031"... from the bundled table
+ *     route: string,              // 'SHORTEST' or 'SECURE' - the route `jumps` counts
+ *     destinations: Array,        // [{name: "Jita", jumps: 31, shortest: 31, secure: 35}, ...]
+ *                                 // routeDetail adds systems: [{name, security}] and
+ *                                 // securityCounts: {high, low, null} to each
+ *     extractedAt: string,        // ISO timestamp
+ *     sourceUrl: string           // Page the data was scraped from
+ *   },
+ *   error: string,                // Error message if failed
+ *   diagnostics: {                // What each selector strategy found, for the popup
+ *     profile: {name, revision},
+ *     fields: [{field, matched, attempts: [{strategy, candidates, matched, reason}]}]
+ *   }
+ * }
+ * 
+ * The record is never pre-formatted - see record.js for the formatters.
+ * 
+ * SCRAPING STRATEGY:
+ * 1. Extract system name from page header
+ * 2. Extract security rating (0.0-1.0 for K-space, or negative for null)
+ * 3. Classify the system (C1-C6, C13, drifter, Thera, Pochven) from the
+ *    bundled table, cross-checked against the class shown on the page
+ * 4. Detect which tab is active (SHORTEST or SECURE)
+ * 5. Extract all destinations from both tabs (switching tabs and opening a
+ *    collapsed route section if needed), then restore the user's tab
+ * 6. Build and return the structured record
+ * 
+ * IF THIS BREAKS:
+ * - Open Diagnostics in the popup (or the console, F12) to see which step failed
+ * - Inspect the webpage HTML to find new selectors
+ * - Update selectors.json, or import a fixed profile from the popup
+ * 
+ * OPTIONS:
+ *   routeMode: 'both' (default), 'active', 'shortest' or 'secure'
+ *   selectorProfile: the selector profile to use (see selectors.js) - required
+ *   expandRoutePanel: false to never open a collapsed route section (default:
+ *                     open it, read, and close it again - see expandRoutePanel())
+ *   routeDetail: true to expand each hub's row and read the systems on the
+ *                route (see readRouteDetail()) - rows opened are closed again
+ *   knownSystems: systems.json (see systems.js) - needed by the "panel"
+ *                 destinations strategy and to classify special systems
+ * 
+ * Async: Chrome waits for the returned promise, which lets the scraper
+ * switch route tabs and wait for them to render.
+ * 
+ * NOTE: All helper functions are defined INSIDE this function to ensure
+ * they're available when Chrome injects this code into the webpage
+ */
+async function getSystemData(options = {}) {
+  console.log('=== Starting System Data Extraction ===');
+  
+  // ============================================================================
+  // HELPER FUNCTIONS: Selector profile and diagnostics
+  // ============================================================================
+  /**
+   * Every selector and pattern comes from the selector profile (selectors.json,
+   * or one the user imported - see selectors.js). Each field is found by
+   * trying the profile's strategies in order; what each strategy saw is
+   * recorded for the popup's diagnostics view:
+   * 
+   *   { field: 'system', matched: 'header',
+   *     attempts: [{ strategy: 'header', candidates: 2, matched: true, reason: 'found "Egmur"' }] }
+   */
+  const profile = options.selectorProfile;
+  const diagnostics = [];
+  
+  /**
+   * @param {string} field - Field being extracted, e.g. 'system'
+   * @returns {Object} - Diagnostics entry to record attempts in
+   */
+  function startDiagnostic(field) {
+    const diagnostic = { field: field, matched: null, attempts: [] };
+    diagnostics.push(diagnostic);
+    return diagnostic;
+  }
+  
+  /**
+   * @param {Object} diagnostic - Entry from startDiagnostic()
+   * @param {string} strategy - Strategy name from the profile
+   * @returns {Object} - Attempt to fill in: {strategy, candidates, matched, reason}
+   */
+  function startAttempt(diagnostic, strategy) {
+    const attempt = { strategy: strategy, candidates: 0, matched: false, reason: '' };
+    diagnostic.attempts.push(attempt);
+    return attempt;
+  }
+  
+  /**
+   * Finds the elements for a list of selectors, in selector order and
+   * without duplicates. Invalid selectors are skipped and noted.
+   * 
+   * @param {string[]} selectors - CSS selectors from the profile
+   * @param {Object} attempt - Attempt to note invalid selectors in (optional)
+   * @param {Element} root - Element to search in (default: the whole page)
+   * @returns {Element[]} - Matching elements
+   */
+  function queryAll(selectors, attempt = null, root = document) {
+    const elements = new Set();
+    for (const selector of selectors) {
+      try {
+        root.querySelectorAll(selector).forEach(element => elements.add(element));
+      } catch (error) {
+        console.log(`Invalid selector in profile: ${selector}`);
+        if (attempt) {
+          attempt.reason += `invalid selector "${selector}"; `;
+        }
+      }
+    }
+    return Array.from(elements);
+  }
+  
+  /**
+   * @param {Element[]} elements - Elements in any order
+   * @returns {Element[]} - The same elements in page order
+   */
+  function inDocumentOrder(elements) {
+    return elements.sort((a, b) =>
+      (a.compareDocumentPosition(b) & Node.DOCUMENT_POSITION_FOLLOWING) ? -1 : 1);
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Extract system name from the page header
+  // ============================================================================
+  function extractSystemName() {
+    console.log('Extracting system name...');
+    const config = profile.systemName;
+    const diagnostic = startDiagnostic('system');
+    
+    for (const strategy of config.strategies) {
+      const attempt = startAttempt(diagnostic, strategy.name);
+      const elements = queryAll(strategy.selectors, attempt);
+      const excludedWords = strategy.exclude || [];
+      attempt.candidates = elements.length;
+      
+      let rejected = 0;
+      let excluded = 0;
+      for (const element of elements) {
+        const text = element.textContent.trim();
+        // System names are short and don't contain newlines
+        if (!text || text.length >= config.maxLength || text.includes('\n')) {
+          rejected++;
+          continue;
+        }
+        // Exclude UI text that's not a system name
+        if (excludedWords.some(word => text.includes(word))) {
+          excluded++;
+          continue;
+        }
+        
+        console.log(`Found system name using strategy "${strategy.name}": ${text}`);
+        attempt.matched = true;
+        attempt.reason += `found "${text}"`;
+        diagnostic.matched = strategy.name;
+        return text;
+      }
+      
+      attempt.reason += elements.length === 0
+        ? 'no elements matched'
+        : `${rejected} empty or too long, ${excluded} excluded`;
+    }
+    
+    console.log('Could not find system name');
+    return null;
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Extract security rating and connection type
+  // ============================================================================
+  /**
+   * Extracts both security rating and wormhole connection type
+   * 
+   * SECURITY RATINGS (K-space):
+   * - High Sec: 1.0, 0.9, 0.8, 0.7, 0.6, 0.5
+   * - Low Sec: 0.4, 0.3, 0.2, 0.1
+   * - Null Sec: 0.0, -0.1 to -1.0
+   * 
+   * WORMHOLE CONNECTION TYPES:
+   * - C1, C2, C3, C4, C5, C6 (represents the destination wormhole class)
+   * 
+   * STRATEGY TYPES (profile.security.strategies):
+   * - node:  the first element containing the system name (its map node)
+   * - each:  every matching element
+   * - first: only the first matching element
+   * Each strategy fills in whatever is still missing. With skipIfAnyFound
+   * it only runs when nothing has been found yet.
+   * 
+   * @param {string} systemName - The system name
+   * @returns {Object} - {securityRating: string, connectionType: string|null}
+   */
+  function extractSecurityAndConnection(systemName) {
+    console.log('Extracting security rating and connection type...');
+    const securityPattern = new RegExp(profile.patterns.security);
+    const classPattern = new RegExp(profile.patterns.wormholeClass);
+    const diagnostic = startDiagnostic('security / class');
+    const matchedStrategies = [];
+    
+    let securityRating = null;
+    let connectionType = null;
+    
+    for (const strategy of profile.security.strategies) {
+      const attempt = startAttempt(diagnostic, strategy.name);
+      if (securityRating && connectionType) {
+        attempt.reason = 'skipped - both already found';
+        continue;
+      }
+      if (strategy.skipIfAnyFound && (securityRating || connectionType)) {
+        attempt.reason = 'skipped - an earlier strategy found a value';
+        continue;
+      }
+      
+      const elements = queryAll(strategy.selectors, attempt);
+      attempt.candidates = elements.length;
+      
+      let texts = elements.map(element => element.textContent);
+      if (strategy.type === 'node') {
+        const node = elements.find(element => element.textContent.includes(systemName));
+        texts = node ? [node.textContent] : [];
+      } else if (strategy.type === 'first') {
+        texts = texts.slice(0, 1);
+      }
+      
+      const found = [];
+      for (const text of texts) {
+        const classMatch = text.match(classPattern);
+        const securityMatch = text.match(securityPattern);
+        if (!connectionType && classMatch) {
+          connectionType = classMatch[0];
+          found.push(`class ${connectionType}`);
+        }
+        if (!securityRating && securityMatch) {
+          securityRating = securityMatch[0];
+          found.push(`security ${securityRating}`);
+        }
+      }
+      
+      if (found.length > 0) {
+        console.log(`Found ${found.join(', ')} using strategy "${strategy.name}"`);
+        attempt.matched = true;
+        attempt.reason += `found ${found.join(', ')}`;
+        matchedStrategies.push(strategy.name);
+      } else if (elements.length === 0) {
+        attempt.reason += 'no elements matched';
+      } else if (texts.length === 0) {
+        attempt.reason += `no element contains "${systemName}"`;
+      } else {
+        attempt.reason += 'nothing that was still missing in the text';
+      }
+    }
+    diagnostic.matched = matchedStrategies.join(' + ') || null;
+    
+    // Set defaults if not found
+    if (!securityRating) {
+      securityRating = 'Unknown';
+      console.log('Could not find security rating');
+    }
+    
+    // Connection type is optional (only for wormhole connections)
+    if (connectionType) {
+      console.log(`Using connection type: ${connectionType}`);
+    } else {
+      console.log('No wormhole connection type found (system may be direct K-space)');
+    }
+    
+    return { securityRating, connectionType };
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Find the route tab buttons
+  // ============================================================================
+  /**
+   * @returns {Object} - {SHORTEST: Element, SECURE: Element}; missing tabs are omitted
+   */
+  function findRouteTabButtons() {
+    const labels = profile.routeTabs.labels;
+    const buttons = {};
+    
+    for (const button of queryAll(profile.routeTabs.selectors)) {
+      const text = button.textContent.trim().toUpperCase();
+      for (const route of Object.keys(labels)) {
+        if (!buttons[route] && text === labels[route].toUpperCase()) {
+          buttons[route] = button;
+        }
+      }
+    }
+    return buttons;
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Detect which tab (SHORTEST or SECURE) is currently active
+  // ============================================================================
+  function detectActiveTab() {
+    console.log('Detecting active tab...');
+    const config = profile.routeTabs;
+    const buttons = findRouteTabButtons();
+    
+    for (const route of Object.keys(buttons)) {
+      const button = buttons[route];
+      // Check if it's selected/active using the profile's selection indicators
+      const isActive =
+        Object.keys(config.activeAttributes).some(name => {
+          const value = config.activeAttributes[name];
+          return value === null ? button.hasAttribute(name) : button.getAttribute(name) === value;
+        }) ||
+        config.activeClasses.some(className => button.classList.contains(className));
+      
+      if (isActive) {
+        console.log(`Active tab detected: ${route}`);
+        return route;
+      }
+    }
+    
+    // Default to SHORTEST if we can't determine
+    console.log('Could not detect active tab, defaulting to SHORTEST');
+    return 'SHORTEST';
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Find the SHORTEST or SECURE tab button
+  // ============================================================================
+  function findRouteTabButton(tabName) {
+    return findRouteTabButtons()[tabName] || null;
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Wait until the page stops changing
+  // ============================================================================
+  /**
+   * Resolves once no DOM mutations have been seen for `quietMs`, or after
+   * `timeoutMs` at the latest, so a slow page can never hang the popup.
+   * 
+   * @param {number} quietMs - How long the DOM must stay unchanged
+   * @param {number} timeoutMs - Upper bound for the whole wait
+   * @returns {Promise} - Resolves when the DOM has settled
+   */
+  function waitForDomSettle(quietMs = 150, timeoutMs = 2000) {
+    return new Promise(resolve => {
+      let quietTimer = null;
+      
+      const finish = () => {
+        observer.disconnect();
+        clearTimeout(quietTimer);
+        clearTimeout(timeoutTimer);
+        resolve();
+      };
+      
+      const observer = new MutationObserver(() => {
+        clearTimeout(quietTimer);
+        quietTimer = setTimeout(finish, quietMs);
+      });
+      observer.observe(document.body, { childList: true, subtree: true, characterData: true, attributes: true });
+      
+      quietTimer = setTimeout(finish, quietMs);
+      const timeoutTimer = setTimeout(finish, timeoutMs);
+    });
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Switch the page to the SHORTEST or SECURE tab
+  // ============================================================================
+  /**
+   * Clicks the route tab and waits for its panel to render
+   * 
+   * @param {string} tabName - 'SHORTEST' or 'SECURE'
+   * @returns {Promise<boolean>} - false if the tab button doesn't exist
+   */
+  async function switchRouteTab(tabName) {
+    const button = findRouteTabButton(tabName);
+    if (!button) {
+      console.log(`Could not find ${tabName} tab button`);
+      return false;
+    }
+    
+    console.log(`Switching to ${tabName} tab...`);
+    button.click();
+    await waitForDomSettle();
+    return detectActiveTab() === tabName;
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Check that an element is actually displayed
+  // ============================================================================
+  /**
+   * Inactive tab panels often stay in the DOM, hidden. Their destinations
+   * must not be mixed into the active tab's list.
+   */
+  function isDisplayed(element) {
+    for (let el = element; el && el !== document.body; el = el.parentElement) {
+      if (el.hidden) {
+        return false;
+      }
+      const style = window.getComputedStyle(el);
+      if (style.display === 'none' || style.visibility === 'hidden') {
+        return false;
+      }
+    }
+    return true;
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Extract a single destination from an element
+  // ============================================================================
+  function extractDestinationFromElement(element) {
+    const config = profile.destinations;
+    try {
+      // Look for the hub name and jump count in text elements, leaving out
+      // the row's route details (see readRouteDetail()) - open or hidden
+      const details = profile.routeDetail ? queryAll(profile.routeDetail.detailsSelectors, null, element) : [];
+      const textElements = inDocumentOrder(queryAll(config.textSelectors, null, element))
+        .filter(textEl => isDisplayed(textEl) && !details.some(detail => detail.contains(textEl)));
+      
+      let hubName = null;
+      let jumps = null;
+      
+      for (const textEl of textElements) {
+        const text = textEl.textContent.trim();
+        
+        // Check if it's a number (jump count)
+        const number = parseInt(text);
+        if (!isNaN(number) && text.length <= config.maxJumpsLength) {
+          jumps = number;
+        }
+        // Check if it's a hub name (text, not a number)
+        else if (text && text.length < config.maxNameLength && isNaN(text)) {
+          // Exclude common UI text
+          if (!config.excludeText.some(word => text.toLowerCase().includes(word))) {
+            hubName = text;
+          }
+        }
+      }
+      
+      if (hubName && jumps !== null) {
+        console.log(`  Found: ${hubName} - ${jumps} jumps`);
+        return { name: hubName, jumps: jumps };
+      }
+      
+      return null;
+    } catch (error) {
+      console.error('Error extracting destination from element:', error);
+      return null;
+    }
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Recognize solar system names
+  // ============================================================================
+  /**
+   * Known system names come from systems.json (see systems.js), passed in
+   * as options.knownSystems. Matching ignores case; the bundled spelling
+   * is returned.
+   */
+  const knownSystems = options.knownSystems || null;
+  const knownSystemNames = new Map(((knownSystems && knownSystems.names) || [])
+    .map(name => [name.toLowerCase(), name]));
+  const knownSystemPatterns = ((knownSystems && knownSystems.patterns) || [])
+    .map(pattern => new RegExp(pattern));
+  
+  /**
+   * @param {string} text - Label text from the page
+   * @returns {string|null} - The system's name, or null if it isn't a known system
+   */
+  function findKnownSystem(text) {
+    if (knownSystemNames.has(text.toLowerCase())) {
+      return knownSystemNames.get(text.toLowerCase());
+    }
+    return knownSystemPatterns.some(pattern => pattern.test(text)) ? text : null;
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Extract all destinations from a container element
+  // ============================================================================
+  /**
+   * Used when no row selector matches: finds hub names by structure alone.
+   * 
+   * 1. Every text-only element is classified as a jump count (a short
+   *    whole number), a name-like label, or filler ("jumps") that is ignored
+   * 2. Each label is grouped with the labels and counts under its closest
+   *    ancestor that contains a count
+   * 3. A group pairs up only when labels and counts alternate one-to-one
+   *    (Jita 14 Hek 16, or 14 Jita 16 Hek) - anything else is ambiguous
+   * 4. Paired labels are kept only if they are known system names
+   * 
+   * Ambiguous groups, unknown names and names seen with two different
+   * counts are noted in the attempt's reason instead of being guessed.
+   * 
+   * @param {Element} container - Displayed panel to search
+   * @param {Object} attempt - Attempt to note skipped labels in
+   * @returns {Array} - [{name, jumps}, ...]
+   */
+  function extractAllDestinationsFromContainer(container, attempt) {
+    const config = profile.destinations;
+    if (!knownSystems) {
+      attempt.reason += 'no known-system list loaded; ';
+      return [];
+    }
+    
+    // STEP 1: Classify every text-only element
+    const tokens = [];
+    for (const element of container.querySelectorAll('*')) {
+      const text = element.textContent.trim();
+      if (element.children.length > 0 || !text || !isDisplayed(element)) {
+        continue;
+      }
+      if (/^\d+$/.test(text) && text.length <= config.maxJumpsLength) {
+        tokens.push({ element: element, kind: 'count', text: text });
+      } else if (text.length < config.maxNameLength && isNaN(text) &&
+          !config.excludeText.some(word => text.toLowerCase().includes(word))) {
+        tokens.push({ element: element, kind: 'name', text: text });
+      }
+    }
+    
+    const found = new Map();      // name -> jumps
+    const conflicting = new Set();
+    const ambiguous = [];
+    const unknown = [];
+    
+    for (const token of tokens.filter(t => t.kind === 'name')) {
+      // STEP 2: Group with the closest ancestor's labels and counts
+      let group = null;
+      for (let ancestor = token.element.parentElement; ancestor; ancestor = ancestor.parentElement) {
+        const inside = tokens.filter(t => ancestor.contains(t.element));
+        if (inside.some(t => t.kind === 'count')) {
+          group = inside;
+          break;
+        }
+        if (ancestor === container) {
+          break;
+        }
+      }
+      if (!group) {
+        continue;  // A heading or label with no count near it
+      }
+      
+      // STEP 3: Pair one-to-one, or give up on the whole group
+      const names = group.filter(t => t.kind === 'name');
+      const counts = group.filter(t => t.kind === 'count');
+      const alternates = group.every((t, index) => index === 0 || t.kind !== group[index - 1].kind);
+      if (names.length !== counts.length || !alternates) {
+        // Only worth reporting for a system name - other labels are page text
+        if (findKnownSystem(token.text) && !ambiguous.includes(token.text)) {
+          ambiguous.push(token.text);
+        }
+        continue;
+      }
+      const jumps = parseInt(counts[names.indexOf(token)].text);
+      
+      // STEP 4: Keep known systems only
+      const name = findKnownSystem(token.text);
+      if (!name) {
+        if (!unknown.includes(token.text)) {
+          unknown.push(token.text);
+        }
+        continue;
+      }
+      if (found.has(name) && found.get(name) !== jumps) {
+        conflicting.add(name);
+      }
+      found.set(name, jumps);
+    }
+    
+    if (ambiguous.length > 0) {
+      attempt.reason += `ambiguous: ${ambiguous.map(text => `"${text}"`).join(', ')}; `;
+    }
+    if (unknown.length > 0) {
+      attempt.reason += `not a known system: ${unknown.map(text => `"${text}"`).join(', ')}; `;
+    }
+    if (conflicting.size > 0) {
+      attempt.reason += `different jump counts for: ${Array.from(conflicting).map(name => `"${name}"`).join(', ')}; `;
+    }
+    
+    const destinations = [];
+    for (const [name, jumps] of found) {
+      if (!conflicting.has(name)) {
+        console.log(`  Found: ${name} - ${jumps} jumps`);
+        destinations.push({ name: name, jumps: jumps });
+      }
+    }
+    return destinations;
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Read the systems along one hub's route
+  // ============================================================================
+  /**
+   * Each hub row is an accordion whose details list every system on the
+   * route. The row is expanded if needed, read, and collapsed again if
+   * the scraper was the one that opened it.
+   * 
+   * profile.routeDetail:
+   *   expandSelectors - the row's expand/collapse control (has aria-expanded)
+   *   detailsSelectors - the expanded details
+   *   systemSelectors - one element per system, holding its name and security
+   * 
+   * @param {Element} row - Row the hub was read from
+   * @returns {Promise<Array|null>} - [{name, security}, ...], or null if no details were found
+   */
+  async function readRouteDetail(row) {
+    const config = profile.routeDetail;
+    const expander = queryAll(config.expandSelectors, null, row)[0] || null;
+    const opened = expander !== null && expander.getAttribute('aria-expanded') === 'false';
+    
+    try {
+      if (opened) {
+        expander.click();
+        await waitForDomSettle();
+      }
+      
+      const details = queryAll(config.detailsSelectors, null, row).find(isDisplayed);
+      if (!details) {
+        return null;
+      }
+      
+      const securityPattern = new RegExp(profile.patterns.security);
+      const systems = [];
+      for (const step of inDocumentOrder(queryAll(config.systemSelectors, null, details))) {
+        const text = step.textContent.trim();
+        const securityMatch = text.match(securityPattern);
+        const name = (securityMatch ? text.replace(securityMatch[0], '') : text).trim();
+        if (name) {
+          systems.push({ name: name, security: securityMatch ? parseFloat(securityMatch[0]) : null });
+        }
+      }
+      return systems.length > 0 ? systems : null;
+    } finally {
+      // Leave the page the way the user had it
+      if (opened && expander.getAttribute('aria-expanded') === 'true') {
+        expander.click();
+        await waitForDomSettle();
+      }
+    }
+  }
+  
+  /**
+   * Adds the route detail to each destination read from rows:
+   * systems: [{name, security}, ...] and securityCounts: {high, low, null},
+   * counting every system entered after the selected one (so the counts
+   * add up to the jumps). Both are null when the route couldn't be read.
+   * 
+   * @param {string} activeTab - Route tab being read
+   * @param {Array} destinations - From extractDestinations()
+   * @param {Element[]} rows - Row element of each destination (empty for panels)
+   * @param {string} systemName - Selected system, where every route starts
+   */
+  async function addRouteDetails(activeTab, destinations, rows, systemName) {
+    const diagnostic = startDiagnostic(`route detail (${activeTab})`);
+    const attempt = startAttempt(diagnostic, 'routeDetail');
+    if (!profile.routeDetail) {
+      attempt.reason = 'the selector profile has no routeDetail section';
+      return;
+    }
+    if (rows.length === 0) {
+      attempt.reason = 'destinations were not read from rows';
+      return;
+    }
+    
+    const missing = [];
+    attempt.candidates = rows.length;
+    for (let i = 0; i < destinations.length; i++) {
+      const systems = await readRouteDetail(rows[i]);
+      const destination = destinations[i];
+      destination.systems = systems;
+      destination.securityCounts = null;
+      if (!systems) {
+        missing.push(destination.name);
+        continue;
+      }
+      
+      const counts = { high: 0, low: 0, null: 0 };
+      for (const system of systems.filter(s => s.name !== systemName && s.security !== null)) {
+        const band = classifySecurityBand(system.security, null, system.name);
+        if (band in counts) {
+          counts[band] += 1;
+        }
+      }
+      destination.securityCounts = counts;
+      console.log(`  Route to ${destination.name}:`, counts);
+    }
+    
+    const read = destinations.length - missing.length;
+    attempt.matched = read > 0;
+    diagnostic.matched = read > 0 ? 'routeDetail' : null;
+    attempt.reason = `read ${read} of ${destinations.length} routes` +
+      (missing.length > 0 ? `; no route systems for ${missing.join(', ')}` : '');
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Extract all destinations from the active tab
+  // ============================================================================
+  /**
+   * STRATEGY TYPES (profile.destinations.strategies):
+   * - rows:  each displayed element holds one hub name and its jump count
+   * - panel: each displayed element is a panel searched for known system
+   *          names next to a jump count
+   * The first strategy that finds any destination wins.
+   * 
+   * With options.routeDetail, each row is then expanded to read the
+   * systems on the way (see readRouteDetail()).
+   */
+  async function extractDestinations(activeTab, systemName, afterExpanding = false) {
+    console.log(`Extracting destinations from ${activeTab} tab...`);
+    const diagnostic = startDiagnostic(`destinations (${activeTab}${afterExpanding ? ', after opening' : ''})`);
+    
+    for (const strategy of profile.destinations.strategies) {
+      console.log(`Trying ${strategy.name} strategy...`);
+      const attempt = startAttempt(diagnostic, strategy.name);
+      const elements = inDocumentOrder(queryAll(strategy.selectors, attempt));
+      // Inactive tab panels stay in the DOM - skip what isn't shown
+      let displayed = elements.filter(isDisplayed);
+      attempt.candidates = elements.length;
+      
+      // Panels can be nested (side panel > tab panel) - search the innermost
+      if (strategy.type === 'panel') {
+        displayed = displayed.filter(element =>
+          !displayed.some(other => other !== element && element.contains(other)));
+      }
+      
+      const destinations = [];
+      const rows = [];  // Row element of each destination, for the route detail
+      for (const element of displayed) {
+        if (strategy.type === 'panel') {
+          destinations.push(...extractAllDestinationsFromContainer(element, attempt));
+        } else {
+          const destination = extractDestinationFromElement(element);
+          if (destination) {
+            destinations.push(destination);
+            rows.push(element);
+          }
+        }
+      }
+      
+      if (destinations.length > 0) {
+        console.log(`Extracted ${destinations.length} destinations:`, destinations);
+        attempt.matched = true;
+        attempt.reason += `found ${destinations.length} destinations`;
+        diagnostic.matched = strategy.name;
+        if (options.routeDetail) {
+          await addRouteDetails(activeTab, destinations, rows, systemName);
+        }
+        return destinations;
+      }
+      
+      if (elements.length === 0) {
+        attempt.reason += 'no elements matched';
+      } else if (displayed.length === 0) {
+        attempt.reason += 'all matches are hidden';
+      } else {
+        attempt.reason += `no hub name with a jump count in ${displayed.length} displayed`;
+      }
+    }
+    
+    console.log('Extracted 0 destinations');
+    return [];
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Open a collapsed route panel
+  // ============================================================================
+  /**
+   * Resolves as soon as a destination row (one that reads as a hub and a
+   * jump count) is displayed, or with false
+   * after `timeoutMs` - a MutationObserver watches for it instead of a
+   * fixed sleep, so a fast page isn't slowed down and a slow one is
+   * given a bounded time.
+   * 
+   * @param {number} timeoutMs - Upper bound for the wait
+   * @returns {Promise<boolean>} - true if rows appeared
+   */
+  function waitForDestinationRows(timeoutMs) {
+    const rowSelectors = profile.destinations.strategies
+      .filter(strategy => strategy.type === 'rows')
+      .flatMap(strategy => strategy.selectors);
+    const hasRows = () => queryAll(rowSelectors)
+      .some(row => isDisplayed(row) && extractDestinationFromElement(row) !== null);
+    
+    return new Promise(resolve => {
+      if (hasRows()) {
+        resolve(true);
+        return;
+      }
+      
+      const finish = (found) => {
+        observer.disconnect();
+        clearTimeout(timeoutTimer);
+        resolve(found);
+      };
+      
+      const observer = new MutationObserver(() => {
+        if (hasRows()) {
+          finish(true);
+        }
+      });
+      observer.observe(document.body, { childList: true, subtree: true, attributes: true });
+      const timeoutTimer = setTimeout(() => finish(false), timeoutMs);
+    });
+  }
+  
+  /**
+   * Opens the collapsed route section of the open tab, one control at a
+   * time (profile.routePanel.expandSelectors, only those displayed with
+   * aria-expanded="false"), until destination rows show up. Controls that
+   * didn't help are closed again straight away.
+   * 
+   * @param {string} activeTab - Route tab being read
+   * @returns {Promise<Element[]>} - Controls left open; pass them to collapseRoutePanel()
+   */
+  async function expandRoutePanel(activeTab) {
+    const diagnostic = startDiagnostic(`route panel (${activeTab})`);
+    const attempt = startAttempt(diagnostic, 'routePanel');
+    const config = profile.routePanel;
+    if (!config) {
+      attempt.reason = 'the selector profile has no routePanel section';
+      return [];
+    }
+    
+    const controls = queryAll(config.expandSelectors, attempt)
+      .filter(control => control.getAttribute('aria-expanded') === 'false' && isDisplayed(control))
+      .slice(0, config.maxAttempts);
+    attempt.candidates = controls.length;
+    
+    for (const control of controls) {
+      console.log('Opening collapsed route section...');
+      control.click();
+      if (await waitForDestinationRows(config.timeoutMs)) {
+        // Let the remaining rows render before reading them
+        await waitForDomSettle();
+        attempt.matched = true;
+        attempt.reason += 'opened a collapsed section - destination rows appeared';
+        diagnostic.matched = 'routePanel';
+        return [control];
+      }
+      await collapseRoutePanel([control]);
+    }
+    
+    attempt.reason += controls.length === 0
+      ? 'no collapsed section to open'
+      : `no destination rows after opening ${controls.length} section(s)`;
+    return [];
+  }
+  
+  /**
+   * Closes what expandRoutePanel() opened, so the page looks as it did
+   * 
+   * @param {Element[]} controls - From expandRoutePanel()
+   * @returns {Promise} - Resolves when the page has settled
+   */
+  async function collapseRoutePanel(controls) {
+    for (const control of controls.slice().reverse()) {
+      if (control.getAttribute('aria-expanded') === 'true') {
+        control.click();
+      }
+    }
+    if (controls.length > 0) {
+      await waitForDomSettle();
+    }
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Read destinations from one or both route tabs
+  // ============================================================================
+  /**
+   * Reads each requested route tab, switching the page's tab when needed,
+   * and always switches back to the tab the user had open. A tab with no
+   * destinations gets its route section opened (expandRoutePanel()) and
+   * is read again, then the section is closed.
+   * 
+   * @param {string[]} routes - Tabs to read, e.g. ['SHORTEST', 'SECURE']
+   * @param {string} activeTab - Tab that was open before the grab
+   * @param {string} systemName - Selected system (for the route detail)
+   * @returns {Promise<Object>} - {SHORTEST: [...], SECURE: [...]}; missing tabs are omitted
+   */
+  async function readRoutes(routes, activeTab, systemName) {
+    const results = {};
+    
+    // Read the open tab first so the page switches as few times as possible
+    const orderedRoutes = routes.slice().sort((a, b) => (b === activeTab) - (a === activeTab));
+    
+    try {
+      for (const route of orderedRoutes) {
+        if (route !== detectActiveTab() && !(await switchRouteTab(route))) {
+          console.log(`Skipping ${route} - tab could not be opened`);
+          continue;
+        }
+        results[route] = await extractDestinations(route, systemName);
+        
+        // Nothing found - the route section may just be collapsed
+        if (results[route].length === 0 && options.expandRoutePanel !== false) {
+          const opened = await expandRoutePanel(route);
+          if (opened.length > 0) {
+            try {
+              results[route] = await extractDestinations(route, systemName, true);
+            } finally {
+              await collapseRoutePanel(opened);
+            }
+          }
+        }
+      }
+    } finally {
+      // Restore the user's tab
+      if (detectActiveTab() !== activeTab) {
+        await switchRouteTab(activeTab);
+      }
+    }
+    
+    return results;
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Combine per-route destinations into one list
+  // ============================================================================
+  /**
+   * @param {Object} routeResults - {SHORTEST: [...], SECURE: [...]}
+   * @param {string} primaryRoute - Route whose count becomes `jumps`
+   * @returns {Array} - [{name, jumps, shortest, secure}, ...] in page order, plus
+   *                    {systems, securityCounts} of the route `jumps` follows
+   *                    when the route detail was read
+   */
+  function mergeRouteDestinations(routeResults, primaryRoute) {
+    const merged = [];
+    const routeOrder = [primaryRoute, 'SHORTEST', 'SECURE'];
+    
+    for (const route of routeOrder) {
+      for (const destination of routeResults[route] || []) {
+        let entry = merged.find(d => d.name === destination.name);
+        if (!entry) {
+          entry = { name: destination.name, jumps: null, shortest: null, secure: null };
+          merged.push(entry);
+        }
+        entry[route.toLowerCase()] = destination.jumps;
+        if ('systems' in destination && !('systems' in entry)) {
+          entry.systems = destination.systems;
+          entry.securityCounts = destination.securityCounts;
+        }
+      }
+    }
+    
+    // `jumps` follows the primary route, falling back to whichever route was read
+    for (const entry of merged) {
+      const primary = entry[primaryRoute.toLowerCase()];
+      entry.jumps = primary !== null ? primary : (entry.shortest !== null ? entry.shortest : entry.secure);
+    }
+    
+    return merged;
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Convert the scraped security rating to a number
+  // ============================================================================
+  function parseSecurity(securityRating) {
+    const security = parseFloat(securityRating);
+    return isNaN(security) ? null : security;
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Classify the system (wormhole class, Pochven, region)
+  // ============================================================================
+  /**
+   * The bundled table (knownSystems.systems) is the authority: it knows
+   * Thera, shattered (C13) and drifter (C14-C18) systems, Pochven, and
+   * J-space systems whose class the page doesn't show. The class read from
+   * the page is the fallback for J-space names the table doesn't list, and
+   * a cross-check - a disagreement is noted in the diagnostics. A class on
+   * the page of a K-space system is a connection's class, not the system's.
+   * 
+   * @param {string} systemName - Selected system
+   * @param {string|null} pageClass - Class found in the page text, if any
+   * @returns {Object} - {systemClass, region}; systemClass is e.g. 'C4',
+   *                     'C13', 'Thera' or 'Pochven', or null for plain K-space
+   */
+  function classifySystem(systemName, pageClass) {
+    const diagnostic = startDiagnostic('class / region');
+    const tableAttempt = startAttempt(diagnostic, 'system table');
+    const pageAttempt = startAttempt(diagnostic, 'page text');
+    
+    const table = (knownSystems && knownSystems.systems) || null;
+    const entry = table && Object.prototype.hasOwnProperty.call(table, systemName) ? table[systemName] : null;
+    
+    if (!table) {
+      tableAttempt.reason = 'no system table loaded';
+    } else if (!entry) {
+      tableAttempt.reason = 'not in the bundled table (K-space, or a system the table doesn\'t list)';
+    } else {
+      tableAttempt.candidates = 1;
+      tableAttempt.matched = true;
+      tableAttempt.reason = `found ${entry.class} in ${entry.region}`;
+      diagnostic.matched = 'system table';
+    }
+    
+    const jSpaceName = /^J\d{6}$/.test(systemName);
+    if (!pageClass) {
+      pageAttempt.reason = 'no class on the page';
+    } else if (!entry && !jSpaceName) {
+      pageAttempt.candidates = 1;
+      pageAttempt.reason = `page shows ${pageClass} - ignored, ${systemName} is not a J-space system`;
+    } else {
+      pageAttempt.candidates = 1;
+      pageAttempt.matched = true;
+      if (entry && entry.class !== pageClass) {
+        console.log(`Page shows ${pageClass} for ${systemName}, the table says ${entry.class}`);
+        pageAttempt.reason = `page shows ${pageClass} - using ${entry.class} from the table`;
+      } else {
+        pageAttempt.reason = `found ${pageClass}`;
+        diagnostic.matched = diagnostic.matched ? 'system table + page text' : 'page text';
+      }
+    }
+    
+    return {
+      systemClass: entry ? entry.class : ((jSpaceName && pageClass) || null),
+      region: entry ? entry.region : null
+    };
+  }
+  
+  // ============================================================================
+  // HELPER FUNCTION: Classify the system into a security band
+  // ============================================================================
+  /**
+   * The table decides first, then the J123456 name pattern, then the
+   * security rating.
+   * 
+   * @param {number|null} security - Numeric security rating
+   * @param {string|null} systemClass - From classifySystem() - only set for
+   *                                    systems in the table or in J-space
+   * @param {string} systemName - Selected system (J123456 is wormhole space
+   *                              even when its class is unknown)
+   * @returns {string} - 'high', 'low', 'null', 'pochven', 'wormhole' or 'unknown'
+   */
+  function classifySecurityBand(security, systemClass, systemName) {
+    if (systemClass === 'Pochven') {
+      return 'pochven';
+    }
+    if (systemClass || /^J\d{6}$/.test(systemName)) {
+      return 'wormhole';
+    }
+    if (security === null) {
+      return 'unknown';
+    }
+    if (security >= 0.5) {
+      return 'high';
+    }
+    if (security > 0.0) {
+      return 'low';
+    }
+    return 'null';
+  }
+  
+  // ============================================================================
+  // MAIN EXECUTION STARTS HERE
+  // ============================================================================
+  
+  if (!profile) {
+    return {
+      success: false,
+      error: 'No selector profile loaded.',
+      record: null,
+      diagnostics: null
+    };
+  }
+  const diagnosticsResult = {
+    profile: { name: profile.name, revision: profile.revision },
+    fields: diagnostics
+  };
+  
+  // Grabs running in this page - auto-capture (capture.js) ignores the
+  // page changes a grab makes while it opens and closes route sections
+  window.grabAndGoScrapes = (window.grabAndGoScrapes || 0) + 1;
+  try {
+    // STEP 1: Get system name
+    const systemName = extractSystemName();
+    if (!systemName) {
+      console.log('No system name found - no system selected');
+      return {
+        success: false,
+        error: 'No system selected.',
+        record: null,
+        diagnostics: diagnosticsResult
+      };
+    }
+    console.log('✓ System name:', systemName);
+    
+    // STEP 2: Get security rating and connection type
+    const { securityRating, connectionType } = extractSecurityAndConnection(systemName);
+    const security = parseSecurity(securityRating);
+    const { systemClass, region } = classifySystem(systemName, connectionType);
+    const securityBand = classifySecurityBand(security, systemClass, systemName);
+    console.log('✓ Security rating:', securityRating, `(${securityBand})`);
+    console.log('✓ Class:', systemClass || 'None', region ? `in ${region}` : '');
+    
+    // STEP 3: Detect which tab is active (SHORTEST or SECURE)
+    const activeTab = detectActiveTab();
+    console.log('✓ Active tab:', activeTab);
+    
+    // STEP 4: Extract destinations from the requested route tabs
+    // 'both' reads SHORTEST and SECURE, 'active' never switches tabs
+    const routeMode = options.routeMode || 'both';
+    let routes = [activeTab];
+    let primaryRoute = activeTab;
+    if (routeMode === 'both') {
+      routes = ['SHORTEST', 'SECURE'];
+    } else if (routeMode === 'shortest' || routeMode === 'secure') {
+      primaryRoute = routeMode.toUpperCase();
+      routes = [primaryRoute];
+    }
+    
+    const routeResults = await readRoutes(routes, activeTab, systemName);
+    const destinations = mergeRouteDestinations(routeResults, primaryRoute);
+    console.log('✓ Destinations:', destinations);
+    
+    // STEP 5: Build the structured record
+    // Consumers (copy, Discord, JSON export) format from this - see record.js
+    const record = {
+      system: systemName,
+      security: security,
+      securityBand: securityBand,
+      wormholeClass: securityBand === 'wormhole' ? systemClass : null,
+      region: region,
+      route: primaryRoute,
+      destinations: destinations,
+      extractedAt: new Date().toISOString(),
+      sourceUrl: window.location.href
+    };
+    
+    // Check if we got any destinations
+    if (!destinations || destinations.length === 0) {
+      console.log('No destinations found');
+      return {
+        success: false,
+        error: 'The route panel could not be opened or lists no destinations - see Diagnostics for what was tried.',
+        record: record,
+        diagnostics: diagnosticsResult
+      };
+    }
+    
+    console.log('=== Extraction Complete ===');
+    return {
+      success: true,
+      record: record,
+      diagnostics: diagnosticsResult
+    };
+    
+  } catch (error) {
+    console.error('Error in getSystemData:', error);
+    return {
+      success: false,
+      error: 'Error: ' + error.message,
+      record: null,
+      diagnostics: diagnosticsResult
+    };
+  } finally {
+    window.grabAndGoScrapes -= 1;
+  }
+}
@@ -0,0 +1,179 @@
+/* ============================================================================
+   GRAB-AND-GO - Selector Profiles
+   ============================================================================
+
+   PURPOSE:
+   Everything getSystemData() (scraper.js) knows about the map page - CSS
+   selectors, text patterns, words to ignore - lives in a selector profile
+   instead of the code. When the website changes, an updated profile can
+   be imported from the popup without waiting for a new release.
+
+   WHERE PROFILES COME FROM:
+   - selectors.json, bundled with the extension (the built-in profile)
+   - A profile the user imported, kept in chrome.storage.local under
+     SELECTOR_PROFILE_KEY. It replaces the built-in one until reset.
+
+   VERSIONING:
+   - schemaVersion: the profile format. The scraper only understands
+     SELECTOR_SCHEMA_VERSION; other versions are refused on import.
+   - revision: bumped whenever the selectors change, shown in Diagnostics
+     so it's clear which profile a grab used.
+
+   See selectors.json for the full format and README.md for how each
+   strategy type is interpreted.
+
+   ============================================================================ */
+
+// chrome.storage.local key holding the imported profile
+const SELECTOR_PROFILE_KEY = 'selectorProfile';
+
+// Profile format this version of the scraper understands
+const SELECTOR_SCHEMA_VERSION = 1;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks that a profile has everything the scraper needs
+ *
+ * @param {Object} profile - Parsed selector profile
+ * @returns {string[]} - Problems found (empty if the profile is usable)
+ */
+function validateSelectorProfile(profile) {
+  if (!profile || typeof profile !== 'object') {
+    return ['The profile must be a JSON object'];
+  }
+  if (profile.schemaVersion !== SELECTOR_SCHEMA_VERSION) {
+    return [`Unsupported schemaVersion ${profile.schemaVersion} (expected ${SELECTOR_SCHEMA_VERSION})`];
+  }
+
+  const problems = [];
+  const isStringList = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (typeof profile.name !== 'string' || !Number.isInteger(profile.revision)) {
+    problems.push('name (text) and revision (whole number) are required');
+  }
+
+  const patterns = profile.patterns || {};
+  for (const key of ['security', 'wormholeClass']) {
+    try {
+      if (typeof patterns[key] !== 'string') {
+        throw new Error('missing');
+      }
+      new RegExp(patterns[key]);
+    } catch (error) {
+      problems.push(`patterns.${key} must be a valid regular expression`);
+    }
+  }
+
+  const sections = {
+    systemName: [],
+    security: ['node', 'each', 'first'],
+    destinations: ['rows', 'panel']
+  };
+  for (const section of Object.keys(sections)) {
+    const strategies = profile[section] && profile[section].strategies;
+    if (!Array.isArray(strategies) || strategies.length === 0) {
+      problems.push(`${section}.strategies must list at least one strategy`);
+      continue;
+    }
+    strategies.forEach((strategy, index) => {
+      if (typeof strategy.name !== 'string' || !isStringList(strategy.selectors)) {
+        problems.push(`${section}.strategies[${index}] needs a name and a list of selectors`);
+      }
+      const types = sections[section];
+      if (types.length > 0 && !types.includes(strategy.type)) {
+        problems.push(`${section}.strategies[${index}].type must be one of: ${types.join(', ')}`);
+      }
+    });
+  }
+
+  const tabs = profile.routeTabs;
+  if (!tabs || !isStringList(tabs.selectors) || !tabs.labels || !tabs.labels.SHORTEST ||
+      !tabs.labels.SECURE || typeof tabs.activeAttributes !== 'object' || !isStringList(tabs.activeClasses)) {
+    problems.push('routeTabs needs selectors, labels (SHORTEST, SECURE), activeAttributes and activeClasses');
+  }
+
+  const destinations = profile.destinations;
+  if (destinations && !(isStringList(destinations.textSelectors) && isStringList(destinations.excludeText) &&
+      Number.isInteger(destinations.maxNameLength) &&
+      Number.isInteger(destinations.maxJumpsLength))) {
+    problems.push('destinations needs textSelectors, excludeText, maxNameLength and maxJumpsLength');
+  }
+  // Optional - only needed for the route detail
+  const routeDetail = profile.routeDetail;
+  if (routeDetail !== undefined && !(routeDetail && isStringList(routeDetail.expandSelectors) &&
+      isStringList(routeDetail.detailsSelectors) && isStringList(routeDetail.systemSelectors))) {
+    problems.push('routeDetail needs expandSelectors, detailsSelectors and systemSelectors');
+  }
+  // Optional - without it a collapsed route section isn't opened
+  const routePanel = profile.routePanel;
+  if (routePanel !== undefined && !(routePanel && isStringList(routePanel.expandSelectors) &&
+      Number.isInteger(routePanel.maxAttempts) && Number.isInteger(routePanel.timeoutMs))) {
+    problems.push('routePanel needs expandSelectors, maxAttempts and timeoutMs');
+  }
+  if (profile.systemName && !Number.isInteger(profile.systemName.maxLength)) {
+    problems.push('systemName.maxLength must be a whole number');
+  }
+
+  return problems;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} - The profile bundled with the extension
+ */
+function loadBuiltInSelectorProfile() {
+  return fetch(chrome.runtime.getURL('selectors.json')).then(response => response.json());
+}
+
+/**
+ * @returns {Promise<Object|null>} - The imported profile, or null if none
+ */
+function loadImportedSelectorProfile() {
+  return chrome.storage.local.get(SELECTOR_PROFILE_KEY).then(stored => stored[SELECTOR_PROFILE_KEY] || null);
+}
+
+/**
+ * Loads the profile the scraper should use: the imported one if there is
+ * one, otherwise the built-in one
+ *
+ * @returns {Promise<Object>} - Selector profile
+ */
+function loadSelectorProfile() {
+  return loadImportedSelectorProfile().then(imported => imported || loadBuiltInSelectorProfile());
+}
+
+/**
+ * Validates and stores a profile so it replaces the built-in one
+ *
+ * @param {string} json - Contents of the profile file
+ * @returns {Promise<Object>} - The imported profile; rejects with the problems found
+ */
+function importSelectorProfile(json) {
+  let profile;
+  try {
+    profile = JSON.parse(json);
+  } catch (error) {
+    return Promise.reject(new Error(`Not valid JSON: ${error.message}`));
+  }
+
+  const problems = validateSelectorProfile(profile);
+  if (problems.length > 0) {
+    return Promise.reject(new Error(problems.join('\n')));
+  }
+  return chrome.storage.local.set({ [SELECTOR_PROFILE_KEY]: profile }).then(() => profile);
+}
+
+/**
+ * Drops the imported profile and goes back to the built-in one
+ *
+ * @returns {Promise} - Resolves when removed
+ */
+function resetSelectorProfile() {
+  return chrome.storage.local.remove(SELECTOR_PROFILE_KEY);
+}
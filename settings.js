@@ -0,0 +1,500 @@
+/* ============================================================================
+   GRAB-AND-GO - Settings
+   ============================================================================
+
+   PURPOSE:
+   Every user setting lives in chrome.storage, where the popup, the
+   options page and the background worker can all read it:
+   - chrome.storage.sync:   Preferences (theme, templates, route mode,
+                            hub settings, alert rules...) - they follow the user to
+                            every browser they sign in to
+   - chrome.storage.local:  Webhook profiles, unless the user turns on
+                            "Sync webhook profiles" - a webhook URL is a
+                            secret (anyone who has it can post)
+
+   Data that isn't a setting (outbox, history, chains, last posts, cached
+   captures, the imported selector profile) is not handled here.
+
+   chrome.storage.sync refuses any stored item over 8 KB. Custom themes,
+   custom templates and alert rules can grow past that, so each of their
+   entries gets its own key: "customTemplates.0", "customTemplates.1"...,
+   with the number of entries under "customTemplates" itself. A listener
+   on chrome.storage.onChanged checks them with isSettingChange().
+
+   READING:
+   loadSettings() reads everything once; getSetting() then answers from
+   that copy without waiting, so templates.js and themes.js stay
+   synchronous. saveSettings() / setSetting() update the copy right away
+   and write to chrome.storage in the background; if storage refuses the
+   write, the copy is put back and their promise resolves to false.
+
+   VERSIONS AND MIGRATIONS:
+   'settingsVersion' (chrome.storage.sync) is the shape the stored
+   settings follow. SETTINGS_MIGRATIONS[n] upgrades version n to n + 1,
+   and loadSettings() runs the missing ones in order. Only the popup and
+   options page save the result - the first migration reads the popup's
+   old localStorage, which the background worker can't see, so the worker
+   migrates what it can read in memory and waits for the popup to finish.
+
+   TO CHANGE A SETTING'S SHAPE:
+   Add a migration to the end of SETTINGS_MIGRATIONS (SETTINGS_VERSION
+   follows from its length) and update the defaults below.
+
+   SETTINGS FILE:
+   exportSettings() / importSettings() read and write a JSON file a corp
+   can hand to new scouts:
+   {
+     type: "grab-and-go-settings",
+     version: 1,
+     exportedAt: "2024-01-01T12:00:00.000Z",
+     settings: { theme: "caldari", routeMode: "both", ... }
+   }
+   Webhook profiles are only in it when the user asks for them.
+
+   ============================================================================ */
+
+// chrome.storage.sync key holding the settings' schema version
+const SETTINGS_VERSION_KEY = 'settingsVersion';
+
+// Identifies an exported settings file
+const SETTINGS_FILE_TYPE = 'grab-and-go-settings';
+
+// Synced settings and their defaults
+const SETTINGS_DEFAULTS = {
+  theme: 'default',               // Theme id (themes.js)
+  customThemes: {},
+  selectedTemplate: 'default',    // Template id (templates.js)
+  customTemplates: [],
+  discordEmbeds: false,           // "Send as embed"
+  routeMode: 'both',
+  routeDetail: false,
+  copyFormat: 'plain',
+  chainFormat: 'message',
+  autoCapture: false,             // AUTO_CAPTURE_KEY (record.js)
+  hubSettings: {},                // HUB_SETTINGS_KEY (hubs.js)
+  alertRules: [],                 // ALERT_RULES_KEY (alerts.js)
+  syncWebhooks: false             // Keep the webhook settings below in sync too
+};
+
+// Settings holding webhook URLs (webhooks.js): chrome.storage.local unless
+// syncWebhooks is on
+const WEBHOOK_SETTINGS_DEFAULTS = {
+  webhookProfiles: [],
+  selectedWebhookProfile: null,
+  multiWebhookProfiles: []
+};
+
+// Settings stored one entry per key, to stay under chrome.storage.sync's
+// limit per item (see the header)
+const SPLIT_SETTINGS = ['customThemes', 'customTemplates', 'alertRules'];
+
+// Per-browser choices, never exported or imported
+const DEVICE_SETTINGS = ['syncWebhooks'];
+
+// What the popup kept in localStorage before version 1 - everything else
+// was already in chrome.storage
+const LEGACY_LOCAL_STORAGE = ['theme', 'webhookUrl'];
+
+// ============================================================================
+// MIGRATIONS
+// Each one turns version n settings into version n + 1. migrate() must
+// also work on an imported file, where `sources` has nothing in it.
+// ============================================================================
+
+const SETTINGS_MIGRATIONS = [
+  {
+    // 0 -> 1: the popup's localStorage -> chrome.storage
+    migrate(settings, sources) {
+      const result = Object.assign({}, settings);
+
+      const legacyTheme = sources.localStorage ? sources.localStorage.getItem('theme') : null;
+      if (legacyTheme !== null) {
+        result.theme = legacyTheme;
+      }
+
+      // A webhook URL saved before webhook profiles existed
+      const legacyUrl = sources.localStorage ? sources.localStorage.getItem('webhookUrl') : null;
+      if (legacyUrl && legacyUrl.trim() !== '' && !Array.isArray(result.webhookProfiles)) {
+        result.webhookProfiles = [{ id: `profile-${Date.now()}`, name: 'Default', url: legacyUrl.trim() }];
+        console.log('Migrated saved webhook URL to a "Default" profile');
+      }
+      return result;
+    },
+
+    // Runs once the migrated settings are saved
+    cleanUp(sources) {
+      if (sources.localStorage) {
+        LEGACY_LOCAL_STORAGE.forEach(key => sources.localStorage.removeItem(key));
+      }
+    }
+  }
+];
+
+// Current settings version
+const SETTINGS_VERSION = SETTINGS_MIGRATIONS.length;
+
+/**
+ * Upgrades settings from an older version
+ *
+ * @param {Object} settings - Settings as stored (or imported)
+ * @param {number} version - Their version
+ * @param {Object} sources - {localStorage} - old storage for the migrations to read
+ * @returns {Object} - Settings in the current version
+ */
+function migrateSettings(settings, version, sources) {
+  let result = settings;
+  for (let v = version; v < SETTINGS_VERSION; v++) {
+    result = SETTINGS_MIGRATIONS[v].migrate(result, sources);
+    console.log(`Settings migrated to version ${v + 1}`);
+  }
+  return result;
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+// Settings as last loaded or saved (see getSetting())
+let settingsCache = null;
+
+/**
+ * Fills in defaults and drops anything that isn't a setting
+ *
+ * @param {Object} stored - Stored values
+ * @returns {Object} - Every setting
+ */
+function withSettingDefaults(stored) {
+  const settings = {};
+  for (const [key, defaultValue] of Object.entries(Object.assign({}, SETTINGS_DEFAULTS, WEBHOOK_SETTINGS_DEFAULTS))) {
+    // Defaults are copied so callers can't change them by editing a setting in place
+    settings[key] = stored[key] !== undefined ? stored[key] : JSON.parse(JSON.stringify(defaultValue));
+  }
+  return settings;
+}
+
+/**
+ * Turns a split setting into the items chrome.storage.sync stores
+ *
+ * @param {string} key - One of SPLIT_SETTINGS
+ * @param {Array|Object} value - Its value; an object is stored as [key, value] entries
+ * @returns {Object} - {key: number of entries, "key.0": first entry, ...}
+ */
+function splitSetting(key, value) {
+  const entries = Array.isArray(value) ? value : Object.entries(value);
+  const items = { [key]: entries.length };
+  entries.forEach((entry, index) => {
+    items[`${key}.${index}`] = entry;
+  });
+  return items;
+}
+
+/**
+ * Puts a split setting back together
+ *
+ * @param {string} key - One of SPLIT_SETTINGS
+ * @param {Object} synced - chrome.storage.sync contents
+ * @returns {*} - Its value; one saved before settings were split is returned as it is
+ */
+function joinSetting(key, synced) {
+  if (typeof synced[key] !== 'number') {
+    return synced[key];
+  }
+  const entries = [];
+  for (let index = 0; index < synced[key]; index++) {
+    // An entry can arrive from another browser after its count
+    if (synced[`${key}.${index}`] !== undefined) {
+      entries.push(synced[`${key}.${index}`]);
+    }
+  }
+  return Array.isArray(SETTINGS_DEFAULTS[key]) ? entries : Object.fromEntries(entries);
+}
+
+/**
+ * Tells whether a chrome.storage.onChanged event touches a setting,
+ * including the entries of a split one
+ *
+ * @param {Object} changes - From chrome.storage.onChanged
+ * @param {string} key - Setting name
+ * @returns {boolean} - true if the setting changed
+ */
+function isSettingChange(changes, key) {
+  return Object.keys(changes).some(changed => changed === key || changed.startsWith(`${key}.`));
+}
+
+/**
+ * @param {boolean} syncWebhooks - The syncWebhooks setting
+ * @returns {Object} - chrome.storage area holding the webhook settings
+ */
+function getWebhookSettingsArea(syncWebhooks) {
+  return syncWebhooks ? chrome.storage.sync : chrome.storage.local;
+}
+
+/**
+ * Reads all settings, migrating them first if they are from an older version
+ *
+ * @returns {Promise<Object>} - Every setting, with defaults for anything not set
+ */
+function loadSettings() {
+  const webhookKeys = Object.keys(WEBHOOK_SETTINGS_DEFAULTS);
+  return Promise.all([
+    chrome.storage.sync.get(null),
+    chrome.storage.local.get(webhookKeys)
+  ]).then(([synced, local]) => {
+    const webhookStore = synced.syncWebhooks ? synced : local;
+    const stored = Object.assign({}, synced);
+    SPLIT_SETTINGS.forEach(key => {
+      stored[key] = joinSetting(key, synced);
+    });
+    webhookKeys.forEach(key => {
+      stored[key] = webhookStore[key];
+    });
+
+    const version = synced[SETTINGS_VERSION_KEY] || 0;
+    if (version >= SETTINGS_VERSION) {
+      settingsCache = withSettingDefaults(stored);
+      return settingsCache;
+    }
+
+    // The worker can't see localStorage: it migrates what it can read, in
+    // memory only, and leaves saving to the popup or options page
+    if (typeof localStorage === 'undefined') {
+      settingsCache = withSettingDefaults(migrateSettings(stored, version, { localStorage: null }));
+      return settingsCache;
+    }
+
+    const sources = { localStorage: localStorage };
+    const migrated = migrateSettings(stored, version, sources);
+    const changed = {};
+    for (const key of Object.keys(withSettingDefaults({}))) {
+      if (migrated[key] !== undefined) {
+        changed[key] = migrated[key];
+      }
+    }
+
+    settingsCache = withSettingDefaults(migrated);
+    return writeSettings(changed, settingsCache.syncWebhooks)
+      .then(() => chrome.storage.sync.set({ [SETTINGS_VERSION_KEY]: SETTINGS_VERSION }))
+      .then(() => Promise.all(SETTINGS_MIGRATIONS.slice(version).map(m => m.cleanUp(sources))))
+      .then(() => settingsCache);
+  });
+}
+
+/**
+ * Writes settings to the storage area each one belongs in
+ *
+ * @param {Object} changes - Settings to write
+ * @param {boolean} syncWebhooks - Where the webhook settings go
+ * @returns {Promise} - Resolves when written
+ */
+function writeSettings(changes, syncWebhooks) {
+  const synced = {};
+  const webhooks = {};
+  for (const [key, value] of Object.entries(changes)) {
+    if (key in WEBHOOK_SETTINGS_DEFAULTS) {
+      webhooks[key] = value;
+    } else if (key in SETTINGS_DEFAULTS) {
+      synced[key] = value;
+    }
+  }
+
+  const writes = [writeSyncedSettings(synced)];
+  if (Object.keys(webhooks).length > 0) {
+    writes.push(getWebhookSettingsArea(syncWebhooks).set(webhooks));
+  }
+  return Promise.all(writes);
+}
+
+/**
+ * Writes settings to chrome.storage.sync, splitting the SPLIT_SETTINGS,
+ * and removes the entries a split setting no longer has
+ *
+ * @param {Object} settings - Settings to write
+ * @returns {Promise} - Resolves when written
+ */
+function writeSyncedSettings(settings) {
+  const items = {};
+  const split = [];
+  for (const [key, value] of Object.entries(settings)) {
+    if (SPLIT_SETTINGS.includes(key)) {
+      Object.assign(items, splitSetting(key, value));
+      split.push(key);
+    } else {
+      items[key] = value;
+    }
+  }
+  if (split.length === 0) {
+    return chrome.storage.sync.set(items);
+  }
+
+  return chrome.storage.sync.get(split).then(before => chrome.storage.sync.set(items).then(() => {
+    const unused = [];
+    for (const key of split) {
+      const count = typeof before[key] === 'number' ? before[key] : 0;
+      for (let index = items[key]; index < count; index++) {
+        unused.push(`${key}.${index}`);
+      }
+    }
+    return unused.length > 0 ? chrome.storage.sync.remove(unused) : null;
+  }));
+}
+
+/**
+ * Saves some settings
+ *
+ * The in-memory copy is updated before this returns, so getSetting() sees
+ * the change right away; if the write fails, the changed settings are put
+ * back. Turning syncWebhooks on or off moves the webhook settings to the
+ * other storage area.
+ *
+ * @param {Object} changes - { setting: value }
+ * @returns {Promise<boolean>} - false if storage refused the write (logged),
+ *                               e.g. over the chrome.storage.sync quota
+ */
+function saveSettings(changes) {
+  if (!settingsCache) {
+    return loadSettings().then(() => saveSettings(changes));
+  }
+
+  const previous = settingsCache;
+  const saved = Object.assign({}, previous, changes);
+  settingsCache = saved;
+
+  const webhookKeys = Object.keys(WEBHOOK_SETTINGS_DEFAULTS);
+  const moving = settingsCache.syncWebhooks !== previous.syncWebhooks;
+  const toWrite = Object.assign({}, changes);
+  if (moving) {
+    webhookKeys.forEach(key => {
+      toWrite[key] = settingsCache[key];
+    });
+  }
+
+  return writeSettings(toWrite, settingsCache.syncWebhooks)
+    .then(() => moving ? getWebhookSettingsArea(previous.syncWebhooks).remove(webhookKeys) : null)
+    .then(() => true)
+    .catch(error => {
+      console.error('Error saving settings:', error);
+      // Put back what this save changed, unless a later save changed it again
+      const restored = Object.assign({}, settingsCache);
+      for (const key of Object.keys(changes)) {
+        if (restored[key] === saved[key]) {
+          restored[key] = previous[key];
+        }
+      }
+      settingsCache = restored;
+      return false;
+    });
+}
+
+/**
+ * Reads a setting from the copy made by loadSettings()
+ *
+ * @param {string} key - Setting name
+ * @returns {*} - Its value (the default if it was never set)
+ */
+function getSetting(key) {
+  if (!settingsCache) {
+    throw new Error(`Settings are not loaded yet (reading "${key}") - call loadSettings() first`);
+  }
+  return settingsCache[key];
+}
+
+/**
+ * @param {string} key - Setting name
+ * @param {*} value - New value
+ * @returns {Promise<boolean>} - See saveSettings()
+ */
+function setSetting(key, value) {
+  return saveSettings({ [key]: value });
+}
+
+// ============================================================================
+// EXPORT / IMPORT
+// ============================================================================
+
+/**
+ * @param {boolean} includeWebhooks - Include webhook profiles (their URLs are secrets)
+ * @returns {string} - Settings file contents (see the header)
+ */
+function exportSettings(includeWebhooks) {
+  const settings = {};
+  const keys = Object.keys(SETTINGS_DEFAULTS)
+    .concat(includeWebhooks ? Object.keys(WEBHOOK_SETTINGS_DEFAULTS) : [])
+    .filter(key => !DEVICE_SETTINGS.includes(key));
+  keys.forEach(key => {
+    settings[key] = getSetting(key);
+  });
+
+  return JSON.stringify({
+    type: SETTINGS_FILE_TYPE,
+    version: SETTINGS_VERSION,
+    exportedAt: new Date().toISOString(),
+    settings: settings
+  }, null, 2);
+}
+
+/**
+ * Reads a settings file, upgrading it if it's from an older version
+ *
+ * @param {string} json - Settings file contents
+ * @returns {Object} - The settings in it; throws an Error listing the
+ *                     problems if it isn't a usable settings file
+ */
+function parseSettingsFile(json) {
+  let file;
+  try {
+    file = JSON.parse(json);
+  } catch (error) {
+    throw new Error(`Not valid JSON: ${error.message}`);
+  }
+
+  if (!file || file.type !== SETTINGS_FILE_TYPE || !file.settings || typeof file.settings !== 'object') {
+    throw new Error('This is not a Grab-and-Go settings file');
+  }
+  if (!Number.isInteger(file.version) || file.version < 1 || file.version > SETTINGS_VERSION) {
+    throw new Error(`Settings version ${file.version} is not supported - this extension reads up to version ${SETTINGS_VERSION}`);
+  }
+
+  const settings = migrateSettings(file.settings, file.version, { localStorage: null });
+  const defaults = Object.assign({}, SETTINGS_DEFAULTS, WEBHOOK_SETTINGS_DEFAULTS);
+  const typeOf = value => (Array.isArray(value) ? 'array' : value === null ? 'null' : typeof value);
+  const problems = [];
+  const result = {};
+
+  for (const [key, value] of Object.entries(settings)) {
+    if (!(key in defaults) || DEVICE_SETTINGS.includes(key)) {
+      console.warn(`Ignoring unknown setting "${key}" in the settings file`);
+      continue;
+    }
+    // selectedWebhookProfile is null when nothing is selected
+    const expected = key === 'selectedWebhookProfile' ? ['string', 'null'] : [typeOf(defaults[key])];
+    if (!expected.includes(typeOf(value))) {
+      problems.push(`${key} must be ${expected.join(' or ')} (got ${typeOf(value)})`);
+      continue;
+    }
+    result[key] = value;
+  }
+
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+  return result;
+}
+
+/**
+ * Replaces the settings a file contains; settings not in it are kept
+ *
+ * @param {string} json - Settings file contents
+ * @returns {Promise<string[]>} - Names of the imported settings; rejects
+ *                                with the problems if the file is unusable
+ */
+function importSettings(json) {
+  return Promise.resolve().then(() => {
+    const settings = parseSettingsFile(json);
+    return saveSettings(settings).then(saved => {
+      if (!saved) {
+        throw new Error('The settings could not be saved - see the console');
+      }
+      return Object.keys(settings);
+    });
+  });
+}
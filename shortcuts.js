@@ -0,0 +1,101 @@
+/* ============================================================================
+   GRAB-AND-GO - Shortcuts and Context Menu
+   ============================================================================
+
+   PURPOSE:
+   "Grab and copy" and "Grab and send" without opening the popup, from a
+   keyboard shortcut (chrome.commands in manifest.json) or the right-click
+   menu on the map page. background.js runs the same getSystemData()
+   (scraper.js) the popup uses and reports back with a toast on the page.
+
+   SETTINGS:
+   Shortcuts use the popup's settings (see settings.js): the selected
+   output template, "Send as embed", the route mode and "Route detail".
+   "Send" goes to the webhook profile(s) selected in the popup.
+
+   PAGE FUNCTIONS:
+   copyTextInPage() and showPageToast() are injected into the map page with
+   chrome.scripting.executeScript(), so like getSystemData() they must stay
+   self-contained.
+
+   ============================================================================ */
+
+// Command / context menu ids
+const GRAB_COPY_ACTION = 'grab-copy';
+const GRAB_SEND_ACTION = 'grab-send';
+
+// ============================================================================
+// SETTINGS
+// ============================================================================
+
+/**
+ * Loads the settings the shortcuts use
+ *
+ * @returns {Promise<Object>} - {template, useEmbed, routeMode, routeDetail, alertRules}
+ */
+function loadShortcutSettings() {
+  return loadSettings().then(settings => ({
+    template: getTemplate(settings.selectedTemplate).template,
+    useEmbed: settings.discordEmbeds,
+    routeMode: settings.routeMode,
+    routeDetail: settings.routeDetail,
+    alertRules: settings.alertRules
+  }));
+}
+
+// ============================================================================
+// PAGE FUNCTIONS
+// Injected into the map page - must not use anything outside themselves
+// ============================================================================
+
+/**
+ * Copies text from the page (the worker has no clipboard of its own)
+ *
+ * @param {string} text - Text to copy
+ * @returns {Promise<string|null>} - null once copied, or why the browser
+ *                                   refused (e.g. the page isn't focused)
+ */
+function copyTextInPage(text) {
+  return navigator.clipboard.writeText(text)
+    .then(() => null)
+    .catch(error => (error && error.message) || String(error));
+}
+
+/**
+ * Shows a short message in the corner of the page
+ *
+ * @param {string} message - Text to show
+ * @param {boolean} isError - Shows the toast in red
+ */
+function showPageToast(message, isError) {
+  const toastId = 'grab-and-go-toast';
+  let toast = document.getElementById(toastId);
+  if (!toast) {
+    toast = document.createElement('div');
+    toast.id = toastId;
+    Object.assign(toast.style, {
+      position: 'fixed',
+      right: '20px',
+      bottom: '20px',
+      zIndex: '2147483647',
+      padding: '8px 14px',
+      borderRadius: '8px',
+      color: '#fff',
+      font: '13px sans-serif',
+      boxShadow: '0 2px 8px rgba(0, 0, 0, 0.3)',
+      transition: 'opacity 0.3s',
+      pointerEvents: 'none'
+    });
+    document.body.appendChild(toast);
+  }
+
+  toast.textContent = `Grab-and-Go: ${message}`;
+  toast.style.background = isError ? '#c62828' : '#2e7d32';
+  toast.style.opacity = '1';
+
+  // Hide the toast after 2.5 seconds
+  clearTimeout(window.grabAndGoToastTimer);
+  window.grabAndGoToastTimer = setTimeout(() => {
+    toast.style.opacity = '0';
+  }, 2500);
+}
@@ -0,0 +1,103 @@
+/* ============================================================================
+   GRAB-AND-GO - Solar System Data
+   ============================================================================
+
+   PURPOSE:
+   Loads the static data about New Eden bundled with the extension, for the
+   places that run getSystemData() (popup, capture.js, background.js).
+
+   KNOWN SYSTEMS (systems.json):
+   - names/patterns: what the scraper accepts as destinations when it has
+     to search a route panel for hub names on its own (the "panel"
+     strategy in selectors.json)
+   - systems: class and region of every wormhole space (C1-C6, Thera,
+     shattered C13, drifter C14-C18) and Pochven system, so they are
+     classified even when the page shows no class
+   {
+     version: 1,
+     source: "...",                   // Where the data came from
+     patterns: ["^J\\d{6}$", ...],    // Name shapes that are always accepted
+     names: ["Amarr", "Jita", ...],   // Everything else, sorted
+     systems: {
+       "Thera": { region: "G-R00031", class: "Thera" },
+       "Kino": { region: "Pochven", class: "Pochven" }, ...
+     }
+   }
+   SYSTEM INFO (system-info.json):
+   Region, constellation and wormhole effect, added to a record after
+   getSystemData() returns (enrichRecord()). It covers every system, so
+   it's kept out of systems.json, which is passed into the map page on
+   every grab. Each system is a compact tuple:
+   {
+     version: 1,
+     source: "...",
+     constellations: { "Kimotoro": "The Forge", ... },   // -> region
+     systems: {
+       "Jita": ["Kimotoro"],                              // [constellation]
+       "J123456": ["A-C00311", "Pulsar"]
+     }                                      // [constellation, effect]
+   }
+
+   Regenerate both files from the EVE static data export with
+   tools/build-systems.js.
+
+   ============================================================================ */
+
+// ============================================================================
+// KNOWN SYSTEMS
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} - {version, source, patterns, names, systems} from systems.json
+ */
+function loadKnownSystems() {
+  return fetch(chrome.runtime.getURL('systems.json')).then(response => response.json());
+}
+
+// ============================================================================
+// SYSTEM INFO
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} - {version, source, constellations, systems} from system-info.json
+ */
+function loadSystemInfo() {
+  return fetch(chrome.runtime.getURL('system-info.json')).then(response => response.json());
+}
+
+/**
+ * Adds region, constellation and wormhole effect to a record
+ *
+ * Systems missing from the data keep what the scraper found (the region
+ * of special systems, see classifySystem() in scraper.js) and get null
+ * for the rest.
+ *
+ * @param {Object} record - System record from getSystemData()
+ * @param {Object|null} systemInfo - From loadSystemInfo()
+ * @returns {Object} - A copy of the record with region, constellation and effect
+ */
+function enrichRecord(record, systemInfo) {
+  const systems = (systemInfo && systemInfo.systems) || {};
+  const entry = Object.prototype.hasOwnProperty.call(systems, record.system) ? systems[record.system] : [];
+  const [constellation = null, effect = null] = entry;
+
+  return Object.assign({}, record, {
+    region: (constellation && systemInfo.constellations[constellation]) || record.region || null,
+    constellation: constellation,
+    effect: effect
+  });
+}
+
+/**
+ * Enriches the record of a getSystemData() result, if it has one
+ *
+ * @param {Object|null} data - getSystemData() result
+ * @param {Object|null} systemInfo - From loadSystemInfo()
+ * @returns {Object|null} - The same result with an enriched record
+ */
+function enrichScrapeResult(data, systemInfo) {
+  if (!data || !data.record) {
+    return data;
+  }
+  return Object.assign({}, data, { record: enrichRecord(data.record, systemInfo) });
+}
@@ -0,0 +1,370 @@
+/* ============================================================================
+   GRAB-AND-GO - Output Targets
+   ============================================================================
+
+   PURPOSE:
+   Reports are built once, as a Discord-style payload ({content} or
+   {embeds} - see buildDiscordPayload() in discord.js), and each webhook
+   profile sends it through the adapter for its `type`. The adapter decides
+   the request body and headers and how to read the answer, so the popup,
+   the outbox and the history don't care where a report goes.
+
+   Embeds and mentions (<@&role id>) only mean something to Discord. The
+   other targets get the payload as text (flattenPayload()): mentions are
+   dropped and each embed becomes a few lines.
+
+   BUILT-IN TARGETS:
+   - discord:  Discord webhooks. Posts can be updated and deleted later.
+   - slack:    Slack-compatible incoming webhooks (Slack, Mattermost,
+               Rocket.Chat...): `text` in Slack's markup.
+   - json:     Any endpoint taking a JSON POST: the text, the system
+               record and the profile name, with optional custom headers
+               (e.g. an API key).
+
+   ADAPTER SHAPE:
+   {
+     name: "Slack / Mattermost",               // Shown in the profile editor
+     placeholder: "https://hooks.slack.com/services/...",
+     editable: false,                          // Can the last post be updated/deleted?
+     validateUrl(url),                         // -> problems (string[])
+     buildRequest(payload, profile, record),   // -> {url, headers, body}
+     readPosted(response),                     // -> Promise<messageId|null> for a 2xx
+     readError(response),                      // -> Promise<Error> (status, retryAfter)
+     check(profile, requestId)                 // Optional - checks the webhook without
+                                               //   posting: -> Promise<{name, channelId}>
+   }
+
+   TO ADD A TARGET:
+   Add an adapter to OUTPUT_TARGETS. The profile editor's type dropdown is
+   built from it, and tools/mock-webhook-server.js can stand in for it.
+
+   ============================================================================ */
+
+// Profiles saved before there were other targets have no type
+const DEFAULT_TARGET_TYPE = 'discord';
+
+// Header names a custom header line may use (RFC 9110 token characters)
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+// Discord user and role mentions: <@123>, <@!123>, <@&123>
+const DISCORD_MENTION_PATTERN = /<@[!&]?\d+>\s*/g;
+
+// How flattenPayload() writes bold text and links for each kind of target
+const SLACK_MARKUP = {
+  bold: text => `*${text}*`,
+  link: (text, url) => `<${url}|${text}>`
+};
+const PLAIN_MARKUP = {
+  bold: text => text,
+  link: (text, url) => `${text} (${url})`
+};
+
+// ============================================================================
+// HELPERS
+// ============================================================================
+
+/**
+ * Checks that a URL can take webhook posts: https, or http on a local host
+ *
+ * @param {string} url - URL as typed
+ * @returns {string[]} - Problems found (empty if the URL looks right)
+ */
+function validateHttpUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return ['Not a URL - copy the whole webhook URL from the service'];
+  }
+
+  const problems = [];
+  const isLocal = LOCAL_WEBHOOK_HOSTS.includes(parsed.hostname);
+  if (parsed.protocol !== 'https:' && !(isLocal && parsed.protocol === 'http:')) {
+    problems.push(`Webhook URLs start with https:// (got ${parsed.protocol}//)`);
+  }
+  if (parsed.pathname === '/') {
+    problems.push('The URL has no path - copy the whole webhook URL');
+  }
+  return problems;
+}
+
+/**
+ * Reads a response body as JSON, if it is JSON
+ *
+ * @param {Response} response - Successful response
+ * @returns {Promise<Object|null>} - Parsed body, or null for an empty or non-JSON body
+ */
+function readJsonBody(response) {
+  return response.text().then(text => {
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      return null;
+    }
+  });
+}
+
+/**
+ * Parses the custom header lines typed into the profile editor
+ *
+ * @param {string} text - One "Name: value" per line
+ * @returns {Object} - {headers: {Name: value}, problems: string[]}
+ */
+function parseHeaderLines(text) {
+  const headers = {};
+  const problems = [];
+  text.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+    const colon = line.indexOf(':');
+    const name = colon > 0 ? line.slice(0, colon).trim() : '';
+    if (!HEADER_NAME_PATTERN.test(name)) {
+      problems.push(`Headers are written "Name: value" (got "${line}")`);
+      return;
+    }
+    headers[name] = line.slice(colon + 1).trim();
+  });
+  return { headers: headers, problems: problems };
+}
+
+/**
+ * @param {Object} headers - {Name: value}
+ * @returns {string} - One "Name: value" per line, for the profile editor
+ */
+function formatHeaderLines(headers) {
+  return Object.entries(headers || {}).map(([name, value]) => `${name}: ${value}`).join('\n');
+}
+
+// ============================================================================
+// TEXT-ONLY BODIES
+// ============================================================================
+
+/**
+ * Turns a Discord payload into text for a target without embeds or
+ * Discord mentions
+ *
+ * @param {Object} payload - Payload from buildDiscordPayload() (after alert rules)
+ * @param {Object} markup - SLACK_MARKUP or PLAIN_MARKUP
+ * @returns {string} - The content without mentions, then each embed as
+ *                     lines: title, description, "hub: jumps" fields, footer
+ */
+function flattenPayload(payload, markup) {
+  // Discord's **bold**, e.g. a chain note
+  const convert = text => text.replace(/\*\*(.+?)\*\*/g, (match, bold) => markup.bold(bold));
+
+  const parts = [];
+  const content = (payload.content || '').replace(DISCORD_MENTION_PATTERN, '').trim();
+  if (content) {
+    parts.push(convert(content));
+  }
+  for (const embed of payload.embeds || []) {
+    const lines = [];
+    if (embed.title) {
+      lines.push(embed.url ? markup.link(embed.title, embed.url) : markup.bold(embed.title));
+    }
+    if (embed.description) {
+      lines.push(convert(embed.description));
+    }
+    (embed.fields || []).forEach(field => {
+      lines.push(`${markup.bold(field.name)}: ${field.value.replace(/\n/g, ', ')}`);
+    });
+    if (embed.footer && embed.footer.text) {
+      lines.push(embed.footer.text);
+    }
+    parts.push(lines.join('\n'));
+  }
+  return parts.join('\n\n');
+}
+
+/**
+ * Builds a Slack-compatible incoming webhook body
+ *
+ * @param {Object} payload - Payload from buildDiscordPayload()
+ * @param {Object} profile - Webhook profile (username and avatar_url apply)
+ * @returns {Object} - {text, username?, icon_url?}
+ */
+function buildSlackBody(payload, profile) {
+  const body = {
+    text: flattenPayload(payload, SLACK_MARKUP)
+  };
+  if (profile.username) {
+    body.username = profile.username;
+  }
+  if (profile.avatar_url) {
+    body.icon_url = profile.avatar_url;
+  }
+  return body;
+}
+
+// ============================================================================
+// BUILT-IN TARGETS
+// ============================================================================
+
+const OUTPUT_TARGETS = {
+  discord: {
+    name: 'Discord',
+    placeholder: 'https://discord.com/api/webhooks/<id>/<token>',
+    editable: true,
+    validateUrl: validateWebhookUrl,
+
+    // ?wait=true makes Discord return the created message - its id is what
+    // makes editDiscordMessage() and deleteDiscordMessage() possible later.
+    // The profile's username, avatar_url and thread_id overrides apply here.
+    buildRequest: (payload, profile) => ({
+      url: buildWebhookUrl(profile, { wait: true }),
+      headers: {},
+      body: applyProfileOverrides(payload, profile)
+    }),
+    readPosted: response => readJsonBody(response).then(message => (message && message.id) || null),
+    readError: response => readWebhookError(response, 'Discord API'),
+    check: (profile, requestId) => getDiscordWebhook(profile, requestId).then(webhook => ({
+      name: webhook.name,
+      channelId: webhook.channel_id
+    }))
+  },
+
+  slack: {
+    name: 'Slack / Mattermost',
+    placeholder: 'https://hooks.slack.com/services/...',
+    editable: false,
+    validateUrl: validateHttpUrl,
+    buildRequest: (payload, profile) => ({
+      url: profile.url,
+      headers: {},
+      body: buildSlackBody(payload, profile)
+    }),
+
+    // Slack answers "ok" and Mattermost an empty body - neither gives an id
+    readPosted: () => Promise.resolve(null),
+    readError: response => readWebhookError(response, 'Webhook')
+  },
+
+  json: {
+    name: 'JSON webhook',
+    placeholder: 'https://example.com/hooks/eve-intel',
+    editable: false,
+    validateUrl: validateHttpUrl,
+    buildRequest: (payload, profile, record) => ({
+      url: profile.url,
+      headers: profile.headers || {},
+      body: {
+        source: 'grab-and-go',
+        profile: profile.name,
+        content: flattenPayload(payload, PLAIN_MARKUP) || null,
+        record: record || null
+      }
+    }),
+
+    // An endpoint may answer {id: ...}; it's kept for the history but the
+    // post can't be updated or deleted
+    readPosted: response => readJsonBody(response).then(body => (body && body.id) || null),
+    readError: response => readWebhookError(response, 'Webhook')
+  }
+};
+
+// ============================================================================
+// SENDING
+// ============================================================================
+
+/**
+ * Asks for access to a webhook's host, when the target needs it
+ *
+ * Discord allows cross-origin webhook calls; Slack and most other endpoints
+ * don't, so the extension asks for their host (optional_host_permissions in
+ * manifest.json). Chrome only shows the prompt from a click handler.
+ *
+ * @param {Object} profile - Webhook profile
+ * @returns {Promise<boolean>} - Whether the extension may call the webhook
+ */
+function requestTargetAccess(profile) {
+  if ((profile.type || DEFAULT_TARGET_TYPE) === 'discord') {
+    return Promise.resolve(true);
+  }
+  const url = new URL(profile.url);
+  return chrome.permissions.request({ origins: [`${url.protocol}//${url.hostname}/*`] });
+}
+
+/**
+ * @param {Object} profile - Webhook profile
+ * @returns {Object} - The profile's adapter from OUTPUT_TARGETS
+ * @throws {Error} - For an unknown type (marked permanent, so the outbox
+ *                   doesn't retry it)
+ */
+function getOutputTarget(profile) {
+  const type = profile.type || DEFAULT_TARGET_TYPE;
+  if (!Object.prototype.hasOwnProperty.call(OUTPUT_TARGETS, type)) {
+    const error = new Error(`Unknown webhook type "${type}"`);
+    error.permanent = true;
+    throw error;
+  }
+  return OUTPUT_TARGETS[type];
+}
+
+/**
+ * Posts a payload to a webhook profile through its target's adapter
+ *
+ * @param {Object} payload - Payload from buildDiscordPayload()
+ * @param {Object} profile - Webhook profile
+ * @param {Object|null} record - System record the payload was built from
+ * @param {string|number} requestId - Unique request identifier for logging
+ * @returns {Promise<string|null>} - Id of the created message, if the target returns one;
+ *                                   rejects with an Error carrying `status` and `retryAfter`
+ */
+function postToTarget(payload, profile, record, requestId) {
+  return Promise.resolve().then(() => {
+    const target = getOutputTarget(profile);
+    const request = target.buildRequest(payload, profile, record);
+    console.log(`Request to send message initiated (${profile.name}, ${target.name}):`, requestId);
+
+    return fetch(request.url, {
+      method: 'POST',
+      headers: Object.assign({ 'Content-Type': 'application/json' }, request.headers),
+      body: JSON.stringify(request.body)
+    }).then(response => {
+      if (!response.ok) {
+        return target.readError(response).then(error => {
+          throw error;
+        });
+      }
+      console.log('POST succeeded for requestId:', requestId);
+      return target.readPosted(response);
+    });
+  }).catch(error => {
+    console.error('Error in webhook POST (requestId:', requestId, '):', error);
+    throw error;  // Re-throw to be handled by the outbox
+  });
+}
+
+/**
+ * Checks that a profile's webhook works (the popup's "Test" button)
+ *
+ * Discord webhooks can be checked without posting anything. The other
+ * targets have nothing to ask, so they are tested by posting a short
+ * message - postMessage must be set.
+ *
+ * @param {Object} profile - Webhook profile (may be unsaved)
+ * @param {boolean} postMessage - Also post a short test message
+ * @param {string|number} requestId - Unique request identifier for logging
+ * @returns {Promise<Object>} - {name, channelId, messageId}; name and channelId are
+ *                              null when the target can't be checked
+ */
+function testTarget(profile, postMessage, requestId) {
+  return Promise.resolve().then(() => {
+    const target = getOutputTarget(profile);
+    if (!target.check && !postMessage) {
+      const error = new Error(`${target.name} webhooks can only be tested by posting - tick "Test posts a message"`);
+      error.permanent = true;
+      throw error;
+    }
+
+    const check = target.check
+      ? target.check(profile, requestId)
+      : Promise.resolve({ name: null, channelId: null });
+    return check.then(result => {
+      if (!postMessage) {
+        return Object.assign({ messageId: null }, result);
+      }
+      const payload = { content: `Grab-and-Go test message for webhook profile "${profile.name}"` };
+      return postToTarget(payload, profile, null, requestId)
+        .then(messageId => Object.assign({ messageId: messageId }, result));
+    });
+  });
+}
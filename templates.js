@@ -0,0 +1,223 @@
+/* ============================================================================
+   GRAB-AND-GO - Output Templates
+   ============================================================================
+
+   PURPOSE:
+   Turns the scraped system record into the text that is copied or sent to
+   Discord. Users pick a built-in template or write their own.
+   The placeholder values come from getTemplateFields() in record.js.
+
+   PLACEHOLDERS:
+   {system}    - System name                 e.g. "Egmur"
+   {security}  - Security rating             e.g. "0.7"
+   {class}     - System class (optional)     e.g. "C4", "C13", "Thera", "Pochven"
+   {band}      - Security band               high, low, null, pochven, wormhole, unknown
+   {region}    - Region (optional)           e.g. "The Forge"
+   {constellation} - Constellation (optional)   e.g. "Kimotoro"
+   {effect}    - Wormhole effect (optional)  e.g. "Pulsar"
+   {route}     - Active route tab            e.g. "SHORTEST"
+   {nearest}   - Closest hub (optional)      e.g. "Amarr 5" - only with "nearest"
+                                             on in the hub options (hubs.js)
+
+   SECTIONS:
+   {#hubs}{name} {jumps}{/hubs}   - Repeats once per destination, joined by ", "
+                                   {jumps} shows both routes, e.g. "14 (secure 19)";
+                                   {shortest} and {secure} give each count alone;
+                                   with the route detail, {high} {low} {null} count
+                                   the jumps per band and {warning} reads e.g.
+                                   "2 low, 1 null" (empty for an all-highsec route)
+   {#hubs: | }...{/hubs}         - Text after ":" replaces the ", " separator
+   {#class} {class},{/class}     - Only rendered when the value is present
+   {^class}no class{/class}      - Only rendered when the value is missing
+
+   Unknown placeholders are left untouched so literal braces survive.
+
+   ============================================================================ */
+
+// ============================================================================
+// BUILT-IN TEMPLATES
+// ============================================================================
+
+/**
+ * Templates that ship with the extension. They can't be edited or deleted,
+ * but they can be used as a starting point for a custom template.
+ * 'default' reproduces the original "System, Sec, Class, Hub Jumps" format.
+ */
+const BUILT_IN_TEMPLATES = [
+  {
+    id: 'default',
+    name: 'Default',
+    template: '{system}, {security},{#class} {class},{/class} {#nearest}nearest: {nearest}, {/nearest}{#hubs}{name} {jumps}{#warning} ({warning}){/warning}{/hubs}'
+  },
+  {
+    id: 'compact',
+    name: 'Compact',
+    template: '{system} ({security}{#class} {class}{/class}) {#nearest}nearest:{nearest} | {/nearest}{#hubs: | }{name}:{jumps}{#warning} ({warning}){/warning}{/hubs}'
+  },
+  {
+    id: 'multiline',
+    name: 'Multi-line',
+    template: '**{system}** {security}{#class} {class}{/class} ({route})\n{#nearest}Nearest: {nearest} jumps\n{/nearest}{#hubs:\n}{name}: {jumps} jumps{#warning} ⚠ {warning}{/warning}{/hubs}'
+  }
+];
+
+// Default separator used between repeated section items
+const DEFAULT_SECTION_SEPARATOR = ', ';
+
+// ============================================================================
+// RENDERING
+// ============================================================================
+
+/**
+ * Renders a template against a data object
+ *
+ * Sections are resolved first (innermost context wins inside loops),
+ * then plain {placeholders} are substituted.
+ *
+ * @param {string} template - Template text with placeholders
+ * @param {Object} data - Values for the placeholders, e.g. {system, hubs: [...]}
+ * @returns {string} - Rendered output
+ */
+function renderTemplate(template, data) {
+  if (!template) {
+    return '';
+  }
+
+  // Matches {#key}...{/key} or {^key}...{/key}, with optional {#key:separator}
+  const sectionPattern = /\{([#^])(\w+)(?::([^}]*))?\}([\s\S]*?)\{\/\2\}/g;
+
+  const withSections = template.replace(sectionPattern, (match, type, key, separator, body) => {
+    const value = data[key];
+    const isEmpty = value === undefined || value === null || value === '' || value === false ||
+      (Array.isArray(value) && value.length === 0);
+
+    // Inverted section - only rendered when the value is missing
+    if (type === '^') {
+      return isEmpty ? renderTemplate(body, data) : '';
+    }
+
+    if (isEmpty) {
+      return '';
+    }
+
+    // List section - render the body once per item
+    if (Array.isArray(value)) {
+      const joiner = separator !== undefined ? separator : DEFAULT_SECTION_SEPARATOR;
+      return value
+        .map(item => renderTemplate(body, Object.assign({}, data, item)))
+        .join(joiner);
+    }
+
+    // Conditional section - render the body once
+    return renderTemplate(body, data);
+  });
+
+  return withSections.replace(/\{(\w+)\}/g, (match, key) => {
+    const value = data[key];
+    if (value === undefined || value === null || typeof value === 'object') {
+      return match;  // Leave unknown placeholders untouched
+    }
+    return String(value);
+  });
+}
+
+// ============================================================================
+// TEMPLATE STORAGE
+// Custom templates and the selected template are settings (see settings.js)
+// ============================================================================
+
+/**
+ * Loads the user's custom templates from storage
+ *
+ * @returns {Array} - [{id, name, template}, ...]
+ */
+function loadCustomTemplates() {
+  const saved = getSetting('customTemplates');
+  return Array.isArray(saved) ? saved : [];
+}
+
+/**
+ * Returns built-in templates followed by the user's custom templates
+ *
+ * @returns {Array} - [{id, name, template, builtIn}, ...]
+ */
+function getAllTemplates() {
+  const builtIns = BUILT_IN_TEMPLATES.map(t => Object.assign({ builtIn: true }, t));
+  const custom = loadCustomTemplates().map(t => Object.assign({ builtIn: false }, t));
+  return builtIns.concat(custom);
+}
+
+/**
+ * Finds a template by id, falling back to the default template
+ *
+ * @param {string} id - Template id
+ * @returns {Object} - {id, name, template, builtIn}
+ */
+function getTemplate(id) {
+  const templates = getAllTemplates();
+  return templates.find(t => t.id === id) || templates[0];
+}
+
+/**
+ * Creates or updates a custom template
+ *
+ * @param {Object} template - {id?, name, template}; a new id is generated when missing
+ * @returns {Promise<Object>} - The saved template; rejects if storage
+ *                              refused it (e.g. over the sync quota)
+ */
+function saveCustomTemplate(template) {
+  const custom = loadCustomTemplates().slice();
+  const saved = {
+    id: template.id || `custom-${Date.now()}`,
+    name: template.name,
+    template: template.template
+  };
+
+  const index = custom.findIndex(t => t.id === saved.id);
+  if (index >= 0) {
+    custom[index] = saved;
+  } else {
+    custom.push(saved);
+  }
+
+  return setSetting('customTemplates', custom).then(stored => {
+    if (!stored) {
+      throw new Error(`Template "${saved.name}" could not be saved - see the console`);
+    }
+    console.log(`Template saved: ${saved.name}`);
+    return saved;
+  });
+}
+
+/**
+ * Deletes a custom template. Built-in templates are ignored.
+ *
+ * @param {string} id - Template id
+ * @returns {Promise<boolean>} - false if storage refused the change
+ */
+function deleteCustomTemplate(id) {
+  const custom = loadCustomTemplates().filter(t => t.id !== id);
+  const selected = getSetting('selectedTemplate') === id;
+
+  return setSetting('customTemplates', custom)
+    .then(saved => (saved && selected ? setSetting('selectedTemplate', BUILT_IN_TEMPLATES[0].id) : saved))
+    .then(saved => {
+      console.log(saved ? `Template deleted: ${id}` : `Template ${id} could not be deleted`);
+      return saved;
+    });
+}
+
+/**
+ * @returns {string} - Id of the template the user last selected
+ */
+function getSelectedTemplateId() {
+  return getSetting('selectedTemplate') || BUILT_IN_TEMPLATES[0].id;
+}
+
+/**
+ * @param {string} id - Id of the template to remember as selected
+ * @returns {Promise<boolean>} - See setSetting()
+ */
+function setSelectedTemplateId(id) {
+  return setSetting('selectedTemplate', id);
+}
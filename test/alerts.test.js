@@ -0,0 +1,107 @@
+/* ============================================================================
+   GRAB-AND-GO - Alert Rule Tests
+   ============================================================================
+
+   Checks that alert rules (alerts.js) parse, explain their mistakes, fire
+   on the right records and limit the pings of the payload.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const alerts = loadScripts('alerts.js');
+
+const HIGHSEC = {
+  system: 'Egmur',
+  securityBand: 'high',
+  wormholeClass: null,
+  destinations: [
+    { name: 'Jita', jumps: 14 },
+    { name: 'Amarr', jumps: 5 },
+    { name: 'Rens', jumps: null }
+  ]
+};
+
+const C5 = {
+  system: 'J123450',
+  securityBand: 'wormhole',
+  wormholeClass: 'C5',
+  destinations: [{ name: 'Jita', jumps: null }]
+};
+
+/**
+ * @param {Object} record - System record
+ * @param {string[]} lines - Rule lines
+ * @returns {string} - Conditions of the rules that fired, e.g. "hub <= 5, class C5 C6"
+ */
+function fired(record, lines) {
+  return alerts.evaluateAlertRules(record, lines).map(rule => rule.when).join(', ');
+}
+
+test('alert rules: hub distance, wormhole class and security band', () => {
+  const lines = [
+    'hub <= 5 => <@&111> Logistics',
+    'hub Jita <= 10 => Jita close',
+    'HUB amarr <= 5 => Amarr close',
+    'class C5 C6 => <@&222> PvP',
+    'class thera => Thera',
+    'security null, low => [LOW/NULL]',
+    'security wormhole => [WH]'
+  ];
+
+  assert.equal(fired(HIGHSEC, lines), 'hub <= 5, HUB amarr <= 5');
+  assert.equal(fired(C5, lines), 'class C5 C6, security wormhole');
+  assert.equal(fired({ ...C5, wormholeClass: 'Thera' }, lines), 'class thera, security wormhole');
+  assert.equal(fired({ ...HIGHSEC, securityBand: 'null', destinations: [] }, lines), 'security null, low');
+});
+
+test('alert rules: mistakes are explained per line', () => {
+  const parsed = alerts.parseAlertRules([
+    'hub <= 5 => ok',
+    '',
+    'class C5',
+    'class C5 C9000x => x',
+    'security nul => x',
+    'region Delve => x',
+    'hub <= 5 =>'
+  ].join('\n'));
+
+  assert.equal(parsed.lines.length, 6, 'blank lines are dropped');
+  assert.equal(parsed.problems.join('\n'), [
+    'Rules are written "condition => text" (got "class C5")',
+    'Unknown wormhole class C9000X - use C1...C6, C13...C18 or Thera',
+    'Unknown security band NUL - use high, low, null, pochven, wormhole',
+    'Unknown condition "region Delve" - use "hub <= 5", "class C5 C6" or "security null"',
+    'Rule "hub <= 5" has no text to add'
+  ].join('\n'));
+});
+
+test('alert rules: only classes the scraper reports are accepted', () => {
+  for (const value of ['C1', 'c6', 'C13', 'C18', 'thera']) {
+    assert.equal(alerts.parseAlertRule(`class ${value} => x`).problem, null, value);
+  }
+  assert.equal(alerts.parseAlertRule('class C0 C7 C12 C19 C99 => x').problem,
+    'Unknown wormhole class C0, C7, C12, C19, C99 - use C1...C6, C13...C18 or Thera');
+});
+
+test('alert rules: the text leads the post and only the fired rules\' roles can ping', () => {
+  const lines = ['hub <= 5 => <@&111> Logistics', 'class C5 C6 => <@&222> PvP', 'security high => <@&111> HS'];
+
+  const plain = alerts.applyAlertRules({ content: '@everyone Egmur, 0.7' }, HIGHSEC, lines);
+  assert.equal(JSON.stringify(plain), JSON.stringify({
+    content: '<@&111> Logistics <@&111> HS @everyone Egmur, 0.7',
+    allowed_mentions: { parse: [], roles: ['111'] }
+  }));
+
+  const embed = alerts.applyAlertRules({ embeds: [{ title: 'J123450' }] }, C5, lines);
+  assert.equal(embed.content, '<@&222> PvP');
+  assert.equal(JSON.stringify(embed.allowed_mentions), '{"parse":[],"roles":["222"]}');
+
+  const quiet = alerts.applyAlertRules({ content: 'Egmur' }, { ...HIGHSEC, destinations: [] }, lines.slice(0, 2));
+  assert.equal(JSON.stringify(quiet), '{"content":"Egmur","allowed_mentions":{"parse":[],"roles":[]}}');
+
+  const payload = { content: 'Egmur' };
+  assert.equal(alerts.applyAlertRules(payload, HIGHSEC, []), payload, 'no rules - no change');
+});
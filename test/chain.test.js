@@ -0,0 +1,105 @@
+/* ============================================================================
+   GRAB-AND-GO - Chain Report Tests
+   ============================================================================
+
+   Checks the chain editing helpers (chain.js) and the three export
+   formats: message, text table and Discord embed list.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const {
+  createChain, addToChain, moveChainEntry, removeChainEntry, setChainNote,
+  formatChainText, buildChainPayloads
+} = loadScripts('record.js', 'templates.js', 'discord.js', 'chain.js');
+
+const TEMPLATE = '{system}, {security},{#class} {class},{/class} {#hubs}{name} {jumps}{/hubs}';
+
+/**
+ * @param {string} system - System name
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - A record as getSystemData() returns it
+ */
+function makeRecord(system, fields = {}) {
+  return Object.assign({
+    system: system,
+    security: -1,
+    securityBand: 'wormhole',
+    wormholeClass: 'C4',
+    region: null,
+    route: 'SHORTEST',
+    destinations: [{ name: 'Jita', jumps: 22, shortest: 22, secure: null }],
+    extractedAt: '2024-01-01T12:00:00.000Z',
+    sourceUrl: 'https://wormholes.new-eden.io/maps'
+  }, fields);
+}
+
+/**
+ * @returns {Object} - Home chain: J123456 (EOL), Egmur, J654321
+ */
+function makeChain() {
+  let chain = createChain('Home chain');
+  chain = addToChain(chain, makeRecord('J123456'));
+  chain = addToChain(chain, makeRecord('Egmur', {
+    security: 0.7, securityBand: 'high', wormholeClass: null,
+    destinations: [{ name: 'Jita', jumps: 14, shortest: 14, secure: null }, { name: 'Amarr', jumps: 5, shortest: 5, secure: null }]
+  }));
+  chain = addToChain(chain, makeRecord('J654321', { wormholeClass: 'C2' }));
+  return setChainNote(chain, 0, ' EOL ');
+}
+
+test('editing: reorder, remove, and adding a system again refreshes it in place', () => {
+  const chain = makeChain();
+  const systems = c => c.entries.map(e => e.record.system).join(' ');
+
+  assert.equal(systems(moveChainEntry(chain, 2, -1)), 'J123456 J654321 Egmur');
+  assert.equal(moveChainEntry(chain, 0, -1), chain, 'moving past the top does nothing');
+  assert.equal(systems(removeChainEntry(chain, 1)), 'J123456 J654321');
+  assert.equal(systems(chain), 'J123456 Egmur J654321', 'the original chain is untouched');
+
+  const refreshed = addToChain(chain, makeRecord('J123456', { destinations: [] }));
+  assert.equal(systems(refreshed), 'J123456 Egmur J654321');
+  assert.equal(refreshed.entries[0].note, 'EOL');
+  assert.equal(refreshed.entries[0].record.destinations.length, 0);
+});
+
+test('message format: one template line per system, notes in brackets', () => {
+  assert.equal(formatChainText(makeChain(), 'message', TEMPLATE), [
+    'Home chain',
+    '1. J123456, -1.0, C4, Jita 22 [EOL]',
+    '2. Egmur, 0.7, Jita 14, Amarr 5',
+    '3. J654321, -1.0, C2, Jita 22'
+  ].join('\n'));
+});
+
+test('table format: aligned columns with the nearest hub', () => {
+  assert.equal(formatChainText(makeChain(), 'table', TEMPLATE), [
+    'Home chain',
+    '```',
+    '#  System   Sec   Class  Nearest  Note',
+    '1  J123456  -1.0  C4     Jita 22  EOL',
+    '2  Egmur    0.7          Amarr 5',
+    '3  J654321  -1.0  C2     Jita 22',
+    '```'
+  ].join('\n'));
+});
+
+test('embed list: one embed per system, split at 10 per message', () => {
+  const [payload] = buildChainPayloads(makeChain(), 'embeds', TEMPLATE);
+  assert.equal(payload.content, 'Home chain');
+  assert.equal(payload.embeds.map(embed => embed.title).join(' | '), '1. J123456 (C4) | 2. Egmur | 3. J654321 (C2)');
+  assert.match(payload.embeds[0].description, /^\*\*EOL\*\*\nSecurity -1\.0/);
+
+  let long = createChain('Long chain');
+  for (let i = 0; i < 12; i++) {
+    long = addToChain(long, makeRecord(`J1000${String(i).padStart(2, '0')}`));
+  }
+  const payloads = buildChainPayloads(long, 'embeds', TEMPLATE);
+  assert.equal(payloads.map(p => p.embeds.length).join(' + '), '10 + 2');
+  assert.equal(payloads[1].content, undefined);
+
+  assert.equal(Object.keys(buildChainPayloads(long, 'table', TEMPLATE)[0]).join(), 'content');
+});
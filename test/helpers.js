@@ -0,0 +1,460 @@
+/* ============================================================================
+   GRAB-AND-GO - Test Helpers
+   ============================================================================
+
+   PURPOSE:
+   Loads saved snapshots of the maps page (test/fixtures/*.html) into jsdom
+   and runs the extension's code against them, offline.
+
+   - loadFixture()    A map page with scraper.js loaded, ready for
+                      getSystemData(). Route tabs switch panels and hub rows
+                      open their route on click, like the live site.
+   - loadPopup()      popup.html with all of its scripts, a stubbed chrome.*
+                      API, and the active tab pointing at a fixture.
+   - loadScripts()    Plain extension scripts (record.js, systems.js...) in a
+                      sandbox, for testing their functions directly.
+   - createStorageArea()  An in-memory chrome.storage area for such a sandbox.
+   - loadWorker()     background.js and the scripts it imports, with a
+                      stubbed chrome.* API and, optionally, a fixture as the
+                      tab. Its timers never fire: tests run processOutbox()
+                      themselves.
+
+   ============================================================================ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { JSDOM, VirtualConsole, requestInterceptor } = require('jsdom');
+
+const ROOT = path.join(__dirname, '..');
+
+// Origin the popup is served from in tests (localStorage needs a real origin)
+const POPUP_ORIGIN = 'http://grab-and-go.test/';
+
+/**
+ * @param {string} name - Path relative to the repository root
+ * @returns {string} - File contents
+ */
+function readRepoFile(name) {
+  return fs.readFileSync(path.join(ROOT, name), 'utf8');
+}
+
+/**
+ * @returns {Object} - The built-in selector profile
+ */
+function loadBuiltInProfile() {
+  return JSON.parse(readRepoFile('selectors.json'));
+}
+
+/**
+ * @returns {Object} - The bundled known-system list (systems.json)
+ */
+function loadKnownSystems() {
+  return JSON.parse(readRepoFile('systems.json'));
+}
+
+/**
+ * @returns {Object} - The bundled system info (system-info.json)
+ */
+function loadSystemInfo() {
+  return JSON.parse(readRepoFile('system-info.json'));
+}
+
+/**
+ * Runs extension scripts in a fresh sandbox, in order, like <script> tags
+ *
+ * @param {...string} names - Paths relative to the repository root
+ * @returns {Object} - The sandbox; the scripts' functions are its properties
+ */
+function loadScripts(...names) {
+  const sandbox = vm.createContext({ console: { log() {}, error() {} } });
+  for (const name of names) {
+    vm.runInContext(readRepoFile(name), sandbox, { filename: name });
+  }
+  return sandbox;
+}
+
+/**
+ * @returns {Object} - A chrome.* event stub; `listeners` holds what was added
+ */
+function createEventStub() {
+  const event = {
+    listeners: [],
+    addListener(listener) {
+      event.listeners.push(listener);
+    }
+  };
+  return event;
+}
+
+/**
+ * Runs background.js in a sandbox, as the service worker would
+ *
+ * @param {JSDOM|null} pageDom - From loadFixture(): the page
+ *                               chrome.scripting.executeScript() runs in
+ * @returns {Object} - {worker: sandbox, chrome, timers: [delayMs]} - timers
+ *                     records the retry timers the worker set
+ */
+function loadWorker(pageDom = null) {
+  const timers = [];
+  const chrome = {
+    runtime: {
+      onMessage: createEventStub(),
+      onInstalled: createEventStub(),
+      onStartup: createEventStub(),
+      getURL: file => POPUP_ORIGIN + file
+    },
+    storage: {
+      local: createStorageArea(),
+      sync: createStorageArea(),
+      session: createStorageArea(),
+      onChanged: createEventStub()
+    },
+    alarms: {
+      created: [],
+      create(name, info) {
+        chrome.alarms.created.push(Object.assign({ name: name }, info));
+        return Promise.resolve();
+      },
+      clear: () => Promise.resolve(true),
+      onAlarm: createEventStub()
+    },
+    tabs: { onRemoved: createEventStub() },
+    contextMenus: { onClicked: createEventStub() },
+    commands: { onCommand: createEventStub() },
+    scripting: {
+      executeScript: details => executeInPage(pageDom, details)
+    }
+  };
+
+  const worker = vm.createContext({
+    console: { log() {}, warn() {}, error() {} },
+    chrome: chrome,
+    URL: URL,
+    // Extension files are read from the repository, anything else goes out
+    fetch: (url, init) => (String(url).startsWith(POPUP_ORIGIN)
+      ? Promise.resolve(new Response(readRepoFile(String(url).slice(POPUP_ORIGIN.length))))
+      : fetch(url, init)),
+    setTimeout: (callback, delayMs) => timers.push(delayMs),
+    clearTimeout() {}
+  });
+  worker.importScripts = (...names) => {
+    for (const name of names) {
+      vm.runInContext(readRepoFile(name), worker, { filename: name });
+    }
+  };
+  vm.runInContext(readRepoFile('background.js'), worker, { filename: 'background.js' });
+  return { worker, chrome, timers };
+}
+
+/**
+ * A console that drops the scraper's chatter but keeps errors
+ *
+ * @returns {VirtualConsole}
+ */
+function createQuietConsole() {
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => console.error(...args));
+  virtualConsole.on('jsdomError', error => console.error(error));
+  return virtualConsole;
+}
+
+/**
+ * Makes [role="tab"] buttons switch their aria-controls panels on click
+ *
+ * @param {Window} window - Fixture window
+ */
+function simulateRouteTabs(window) {
+  const tabs = Array.from(window.document.querySelectorAll('[role="tab"]'));
+  for (const tab of tabs) {
+    tab.addEventListener('click', () => {
+      for (const other of tabs) {
+        const selected = other === tab;
+        other.setAttribute('aria-selected', String(selected));
+        other.classList.toggle('Mui-selected', selected);
+        const panel = window.document.getElementById(other.getAttribute('aria-controls'));
+        if (panel) {
+          panel.hidden = !selected;
+        }
+      }
+    });
+  }
+}
+
+/**
+ * Makes accordion summaries open and close their details on click
+ *
+ * Details kept in a <template> are rendered a moment after the first
+ * open, like the live site does, so the scraper has to wait for them.
+ *
+ * @param {Window} window - Fixture window
+ */
+function simulateAccordions(window) {
+  window.document.addEventListener('click', event => {
+    const summary = event.target.closest('.MuiAccordionSummary-root');
+    if (!summary) {
+      return;
+    }
+    const expanded = summary.getAttribute('aria-expanded') === 'true';
+    summary.setAttribute('aria-expanded', String(!expanded));
+    const details = summary.nextElementSibling;
+    if (details && details.tagName === 'TEMPLATE') {
+      window.setTimeout(() => details.replaceWith(details.content.cloneNode(true)), 50);
+    } else if (details) {
+      details.hidden = expanded;
+    }
+  });
+}
+
+/**
+ * Loads a page snapshot with scraper.js available
+ *
+ * @param {string} name - File name in test/fixtures
+ * @returns {JSDOM}
+ */
+function loadFixture(name) {
+  const html = fs.readFileSync(path.join(__dirname, 'fixtures', name), 'utf8');
+  const dom = new JSDOM(html, {
+    url: 'https://wormholes.new-eden.io/maps',
+    runScripts: 'outside-only',
+    virtualConsole: createQuietConsole()
+  });
+  simulateRouteTabs(dom.window);
+  simulateAccordions(dom.window);
+  dom.window.eval(readRepoFile('scraper.js'));
+  return dom;
+}
+
+/**
+ * Runs getSystemData() on a fixture with the built-in selector profile
+ * and the bundled known-system list
+ *
+ * The result is copied out of the page, as Chrome does for executeScript(),
+ * so it compares equal to plain objects in assertions.
+ *
+ * @param {JSDOM} dom - From loadFixture()
+ * @param {Object} options - Extra getSystemData() options, e.g. {routeMode}
+ * @returns {Promise<Object>} - {success, record, error, diagnostics}
+ */
+function runScraper(dom, options = {}) {
+  return dom.window.getSystemData(Object.assign({
+    selectorProfile: loadBuiltInProfile(),
+    knownSystems: loadKnownSystems()
+  }, options))
+    .then(result => JSON.parse(JSON.stringify(result)));
+}
+
+/**
+ * An in-memory chrome.storage area
+ *
+ * @returns {Object} - {get, set, remove}
+ */
+function createStorageArea() {
+  const data = {};
+  const copy = value => (value === undefined ? undefined : JSON.parse(JSON.stringify(value)));
+  return {
+    get(keys) {
+      const wanted = keys === undefined || keys === null ? Object.keys(data) : [].concat(keys);
+      const result = {};
+      for (const key of wanted) {
+        if (key in data) {
+          result[key] = copy(data[key]);
+        }
+      }
+      return Promise.resolve(result);
+    },
+    set(items) {
+      Object.assign(data, copy(items));
+      return Promise.resolve();
+    },
+    remove(keys) {
+      [].concat(keys).forEach(key => delete data[key]);
+      return Promise.resolve();
+    }
+  };
+}
+
+/**
+ * Runs an injected function inside a fixture page, like
+ * chrome.scripting.executeScript() does
+ *
+ * @param {JSDOM} pageDom - From loadFixture()
+ * @param {Object} details - {func, args}
+ * @returns {Promise<Array>} - [{result}], the result copied out of the page
+ */
+function executeInPage(pageDom, details) {
+  const func = pageDom.window.eval(`(${(details.func || details.function).toString()})`);
+  return Promise.resolve(func(...(details.args || [])))
+    .then(result => [{ result: result === undefined ? null : JSON.parse(JSON.stringify(result)) }]);
+}
+
+/**
+ * A chrome.* stub for the popup whose active tab is a fixture page
+ *
+ * @param {JSDOM} pageDom - From loadFixture()
+ * @param {Object} localData - Initial chrome.storage.local contents
+ * @param {Object} syncData - Initial chrome.storage.sync contents
+ * @returns {Object} - chrome API stub; `scrapes` collects executeScript promises
+ */
+function createChromeStub(pageDom, localData, syncData) {
+  const scrapes = [];
+  const chrome = {
+    scrapes: scrapes,
+    runtime: {
+      lastError: undefined,
+      getURL: file => POPUP_ORIGIN + file,
+      sendMessage: () => Promise.resolve({ ids: [] })
+    },
+    storage: {
+      local: createStorageArea(),
+      sync: createStorageArea(),
+      session: createStorageArea(),
+      onChanged: { addListener() {} }
+    },
+    permissions: {
+      request: () => Promise.resolve(true)
+    },
+    tabs: {
+      query(queryInfo, callback) {
+        const tabs = [{ id: 1, url: pageDom.window.location.href }];
+        if (callback) {
+          callback(tabs);
+          return undefined;
+        }
+        return Promise.resolve(tabs);
+      }
+    },
+    scripting: {
+      executeScript(details, callback) {
+        const run = executeInPage(pageDom, details);
+        scrapes.push(run);
+        if (callback) {
+          run.then(callback);
+          return undefined;
+        }
+        return run;
+      }
+    }
+  };
+  chrome.storage.local.set(localData);
+  chrome.storage.sync.set(syncData);
+  return chrome;
+}
+
+/**
+ * A navigator.clipboard stub that records what was written
+ *
+ * Set `error` to make the next writes reject, like a browser refusing them.
+ *
+ * @returns {Object} - {writes: [{'text/plain', 'text/html'?}], error, writeText, write}
+ */
+function createClipboardStub() {
+  const clipboard = {
+    writes: [],
+    error: null,
+    writeText(text) {
+      return clipboard.write([{ items: { 'text/plain': text } }]);
+    },
+    async write(items) {
+      if (clipboard.error) {
+        throw clipboard.error;
+      }
+      const written = {};
+      for (const [type, data] of Object.entries(items[0].items)) {
+        written[type] = typeof data === 'string' ? data : await data.text();
+      }
+      clipboard.writes.push(written);
+    }
+  };
+  return clipboard;
+}
+
+/**
+ * Serves the extension's files to the popup document, and an empty
+ * response for anything external (fonts) so tests never hit the network
+ */
+const serveExtensionFiles = requestInterceptor((request) => {
+  if (!request.url.startsWith(POPUP_ORIGIN)) {
+    return new Response('', { headers: { 'Content-Type': 'text/css' } });
+  }
+  const file = request.url.slice(POPUP_ORIGIN.length);
+  const contentType = file.endsWith('.js') ? 'application/javascript' : 'application/json';
+  return new Response(readRepoFile(file), { headers: { 'Content-Type': contentType } });
+});
+
+/**
+ * Opens popup.html against a fixture page and waits for its first scrape
+ *
+ * @param {string} fixtureName - File name in test/fixtures
+ * @param {Object} localData - Initial chrome.storage.local contents, e.g. webhook profiles
+ * @param {Object} storage - {sync, localStorage}: initial chrome.storage.sync
+ *                           contents (settings) and popup localStorage (settings
+ *                           saved before they moved to chrome.storage)
+ * @returns {Promise<Object>} - {popup: Window, page: JSDOM, chrome, clipboard}
+ */
+async function loadPopup(fixtureName, localData = {}, storage = {}) {
+  const page = loadFixture(fixtureName);
+  const chrome = createChromeStub(page, localData, storage.sync || {});
+  const clipboard = createClipboardStub();
+
+  const dom = new JSDOM(readRepoFile('popup.html'), {
+    url: `${POPUP_ORIGIN}popup.html`,
+    runScripts: 'dangerously',
+    resources: { interceptors: [serveExtensionFiles] },
+    virtualConsole: createQuietConsole(),
+    beforeParse(window) {
+      window.chrome = chrome;
+      for (const [key, value] of Object.entries(storage.localStorage || {})) {
+        window.localStorage.setItem(key, value);
+      }
+      window.fetch = file => Promise.resolve({
+        json: () => Promise.resolve(JSON.parse(readRepoFile(String(file).replace(POPUP_ORIGIN, ''))))
+      });
+      window.alert = () => {};
+      Object.defineProperty(window.navigator, 'clipboard', { value: clipboard });
+      window.ClipboardItem = class ClipboardItem {
+        constructor(items) {
+          this.items = items;
+        }
+      };
+    }
+  });
+
+  await new Promise(resolve => dom.window.addEventListener('load', resolve));
+  await waitFor(() => chrome.scrapes.length > 0);
+  await Promise.all(chrome.scrapes);
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  return { popup: dom.window, page: page, chrome: chrome, clipboard: clipboard };
+}
+
+/**
+ * Polls until a condition holds
+ *
+ * @param {Function} condition - Returns true when done
+ * @param {number} timeoutMs - Gives up (throws) after this long
+ * @returns {Promise}
+ */
+async function waitFor(condition, timeoutMs = 5000) {
+  const start = Date.now();
+  while (!condition()) {
+    if (Date.now() - start > timeoutMs) {
+      throw new Error('Timed out waiting for condition');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = {
+  createStorageArea,
+  readRepoFile,
+  loadFixture,
+  runScraper,
+  loadBuiltInProfile,
+  loadSystemInfo,
+  loadScripts,
+  loadPopup,
+  loadWorker,
+  createClipboardStub,
+  waitFor
+};
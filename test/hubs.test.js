@@ -0,0 +1,88 @@
+/* ============================================================================
+   GRAB-AND-GO - Hub Settings Tests
+   ============================================================================
+
+   Checks that applyHubSettings() (hubs.js) reorders, hides and renames
+   destinations and adds the nearest hub, and that the options page text
+   round-trips.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const {
+  applyHubSettings, parseHubList, parseHubAliases, formatHubAliases,
+  getTemplateFields, renderTemplate, buildDiscordEmbed
+} = loadScripts('record.js', 'templates.js', 'discord.js', 'hubs.js');
+
+const RECORD = {
+  system: 'Egmur',
+  security: 0.7,
+  securityBand: 'high',
+  wormholeClass: null,
+  region: null,
+  route: 'SHORTEST',
+  destinations: [
+    { name: 'Jita', jumps: 14, shortest: 14, secure: null },
+    { name: 'Hek', jumps: 16, shortest: 16, secure: null },
+    { name: 'Amarr', jumps: 5, shortest: 5, secure: null },
+    { name: 'Rens', jumps: null, shortest: null, secure: null },
+    { name: 'Dodixie', jumps: 5, shortest: 5, secure: null }
+  ],
+  extractedAt: '2024-01-01T12:00:00.000Z',
+  sourceUrl: 'https://wormholes.new-eden.io/maps'
+};
+
+/**
+ * @param {Object} record - System record
+ * @returns {string} - e.g. "Jita 14, Hek 16"
+ */
+function hubs(record) {
+  return record.destinations.map(d => `${d.name} ${d.jumps}`).join(', ');
+}
+
+test('no settings: page order and names, no nearest', () => {
+  const record = applyHubSettings(RECORD, {});
+  assert.equal(hubs(record), 'Jita 14, Hek 16, Amarr 5, Rens null, Dodixie 5');
+  assert.equal('nearest' in record, false);
+});
+
+test('custom order first, the rest in page order; hidden hubs and aliases ignore case', () => {
+  const record = applyHubSettings(RECORD, {
+    order: ['amarr', 'Hek'],
+    hidden: ['RENS'],
+    aliases: { jita: 'J', Dodixie: 'Dodi' }
+  });
+  assert.equal(hubs(record), 'Amarr 5, Hek 16, J 14, Dodi 5');
+  assert.equal(hubs(RECORD), 'Jita 14, Hek 16, Amarr 5, Rens null, Dodixie 5', 'the record is not modified');
+});
+
+test('sort by jumps: closest first, ties in page order, unknown counts last', () => {
+  const record = applyHubSettings(RECORD, { sortByJumps: true, order: ['Hek'] });
+  assert.equal(hubs(record), 'Amarr 5, Dodixie 5, Jita 14, Hek 16, Rens null');
+});
+
+test('nearest: lead item in the templates and the embed, using the alias', () => {
+  const record = applyHubSettings(RECORD, { hidden: ['Amarr'], aliases: { Dodixie: 'Dodi' }, showNearest: true });
+  assert.equal(record.nearest.name, 'Dodi');
+  assert.equal(record.nearest.jumps, 5);
+
+  assert.equal(renderTemplate('{system}, {security}, {#nearest}nearest: {nearest}, {/nearest}{#hubs}{name} {jumps}{/hubs}',
+    getTemplateFields(record)),
+    'Egmur, 0.7, nearest: Dodi 5, Jita 14, Hek 16, Rens null, Dodi 5');
+  const embed = buildDiscordEmbed(record);
+  assert.equal(embed.fields[0].name, 'Nearest');
+  assert.equal(embed.fields[0].value, 'Dodi 5 jumps');
+
+  const noCounts = applyHubSettings(Object.assign({}, RECORD, { destinations: [] }), { showNearest: true });
+  assert.equal(noCounts.nearest, null);
+  assert.equal(getTemplateFields(noCounts).nearest, '');
+});
+
+test('options page text: lists and aliases', () => {
+  assert.equal(parseHubList(' Jita \n\nAmarr\n').join('|'), 'Jita|Amarr');
+  const aliases = parseHubAliases('Jita = J\nbroken line\nAmarr=A\n= X');
+  assert.equal(formatHubAliases(aliases), 'Jita = J\nAmarr = A');
+});
@@ -0,0 +1,125 @@
+/* ============================================================================
+   GRAB-AND-GO - Outbox Tests
+   ============================================================================
+
+   Checks the outbox's retry rules (getRetryDecision() in outbox.js) and
+   a delivery run of the background worker against the mock webhook
+   server: rate limits, server errors and a webhook that is gone, and
+   that a request the worker fails to store reaches the popup as an error.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadWorker, waitFor } = require('./helpers');
+const { createMockWebhookServer } = require('../tools/mock-webhook-server');
+
+const outbox = loadScripts('outbox.js');
+
+// OUTBOX_MAX_ATTEMPTS in outbox.js
+const MAX_ATTEMPTS = 5;
+
+/**
+ * @param {Error} error - Delivery error
+ * @param {number} attempts - Attempts made, including this one
+ * @returns {string} - getRetryDecision() as JSON, to compare across the sandbox
+ */
+function decide(error, attempts) {
+  return JSON.stringify(outbox.getRetryDecision(error, attempts));
+}
+
+/**
+ * @param {number} status - HTTP status, or 0 for a network error
+ * @param {Object} fields - Other error fields (retryAfter, permanent)
+ * @returns {Error} - An error like postToTarget() rejects with
+ */
+function deliveryError(status, fields = {}) {
+  return Object.assign(new Error(`status ${status}`), status ? { status: status } : {}, fields);
+}
+
+test('retry rules: 429 waits for Retry-After without using up an attempt', () => {
+  assert.equal(decide(deliveryError(429, { retryAfter: 2.5 }), MAX_ATTEMPTS),
+    '{"retry":true,"delayMs":2500,"countsAsAttempt":false}');
+  assert.equal(outbox.getRetryDecision(deliveryError(429), 1).delayMs, 1000, 'a second without Retry-After');
+});
+
+test('retry rules: server and network errors back off until the last attempt', () => {
+  assert.equal(outbox.getRetryDecision(deliveryError(500), 1).delayMs, 2000);
+  assert.equal(outbox.getRetryDecision(deliveryError(503), 3).delayMs, 8000);
+  assert.equal(outbox.getRetryDecision(deliveryError(0), 2).delayMs, 4000);
+  assert.equal(decide(deliveryError(502), MAX_ATTEMPTS), '{"retry":false,"delayMs":0,"countsAsAttempt":true}');
+});
+
+test('retry rules: other 4xx and permanent errors fail at once', () => {
+  assert.equal(outbox.getRetryDecision(deliveryError(404), 1).retry, false);
+  assert.equal(outbox.getRetryDecision(deliveryError(400), 1).retry, false);
+  assert.equal(outbox.getRetryDecision(deliveryError(500, { permanent: true }), 1).retry, false);
+});
+
+test('worker: a post survives a rate limit and a server error, a missing webhook fails', async (t) => {
+  const mock = createMockWebhookServer({ quiet: true });
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  t.after(() => mock.server.close());
+
+  const { worker, chrome, timers } = loadWorker();
+  await waitFor(() => chrome.runtime.onMessage.listeners.length > 0);
+  const profile = {
+    id: 'profile-1',
+    name: 'Intel',
+    url: `http://127.0.0.1:${mock.server.address().port}/api/webhooks/123/mock-token`
+  };
+  const readOutbox = () => chrome.storage.local.get('outbox').then(stored => stored.outbox || []);
+  const makeDue = () => worker.updateOutbox(entries => entries.forEach(entry => {
+    entry.nextAttemptAt = 0;
+  }));
+
+  mock.cannedResponses.push({ status: 429, retryAfter: 3 }, { status: 502 });
+  await worker.queueMessages({ action: 'post', label: 'Egmur', payload: { content: 'Egmur' }, profiles: [profile] });
+
+  await worker.processOutbox();
+  let [entry] = await readOutbox();
+  assert.equal(entry.status, 'pending');
+  assert.equal(entry.attempts, 0, 'a rate limit is not an attempt');
+  assert.match(entry.lastError, /429/);
+  assert.ok(entry.nextAttemptAt - Date.now() > 2000, 'waits for Retry-After');
+  assert.ok(timers.at(-1) > 2000 && timers.at(-1) <= 3000);
+
+  await makeDue();
+  await worker.processOutbox();
+  [entry] = await readOutbox();
+  assert.equal(entry.status, 'pending');
+  assert.equal(entry.attempts, 1);
+  assert.match(entry.lastError, /502/);
+  assert.ok(timers.at(-1) > 1000 && timers.at(-1) <= 2000, 'backs off 2s after the first server error');
+
+  await makeDue();
+  await worker.processOutbox();
+  assert.equal((await readOutbox()).length, 0);
+  assert.equal(mock.requests.length, 3);
+  const lastPosts = (await chrome.storage.local.get('lastPosts')).lastPosts;
+  assert.match(lastPosts['profile-1'].messageId, /^\d+$/);
+
+  mock.cannedResponses.push({ status: 404 });
+  await worker.queueMessages({ action: 'post', label: 'Jita', payload: { content: 'Jita' }, profiles: [profile] });
+  await worker.processOutbox();
+  [entry] = await readOutbox();
+  assert.equal(entry.status, 'failed');
+  assert.equal(entry.attempts, 1);
+  assert.match(entry.lastError, /404/);
+  assert.equal(mock.requests.length, 4, 'no retry for a webhook that is gone');
+});
+
+test('worker: a request it cannot store is answered with the error, which the popup side rejects with', async () => {
+  const { chrome } = loadWorker();
+  await waitFor(() => chrome.runtime.onMessage.listeners.length > 0);
+  const [listener] = chrome.runtime.onMessage.listeners;
+  chrome.storage.local.set = () => Promise.reject(new Error('QUOTA_BYTES quota exceeded'));
+
+  outbox.chrome = {
+    runtime: { sendMessage: message => new Promise(resolve => listener(message, {}, resolve)) }
+  };
+  const profile = { id: 'profile-1', name: 'Intel', url: 'https://discord.com/api/webhooks/1/abc' };
+  await assert.rejects(outbox.queueDiscordMessages({ content: 'Egmur' }, [profile], { label: 'Egmur' }),
+    /QUOTA_BYTES quota exceeded/);
+  await assert.rejects(outbox.discardOutboxEntry('outbox-1'), /QUOTA_BYTES quota exceeded/);
+});
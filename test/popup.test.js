@@ -0,0 +1,296 @@
+/* ============================================================================
+   GRAB-AND-GO - Popup Tests
+   ============================================================================
+
+   Opens popup.html (with all its scripts and a stubbed chrome.* API)
+   against a fixture page and checks what the user would see.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadPopup, waitFor } = require('./helpers');
+
+/**
+ * @param {Window} popup - Popup window
+ * @returns {Object} - Disabled state of each action button
+ */
+function buttonStates(popup) {
+  const document = popup.document;
+  return {
+    copy: document.getElementById('copyButton').disabled,
+    copyJson: document.getElementById('copyJsonButton').disabled,
+    discord: document.getElementById('sendToDiscordButton').disabled
+  };
+}
+
+test('buttons are enabled when a system with destinations is grabbed', async () => {
+  const { popup } = await loadPopup('highsec.html');
+
+  assert.deepEqual(buttonStates(popup), { copy: false, copyJson: false, discord: false });
+  assert.equal(popup.document.getElementById('headerData').innerText, 'Egmur, 0.7');
+  assert.equal(popup.document.getElementById('number').innerText,
+    'Jita 14 (secure 19), Hek 16 (secure 16), Amarr 5 (secure 9)');
+  assert.equal(popup.document.getElementById('templatePreview').innerText,
+    'Egmur, 0.7, Jita 14 (secure 19), Hek 16 (secure 16), Amarr 5 (secure 9)');
+});
+
+test('the class from the bundled table is shown and used in the template', async () => {
+  const { popup } = await loadPopup('pochven.html');
+
+  assert.equal(popup.document.getElementById('headerData').innerText, 'Kino, -1.0, Pochven');
+  assert.equal(popup.document.getElementById('templatePreview').innerText,
+    'Kino, -1.0, Pochven, Jita 22 (secure 30), Amarr 18 (secure 18)');
+});
+
+test('buttons are disabled when no system is selected', async () => {
+  const { popup } = await loadPopup('no-selection.html');
+
+  assert.deepEqual(buttonStates(popup), { copy: true, copyJson: true, discord: true });
+  assert.equal(popup.document.getElementById('headerData').innerText, 'No system selected.');
+});
+
+test('a bundled file that fails to load is shown instead of the grab', async () => {
+  const { popup } = await loadPopup('highsec.html');
+  const document = popup.document;
+  popup.fetch = () => Promise.reject(new Error('Failed to fetch systems.json'));
+
+  document.getElementById('routeModeDropdown').dispatchEvent(new popup.Event('change'));
+
+  await waitFor(() => document.getElementById('headerData').innerText === 'Error: Failed to fetch systems.json');
+  assert.equal(document.getElementById('number').innerText, '');
+  assert.equal(document.getElementById('copyButton').disabled, true);
+});
+
+test('a collapsed route panel is opened for the grab', async () => {
+  const { popup } = await loadPopup('collapsed.html');
+
+  assert.deepEqual(buttonStates(popup), { copy: false, copyJson: false, discord: false });
+  assert.equal(popup.document.getElementById('number').innerText, 'Jita 14, Amarr 5');
+});
+
+test('diagnostics view lists the matched strategies', async () => {
+  const { popup } = await loadPopup('wormhole.html');
+
+  const diagnostics = popup.document.getElementById('diagnosticsOutput').textContent;
+  assert.match(diagnostics, /^system: header$/m);
+  assert.match(diagnostics, /^security \/ class: map-node$/m);
+  assert.match(diagnostics, /✗ system-type \(\d+ candidates\): skipped/);
+});
+
+test('route detail checkbox re-grabs and shows low/null warnings', async () => {
+  const { popup, chrome } = await loadPopup('route-detail.html');
+  const checkbox = popup.document.getElementById('routeDetail');
+
+  checkbox.checked = true;
+  checkbox.dispatchEvent(new popup.Event('change'));
+  await waitFor(() => chrome.scrapes.length > 1);
+  await Promise.all(chrome.scrapes);
+  await new Promise(resolve => setTimeout(resolve, 0));
+
+  assert.equal(popup.document.getElementById('number').innerText,
+    'Jita 4 (secure 6) (1 low, 1 null), Hek 2 (secure 2), Amarr 5 (secure 9)');
+  assert.equal((await chrome.storage.sync.get('routeDetail')).routeDetail, true);
+});
+
+test('chain: the current system is added and the chain is saved', async () => {
+  const { popup, chrome } = await loadPopup('highsec.html');
+  const document = popup.document;
+
+  document.getElementById('addToChainButton').click();
+  await waitFor(() => document.getElementById('chainPreview').textContent !== '');
+
+  assert.equal(document.getElementById('chainPreview').textContent,
+    'Chain 1\n1. Egmur, 0.7, Jita 14 (secure 19), Hek 16 (secure 16), Amarr 5 (secure 9)');
+
+  const stored = await chrome.storage.local.get(['chains', 'selectedChain']);
+  assert.equal(stored.chains.length, 1);
+  assert.equal(stored.selectedChain, stored.chains[0].id);
+  assert.equal(stored.chains[0].entries[0].record.system, 'Egmur');
+});
+
+test('chain: a save storage refuses is reported', async () => {
+  const { popup, chrome } = await loadPopup('highsec.html');
+  const document = popup.document;
+  chrome.storage.local.set = () => Promise.reject(new Error('QUOTA_BYTES quota exceeded'));
+
+  document.getElementById('addToChainButton').click();
+
+  const notification = document.getElementById('copyNotification');
+  await waitFor(() => notification.textContent === 'Could not save the chain - see the console');
+});
+
+test('hub settings: order, hidden hubs, aliases and nearest in the display and template', async () => {
+  const { popup } = await loadPopup('highsec.html', {}, {
+    sync: { hubSettings: { order: ['Amarr'], hidden: ['Hek'], aliases: { jita: 'J' }, showNearest: true } }
+  });
+
+  assert.equal(popup.document.getElementById('number').innerText,
+    'nearest: Amarr 5, Amarr 5 (secure 9), J 14 (secure 19)');
+  assert.equal(popup.document.getElementById('templatePreview').innerText,
+    'Egmur, 0.7, nearest: Amarr 5, Amarr 5 (secure 9), J 14 (secure 19)');
+});
+
+test('copy formats: an HTML table goes next to the plain text line', async () => {
+  const { popup, clipboard } = await loadPopup('lowsec.html');
+  const formatDropdown = popup.document.getElementById('copyFormatDropdown');
+
+  formatDropdown.value = 'html';
+  formatDropdown.dispatchEvent(new popup.Event('change'));
+  popup.document.getElementById('copyButton').click();
+  await waitFor(() => clipboard.writes.length === 1);
+
+  assert.equal(clipboard.writes[0]['text/plain'], popup.document.getElementById('templatePreview').innerText);
+  assert.match(clipboard.writes[0]['text/html'], /^<table><thead><tr><th>System<\/th><th>Security<\/th>/);
+  assert.match(clipboard.writes[0]['text/html'], /<td>Bairshir<\/td><td>0\.4<\/td>/);
+});
+
+test('copy: a rejected clipboard write is reported and not added to the history', async () => {
+  const { popup, chrome, clipboard } = await loadPopup('highsec.html');
+  const messages = [];
+  chrome.runtime.sendMessage = message => {
+    messages.push(message);
+    return Promise.resolve({});
+  };
+  const alerts = [];
+  popup.alert = message => alerts.push(message);
+  clipboard.error = new Error('Document is not focused.');
+
+  popup.document.getElementById('copyButton').click();
+  await waitFor(() => alerts.length === 1);
+
+  assert.equal(alerts[0], 'Could not copy to the clipboard: Document is not focused.');
+  assert.equal(popup.document.getElementById('copyNotification').textContent, 'Copy failed');
+  assert.equal(messages.filter(message => message.type === 'history:add').length, 0);
+});
+
+test('themes: the dropdown comes from colors.json and edits preview live and save', async () => {
+  const { popup, chrome } = await loadPopup('highsec.html');
+  const document = popup.document;
+  const dropdown = document.getElementById('themeDropdown');
+  await waitFor(() => dropdown.options.length > 0);
+
+  assert.ok(Array.from(dropdown.options).some(option => option.value === 'nebula' && option.textContent === 'Nebula'));
+  dropdown.value = 'caldari';
+  dropdown.dispatchEvent(new popup.Event('change'));
+
+  const hover = document.querySelector('#themeColorInputs input[title="Discord button - Hover"]');
+  hover.value = '#123456';
+  hover.dispatchEvent(new popup.Event('input'));
+  assert.equal(document.documentElement.style.getPropertyValue('--discord-button-hover'), '#123456');
+
+  popup.prompt = () => 'My Caldari';
+  document.getElementById('saveThemeButton').click();
+
+  await waitFor(() => dropdown.selectedOptions[0].textContent === 'My Caldari (custom)');
+  assert.equal(document.getElementById('deleteThemeButton').disabled, false);
+  const stored = await chrome.storage.sync.get(['customThemes', 'customThemes.0', 'theme']);
+  assert.equal(stored.customThemes, 1, 'one key per custom theme');
+  assert.equal(stored['customThemes.0'][0], dropdown.value);
+  assert.equal(stored['customThemes.0'][1].discordButton.hoverColor, '#123456');
+  assert.equal(stored.theme, dropdown.value);
+});
+
+test('settings: a save storage refuses is reported', async () => {
+  const { popup, chrome } = await loadPopup('highsec.html');
+  const document = popup.document;
+  chrome.storage.sync.set = () => Promise.reject(new Error('MAX_WRITE_OPERATIONS_PER_MINUTE quota exceeded'));
+
+  const copyFormat = document.getElementById('copyFormatDropdown');
+  copyFormat.value = 'markdown';
+  copyFormat.dispatchEvent(new popup.Event('change'));
+
+  const notification = document.getElementById('copyNotification');
+  await waitFor(() => notification.textContent === 'Could not save the setting - see the console');
+  assert.equal(popup.getSetting('copyFormat'), 'plain');
+});
+
+test('settings: the theme and webhook URL saved in localStorage by older versions are moved on first open', async () => {
+  const { popup, chrome } = await loadPopup('highsec.html', {}, {
+    localStorage: { theme: 'caldari', webhookUrl: 'https://discord.com/api/webhooks/1/abc' }
+  });
+  const document = popup.document;
+  await waitFor(() => document.getElementById('webhookProfileDropdown').options.length > 0);
+  await waitFor(() => document.getElementById('themeDropdown').options.length > 0);
+
+  assert.equal(document.getElementById('themeDropdown').value, 'caldari');
+  assert.equal(document.getElementById('webhookProfileDropdown').selectedOptions[0].textContent, 'Default');
+  assert.equal(popup.localStorage.length, 0);
+  assert.equal((await chrome.storage.sync.get('settingsVersion')).settingsVersion, 1);
+});
+
+test('webhook editor: a malformed URL is explained inline and not saved; the URL is masked', async () => {
+  const { popup, chrome } = await loadPopup('highsec.html');
+  const document = popup.document;
+  const urlInput = document.getElementById('webhookUrl');
+  const status = document.getElementById('webhookUrlStatus');
+
+  document.getElementById('profileName').value = 'Intel';
+  urlInput.value = 'https://discord.com/api/webhook/123456789/abcdSECRET';
+  urlInput.dispatchEvent(new popup.Event('input'));
+  document.getElementById('saveProfileButton').click();
+
+  assert.equal(status.textContent, 'The path must be /api/webhooks/<id>/<token>');
+  assert.equal(status.className, 'problem');
+  assert.equal((await chrome.storage.local.get('webhookProfiles')).webhookProfiles, undefined);
+
+  urlInput.value = 'https://discord.com/api/webhooks/123456789/abcdSECRET';
+  urlInput.dispatchEvent(new popup.Event('input'));
+  assert.equal(status.textContent, 'https://discord.com/api/webhooks/123456789/abcd••••••');
+  assert.equal(urlInput.type, 'password');
+  document.getElementById('revealWebhookUrlButton').click();
+  assert.equal(urlInput.type, 'text');
+
+  document.getElementById('saveProfileButton').click();
+  await waitFor(() => urlInput.type === 'password');
+  assert.equal((await chrome.storage.local.get('webhookProfiles')).webhookProfiles[0].name, 'Intel');
+});
+
+test('webhook editor: a JSON webhook keeps its headers and drops Discord-only fields', async () => {
+  const { popup, chrome } = await loadPopup('highsec.html');
+  const document = popup.document;
+  const typeDropdown = document.getElementById('profileType');
+
+  await waitFor(() => typeDropdown.options.length > 0);
+  assert.equal(Array.from(typeDropdown.options).map(o => o.textContent).join(), 'Discord,Slack / Mattermost,JSON webhook');
+
+  document.getElementById('profileName').value = 'Bot';
+  document.getElementById('profileThreadId').value = '42';
+  typeDropdown.value = 'json';
+  typeDropdown.dispatchEvent(new popup.Event('change'));
+  assert.equal(document.getElementById('profileThreadId').style.display, 'none');
+  assert.equal(document.getElementById('profileHeaders').style.display, '');
+
+  document.getElementById('webhookUrl').value = 'https://example.com/hooks/intel';
+  document.getElementById('profileHeaders').value = 'X-Api-Key: abc';
+  document.getElementById('saveProfileButton').click();
+
+  await waitFor(() => document.getElementById('webhookProfileDropdown').value !== '');
+  const saved = (await chrome.storage.local.get('webhookProfiles')).webhookProfiles[0];
+  assert.equal(JSON.stringify(saved), JSON.stringify({
+    id: saved.id,
+    type: 'json',
+    name: 'Bot',
+    url: 'https://example.com/hooks/intel',
+    headers: { 'X-Api-Key': 'abc' }
+  }));
+});
+
+test('alert rules: the popup previews the rules that fire and sends their mentions', async () => {
+  const { popup, chrome } = await loadPopup('highsec.html', {
+    webhookProfiles: [{ id: 'p1', name: 'Intel', url: 'https://discord.com/api/webhooks/1/abc' }],
+    selectedWebhookProfile: 'p1'
+  }, { sync: { alertRules: ['hub <= 5 => <@&111> Logistics', 'security null => [NULL]'] } });
+  const messages = [];
+  chrome.runtime.sendMessage = message => {
+    messages.push(message);
+    return Promise.resolve({ ids: [] });
+  };
+
+  assert.equal(popup.document.getElementById('alertRulesPreview').textContent, '🔔 hub <= 5 → <@&111> Logistics');
+
+  popup.document.getElementById('sendToDiscordButton').click();
+  await waitFor(() => messages.length === 1);
+  assert.match(messages[0].payload.content, /^<@&111> Logistics Egmur, 0\.7, /);
+  assert.equal(JSON.stringify(messages[0].payload.allowed_mentions), '{"parse":[],"roles":["111"]}');
+});
@@ -0,0 +1,61 @@
+/* ============================================================================
+   GRAB-AND-GO - Clipboard Format Tests
+   ============================================================================
+
+   Checks the table formats the Copy button offers (record.js): Markdown,
+   CSV, TSV and HTML, including escaping of awkward hub names.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+
+const { buildClipboardContent } = loadScripts('record.js');
+
+const RECORD = {
+  system: 'J123456',
+  security: -1,
+  securityBand: 'wormhole',
+  wormholeClass: 'C4',
+  region: null,
+  route: 'SHORTEST',
+  destinations: [
+    { name: 'Jita', jumps: 14, shortest: 14, secure: 19, securityCounts: { high: 10, low: 2, null: 1 } },
+    { name: 'Home, "Base" | <1>', jumps: 3, shortest: 3, secure: null }
+  ],
+  extractedAt: '2024-01-01T12:00:00.000Z',
+  sourceUrl: 'https://wormholes.new-eden.io/maps'
+};
+
+test('plain: the template line, no HTML', () => {
+  const content = buildClipboardContent(RECORD, 'plain', 'J123456, -1.0, C4');
+  assert.equal(content.text, 'J123456, -1.0, C4');
+  assert.equal(content.html, null);
+});
+
+test('Markdown table: pipes in cells are escaped', () => {
+  assert.equal(buildClipboardContent(RECORD, 'markdown', '').text, [
+    '| System | Security | Class | Jita | Home, "Base" \\| <1> |',
+    '| --- | --- | --- | --- | --- |',
+    '| J123456 | -1.0 | C4 | 14 (secure 19) (2 low, 1 null) | 3 |'
+  ].join('\n'));
+});
+
+test('CSV quotes cells with commas and quotes; TSV keeps them as they are', () => {
+  assert.equal(buildClipboardContent(RECORD, 'csv', '').text, [
+    'System,Security,Class,Jita,"Home, ""Base"" | <1>"',
+    'J123456,-1.0,C4,"14 (secure 19) (2 low, 1 null)",3'
+  ].join('\n'));
+  assert.equal(buildClipboardContent(RECORD, 'tsv', '').text, [
+    'System\tSecurity\tClass\tJita\tHome, "Base" | <1>',
+    'J123456\t-1.0\tC4\t14 (secure 19) (2 low, 1 null)\t3'
+  ].join('\n'));
+});
+
+test('HTML table: escaped, with the template line as the plain text version', () => {
+  const content = buildClipboardContent(RECORD, 'html', 'J123456, -1.0, C4');
+  assert.equal(content.text, 'J123456, -1.0, C4');
+  assert.match(content.html, /<th>Home, &quot;Base&quot; \| &lt;1&gt;<\/th>/);
+  assert.match(content.html, /<tbody><tr><td>J123456<\/td><td>-1\.0<\/td><td>C4<\/td>/);
+});
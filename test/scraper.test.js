@@ -0,0 +1,365 @@
+/* ============================================================================
+   GRAB-AND-GO - Scraper Regression Tests
+   ============================================================================
+
+   Runs getSystemData() (scraper.js) against saved snapshots of the maps
+   page in test/fixtures. When the live site changes, save a new snapshot
+   here, see what breaks, then fix selectors.json.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, runScraper, readRepoFile } = require('./helpers');
+
+/**
+ * Drops the fields that change on every run
+ */
+function stableRecord(record) {
+  const { extractedAt, ...rest } = record;
+  assert.ok(!isNaN(Date.parse(extractedAt)), 'extractedAt is an ISO timestamp');
+  return rest;
+}
+
+test('high-sec system: both routes, page order, SHORTEST restored', async () => {
+  const dom = loadFixture('highsec.html');
+  const result = await runScraper(dom);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(stableRecord(result.record), {
+    system: 'Egmur',
+    security: 0.7,
+    securityBand: 'high',
+    wormholeClass: null,
+    region: null,
+    route: 'SHORTEST',
+    destinations: [
+      { name: 'Jita', jumps: 14, shortest: 14, secure: 19 },
+      { name: 'Hek', jumps: 16, shortest: 16, secure: 16 },
+      { name: 'Amarr', jumps: 5, shortest: 5, secure: 9 }
+    ],
+    sourceUrl: 'https://wormholes.new-eden.io/maps'
+  });
+
+  const shortestTab = dom.window.document.querySelector('[aria-controls="route-panel-shortest"]');
+  assert.equal(shortestTab.getAttribute('aria-selected'), 'true', 'the user\'s tab is restored');
+});
+
+test('wormhole system: class from the map node, wormhole band', async () => {
+  const result = await runScraper(loadFixture('wormhole.html'));
+
+  assert.equal(result.success, true);
+  assert.equal(result.record.system, 'J123456');
+  assert.equal(result.record.security, null);
+  assert.equal(result.record.wormholeClass, 'C4');
+  assert.equal(result.record.securityBand, 'wormhole');
+  assert.deepEqual(result.record.destinations, [
+    { name: 'Jita', jumps: 22, shortest: 22, secure: 30 },
+    { name: 'Amarr', jumps: 18, shortest: 18, secure: 18 }
+  ]);
+});
+
+test('low-sec system: security read from the map node', async () => {
+  const result = await runScraper(loadFixture('lowsec.html'));
+
+  assert.equal(result.success, true);
+  assert.equal(result.record.system, 'Bairshir');
+  assert.equal(result.record.security, 0.4);
+  assert.equal(result.record.securityBand, 'low');
+
+  const security = result.diagnostics.fields.find(f => f.field === 'security / class');
+  assert.equal(security.matched, 'map-node');
+});
+
+test('null-sec system: negative security read from the panel header', async () => {
+  const result = await runScraper(loadFixture('nullsec.html'));
+
+  assert.equal(result.success, true);
+  assert.equal(result.record.system, '1DQ1-A');
+  assert.equal(result.record.security, -0.4);
+  assert.equal(result.record.securityBand, 'null');
+
+  const security = result.diagnostics.fields.find(f => f.field === 'security / class');
+  assert.equal(security.matched, 'header');
+});
+
+test('Thera: classified from the bundled table, not the security rating', async () => {
+  const result = await runScraper(loadFixture('thera.html'));
+
+  assert.equal(result.record.wormholeClass, 'Thera');
+  assert.equal(result.record.region, 'G-R00031');
+  assert.equal(result.record.securityBand, 'wormhole');
+});
+
+test('shattered wormhole: C13 on the page is not read as C1', async () => {
+  const result = await runScraper(loadFixture('shattered.html'));
+
+  assert.equal(result.record.wormholeClass, 'C13');
+  assert.equal(result.record.securityBand, 'wormhole');
+  assert.equal(result.record.region, null);
+});
+
+test('drifter wormhole: the table wins over a wrong class on the page', async () => {
+  const result = await runScraper(loadFixture('drifter.html'));
+
+  assert.equal(result.record.wormholeClass, 'C14');
+  assert.equal(result.record.region, 'K-R00033');
+  const classField = result.diagnostics.fields.find(field => field.field === 'class / region');
+  assert.equal(classField.matched, 'system table');
+  assert.match(classField.attempts[1].reason, /page shows C4 - using C14/);
+});
+
+test('Pochven: own band, no wormhole class', async () => {
+  const result = await runScraper(loadFixture('pochven.html'));
+
+  assert.equal(result.record.security, -1);
+  assert.equal(result.record.securityBand, 'pochven');
+  assert.equal(result.record.wormholeClass, null);
+  assert.equal(result.record.region, 'Pochven');
+});
+
+test('J-space without a class on the page: classified from the bundled table', async () => {
+  const dom = loadFixture('wormhole.html');
+  const body = dom.window.document.body;
+  body.innerHTML = body.innerHTML.replace(/J123456/g, 'J100744');
+  body.querySelectorAll('.system-node span, .system-type').forEach(el => el.remove());
+  const result = await runScraper(dom);
+
+  assert.equal(result.record.system, 'J100744');
+  assert.equal(result.record.wormholeClass, 'C1');
+  assert.equal(result.record.region, 'A-R00001');
+  assert.equal(result.record.securityBand, 'wormhole');
+});
+
+test('J-space without a class on the page or in the table is still wormhole space', async () => {
+  const dom = loadFixture('wormhole.html');
+  dom.window.document.querySelectorAll('.system-node span, .system-type').forEach(el => el.remove());
+  const result = await runScraper(dom);
+
+  assert.equal(result.record.wormholeClass, null);
+  assert.equal(result.record.securityBand, 'wormhole');
+});
+
+test('wormhole class read with no space before it', async () => {
+  const result = await runScraper(loadFixture('wormhole-compact.html'));
+
+  assert.equal(result.record.system, 'J123456');
+  assert.equal(result.record.wormholeClass, 'C4');
+  assert.equal(result.record.securityBand, 'wormhole');
+});
+
+test('K-space system showing a connection class stays K-space', async () => {
+  const result = await runScraper(loadFixture('kspace-connection.html'));
+
+  assert.equal(result.record.system, 'Egmur');
+  assert.equal(result.record.security, 0.7);
+  assert.equal(result.record.securityBand, 'high');
+  assert.equal(result.record.wormholeClass, null);
+
+  const classField = result.diagnostics.fields.find(f => f.field === 'class / region');
+  assert.equal(classField.matched, null);
+  assert.match(classField.attempts.find(a => a.strategy === 'page text').reason, /C4 - ignored/);
+});
+
+test('SECURE tab open: jumps follow SECURE and the tab is restored', async () => {
+  const dom = loadFixture('secure-tab.html');
+  const result = await runScraper(dom);
+
+  assert.equal(result.success, true);
+  assert.equal(result.record.route, 'SECURE');
+  assert.deepEqual(result.record.destinations[0], { name: 'Jita', jumps: 19, shortest: 14, secure: 19 });
+
+  const secureTab = dom.window.document.querySelector('[aria-controls="route-panel-secure"]');
+  assert.equal(secureTab.getAttribute('aria-selected'), 'true');
+});
+
+test('SECURE tab open, "active" route mode: only the open tab is read', async () => {
+  const result = await runScraper(loadFixture('secure-tab.html'), { routeMode: 'active' });
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.record.destinations.map(d => [d.name, d.jumps, d.shortest, d.secure]), [
+    ['Jita', 19, null, 19],
+    ['Hek', 16, null, 16],
+    ['Amarr', 9, null, 9]
+  ]);
+});
+
+test('hidden panels are ignored in single-route modes', async () => {
+  const result = await runScraper(loadFixture('highsec.html'), { routeMode: 'shortest' });
+
+  assert.deepEqual(result.record.destinations.map(d => d.jumps), [14, 16, 5]);
+  assert.ok(result.record.destinations.every(d => d.secure === null));
+});
+
+test('collapsed route panel: opened, read after its rows render, closed again', async () => {
+  const dom = loadFixture('collapsed.html');
+  const result = await runScraper(dom);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.record.destinations, [
+    { name: 'Jita', jumps: 14, shortest: 14, secure: null },
+    { name: 'Amarr', jumps: 5, shortest: 5, secure: null }
+  ]);
+
+  const summary = dom.window.document.querySelector('#route-panel-shortest .MuiAccordionSummary-root');
+  assert.equal(summary.getAttribute('aria-expanded'), 'false', 'the section is closed again');
+
+  const panel = result.diagnostics.fields.find(f => f.field === 'route panel (SHORTEST)');
+  assert.equal(panel.matched, 'routePanel');
+  const reopened = result.diagnostics.fields.find(f => f.field === 'destinations (SHORTEST, after opening)');
+  assert.equal(reopened.matched, 'route-hub-summary');
+  const secure = result.diagnostics.fields.find(f => f.field === 'route panel (SECURE)');
+  assert.match(secure.attempts[0].reason, /no collapsed section to open/);
+});
+
+test('collapsed route panel: auto-capture ignores the changes the grab makes', async () => {
+  const dom = loadFixture('collapsed.html');
+  dom.window.chrome = {
+    storage: { sync: { get: () => Promise.resolve({}) }, onChanged: { addListener() {} } },
+    runtime: { sendMessage: () => Promise.resolve() }
+  };
+  // One script, as the content scripts share one global scope
+  dom.window.eval(readRepoFile('record.js') + readRepoFile('capture.js'));
+  let captures = 0;
+  dom.window.captureSystemData = () => {
+    captures += 1;
+  };
+  dom.window.startAutoCapture();
+  assert.equal(captures, 1, 'captured when started');
+
+  await runScraper(dom);
+  await new Promise(resolve => setTimeout(resolve, 600));
+  assert.equal(captures, 1, 'opening and closing the route section is not a new capture');
+  assert.equal(dom.window.grabAndGoScrapes, 0);
+
+  dom.window.document.body.append('Jita');
+  await new Promise(resolve => setTimeout(resolve, 600));
+  assert.equal(captures, 2, 'other page changes still capture');
+  dom.window.stopAutoCapture();
+});
+
+test('auto-capture loads the selector profile once, until a new one is imported', async () => {
+  const dom = loadFixture('highsec.html');
+  const storageListeners = [];
+  dom.window.chrome = {
+    storage: { sync: { get: () => Promise.resolve({}) }, onChanged: { addListener: l => storageListeners.push(l) } },
+    runtime: { sendMessage: () => Promise.resolve() }
+  };
+  dom.window.eval(readRepoFile('record.js') + readRepoFile('selectors.js') + readRepoFile('capture.js'));
+  const loads = { selectorProfile: 0, knownSystems: 0 };
+  dom.window.loadSelectorProfile = () => Promise.resolve(loads.selectorProfile++);
+  dom.window.loadKnownSystems = () => Promise.resolve(loads.knownSystems++);
+  const profilesUsed = [];
+  dom.window.getSystemData = options => {
+    profilesUsed.push(options.selectorProfile);
+    return Promise.resolve({ success: false, error: 'No system selected.', record: null });
+  };
+
+  await dom.window.captureSystemData();
+  await dom.window.captureSystemData();
+  assert.deepEqual(loads, { selectorProfile: 1, knownSystems: 1 });
+
+  storageListeners.forEach(listener => listener({ selectorProfile: { newValue: {} } }, 'local'));
+  await dom.window.captureSystemData();
+  assert.deepEqual(loads, { selectorProfile: 2, knownSystems: 1 });
+  assert.deepEqual(profilesUsed, [0, 0, 1]);
+});
+
+test('collapsed route panel left alone: no destinations, the record is still returned', async () => {
+  const result = await runScraper(loadFixture('collapsed.html'), { expandRoutePanel: false });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error,
+    'The route panel could not be opened or lists no destinations - see Diagnostics for what was tried.');
+  assert.equal(result.record.system, 'Egmur');
+  assert.deepEqual(result.record.destinations, []);
+
+  const destinations = result.diagnostics.fields.find(f => f.field === 'destinations (SHORTEST)');
+  assert.equal(destinations.matched, null);
+  assert.ok(destinations.attempts.every(attempt => !attempt.matched));
+});
+
+test('panel fallback: any known system next to a count, ambiguous rows reported', async () => {
+  const result = await runScraper(loadFixture('panel-only.html'));
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.record.destinations, [
+    { name: 'Perimeter', jumps: 14, shortest: 14, secure: 16 },
+    { name: 'Thera', jumps: 6, shortest: 6, secure: 6 },
+    { name: '1DQ1-A', jumps: 31, shortest: 31, secure: 35 }
+  ]);
+
+  const shortest = result.diagnostics.fields.find(field => field.field === 'destinations (SHORTEST)');
+  assert.equal(shortest.matched, 'panel');
+  const panel = shortest.attempts.find(attempt => attempt.strategy === 'panel');
+  assert.match(panel.reason, /ambiguous: "Amarr"/);
+  assert.match(panel.reason, /not a known system: "Home Base"/);
+});
+
+test('panel fallback: any system in New Eden is known, not just the big hubs', async () => {
+  const dom = loadFixture('panel-only.html');
+  dom.window.document.querySelectorAll('.hub-name').forEach(name => {
+    name.textContent = name.textContent.replace('Perimeter', 'Wirashoda');
+  });
+  const result = await runScraper(dom);
+
+  assert.equal(result.success, true);
+  assert.deepEqual(result.record.destinations[0], { name: 'Wirashoda', jumps: 14, shortest: 14, secure: 16 });
+});
+
+test('panel fallback without a known-system list finds nothing', async () => {
+  const result = await runScraper(loadFixture('panel-only.html'), { knownSystems: undefined });
+
+  assert.equal(result.success, false);
+  const shortest = result.diagnostics.fields.find(field => field.field === 'destinations (SHORTEST)');
+  assert.match(shortest.attempts.find(attempt => attempt.strategy === 'panel').reason, /no known-system list loaded/);
+});
+
+test('route detail: security counts per hub, opened rows closed again', async () => {
+  const dom = loadFixture('route-detail.html');
+  const result = await runScraper(dom, { routeDetail: true });
+
+  assert.equal(result.success, true);
+  const [jita, hek, amarr] = result.record.destinations;
+  assert.deepEqual(jita.securityCounts, { high: 2, low: 1, null: 1 });
+  assert.deepEqual(jita.systems.map(system => system.name), ['Egmur', 'Ahbazon', 'EC-P8R', 'Hykkota', 'Jita']);
+  assert.equal(jita.systems[2].security, -0.1);
+  assert.equal(jita.secure, 6, 'the SECURE tab is still read');
+  assert.deepEqual(hek.securityCounts, { high: 2, low: 0, null: 0 });
+  assert.equal(hek.jumps, 2, 'an open row is read like a closed one');
+  assert.equal(amarr.securityCounts, null);
+
+  const expanded = Array.from(dom.window.document.querySelectorAll('.MuiAccordionSummary-root'))
+    .map(summary => summary.getAttribute('aria-expanded'));
+  assert.deepEqual(expanded, ['false', 'true', 'false', 'false', 'false', 'false'],
+    'only the rows the user had open are still open');
+
+  const detail = result.diagnostics.fields.find(field => field.field === 'route detail (SHORTEST)');
+  assert.match(detail.attempts[0].reason, /read 2 of 3 routes; no route systems for Amarr/);
+});
+
+test('route detail is off by default', async () => {
+  const result = await runScraper(loadFixture('route-detail.html'), { routeMode: 'active' });
+
+  assert.deepEqual(result.record.destinations[0], { name: 'Jita', jumps: 4, shortest: 4, secure: null });
+  assert.equal(result.record.destinations[1].jumps, 2);
+});
+
+test('no system selected', async () => {
+  const result = await runScraper(loadFixture('no-selection.html'));
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'No system selected.');
+  assert.equal(result.record, null);
+
+  const system = result.diagnostics.fields.find(f => f.field === 'system');
+  assert.match(system.attempts[1].reason, /1 excluded/);
+});
+
+test('missing selector profile is reported, not thrown', async () => {
+  const dom = loadFixture('highsec.html');
+  const result = await dom.window.getSystemData({});
+
+  assert.equal(result.success, false);
+  assert.equal(result.error, 'No selector profile loaded.');
+});
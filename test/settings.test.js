@@ -0,0 +1,192 @@
+/* ============================================================================
+   GRAB-AND-GO - Settings Tests
+   ============================================================================
+
+   Checks the settings store (settings.js): the first migration from the
+   popup's localStorage, where webhook profiles are kept, and the
+   settings file export/import.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, createStorageArea } = require('./helpers');
+
+/**
+ * Loads settings.js with its own chrome.storage and, optionally, localStorage
+ *
+ * @param {Object|null} legacy - Old popup localStorage contents, or null for
+ *                               a context without localStorage (the worker)
+ * @param {Object} localData - Initial chrome.storage.local contents
+ * @param {Object} syncData - Initial chrome.storage.sync contents
+ * @returns {Object} - {settings: sandbox, chrome, localStorage}
+ */
+function loadSettingsSandbox(legacy, localData = {}, syncData = {}) {
+  const settings = loadScripts('settings.js');
+  const chrome = { storage: { local: createStorageArea(), sync: createStorageArea() } };
+  chrome.storage.local.set(localData);
+  chrome.storage.sync.set(syncData);
+  settings.chrome = chrome;
+
+  let localStorage = null;
+  if (legacy) {
+    const items = new Map(Object.entries(legacy));
+    localStorage = {
+      items: items,
+      getItem: key => (items.has(key) ? items.get(key) : null),
+      removeItem: key => items.delete(key)
+    };
+    settings.localStorage = localStorage;
+  }
+  return { settings, chrome, localStorage };
+}
+
+const LEGACY = {
+  theme: 'caldari',
+  webhookUrl: 'https://discord.com/api/webhooks/1/abc',
+  unrelated: 'kept'
+};
+
+// Preferences saved to chrome.storage.sync before settings had a version
+const UNVERSIONED = {
+  discordEmbeds: true,
+  routeMode: 'shortest',
+  customTemplates: [{ id: 'custom-1', name: 'Short', template: '{system}' }],
+  hubSettings: { hidden: ['Hek'] }
+};
+
+test('version 1 migration moves the theme and webhook URL from localStorage to chrome.storage', async () => {
+  const { settings, chrome, localStorage } = loadSettingsSandbox(LEGACY, { history: [] }, UNVERSIONED);
+
+  const loaded = await settings.loadSettings();
+  assert.equal(loaded.theme, 'caldari');
+  assert.equal(loaded.discordEmbeds, true);
+  assert.equal(loaded.copyFormat, 'plain', 'settings that were never saved get their default');
+  assert.equal(settings.getSetting('customTemplates')[0].name, 'Short');
+
+  const synced = await chrome.storage.sync.get(null);
+  assert.equal(synced.settingsVersion, 1);
+  assert.equal(synced.theme, 'caldari');
+  assert.equal(synced.routeMode, 'shortest');
+  assert.equal(synced.hubSettings.hidden.join(), 'Hek');
+  assert.equal(synced.webhookProfiles, undefined, 'webhook URLs are not synced by default');
+
+  const local = await chrome.storage.local.get(null);
+  assert.equal(local.webhookProfiles[0].name, 'Default');
+  assert.equal(local.webhookProfiles[0].url, LEGACY.webhookUrl);
+  assert.equal(Object.keys(local).sort().join(), 'history,webhookProfiles');
+  assert.equal(Array.from(localStorage.items.keys()).join(), 'unrelated');
+});
+
+test('the worker reads old settings in memory without migrating them', async () => {
+  const { settings, chrome } = loadSettingsSandbox(null, {}, { autoCapture: true });
+
+  const loaded = await settings.loadSettings();
+  assert.equal(loaded.autoCapture, true);
+  assert.equal(JSON.stringify(await chrome.storage.sync.get(null)), '{"autoCapture":true}');
+});
+
+test('turning webhook sync on and off moves the profiles', async () => {
+  const { settings, chrome } = loadSettingsSandbox({}, {
+    webhookProfiles: [{ id: 'profile-1', name: 'Intel', url: 'https://discord.com/api/webhooks/2/def' }]
+  });
+  await settings.loadSettings();
+
+  assert.equal(await settings.setSetting('syncWebhooks', true), true);
+  assert.equal((await chrome.storage.sync.get('webhookProfiles')).webhookProfiles[0].name, 'Intel');
+  assert.equal((await chrome.storage.local.get('webhookProfiles')).webhookProfiles, undefined);
+
+  await settings.saveSettings({ selectedWebhookProfile: 'profile-1' });
+  assert.equal((await chrome.storage.sync.get('selectedWebhookProfile')).selectedWebhookProfile, 'profile-1');
+
+  await settings.setSetting('syncWebhooks', false);
+  assert.equal((await chrome.storage.local.get('webhookProfiles')).webhookProfiles[0].name, 'Intel');
+  assert.equal((await chrome.storage.sync.get('webhookProfiles')).webhookProfiles, undefined);
+  assert.equal((await settings.loadSettings()).selectedWebhookProfile, 'profile-1');
+});
+
+test('settings file: webhooks only on request, problems listed on import', async () => {
+  const { settings } = loadSettingsSandbox(LEGACY, {}, UNVERSIONED);
+  await settings.loadSettings();
+  await settings.setSetting('syncWebhooks', true);
+
+  const file = JSON.parse(settings.exportSettings(false));
+  assert.equal(file.type, 'grab-and-go-settings');
+  assert.equal(file.version, 1);
+  assert.equal(file.settings.theme, 'caldari');
+  assert.equal('webhookProfiles' in file.settings, false);
+  assert.equal('syncWebhooks' in file.settings, false, 'where secrets live is up to each browser');
+  assert.equal(JSON.parse(settings.exportSettings(true)).settings.webhookProfiles.length, 1);
+
+  const scout = loadSettingsSandbox({});
+  await scout.settings.loadSettings();
+  const imported = await scout.settings.importSettings(JSON.stringify(file));
+  assert.ok(imported.includes('customTemplates'));
+  assert.equal(scout.settings.getSetting('routeMode'), 'shortest');
+  assert.equal(scout.settings.getSetting('webhookProfiles').length, 0);
+
+  await assert.rejects(scout.settings.importSettings('{"theme": "dark"}'), /not a Grab-and-Go settings file/);
+  await assert.rejects(scout.settings.importSettings(JSON.stringify(Object.assign({}, file, { version: 99 }))),
+    /version 99 is not supported/);
+  const broken = { type: 'grab-and-go-settings', version: 1, settings: { routeDetail: 'yes', customThemes: [] } };
+  await assert.rejects(scout.settings.importSettings(JSON.stringify(broken)),
+    /routeDetail must be boolean \(got string\)\ncustomThemes must be object \(got array\)/);
+  assert.equal(scout.settings.getSetting('routeDetail'), false, 'nothing is saved from a file with problems');
+});
+
+/**
+ * Makes a storage area refuse items over chrome.storage.sync's 8 KB limit
+ *
+ * @param {Object} area - From createStorageArea()
+ * @returns {Object} - The same area
+ */
+function limitItemSize(area) {
+  const set = area.set;
+  area.set = items => {
+    const tooBig = Object.keys(items).find(key => key.length + JSON.stringify(items[key]).length > 8192);
+    return tooBig ? Promise.reject(new Error(`QUOTA_BYTES_PER_ITEM quota exceeded (${tooBig})`)) : set(items);
+  };
+  return area;
+}
+
+test('custom templates are stored one per key, so many of them fit in sync', async () => {
+  const { settings, chrome } = loadSettingsSandbox({});
+  limitItemSize(chrome.storage.sync);
+  await settings.loadSettings();
+
+  const templates = Array.from({ length: 12 }, (_, i) => ({ id: `custom-${i}`, name: `T${i}`, template: 'x'.repeat(1000) }));
+  assert.equal(await settings.setSetting('customTemplates', templates), true);
+  const synced = await chrome.storage.sync.get(null);
+  assert.equal(synced.customTemplates, 12);
+  assert.equal(synced['customTemplates.11'].name, 'T11');
+
+  await settings.setSetting('customTemplates', templates.slice(0, 2));
+  assert.deepEqual(Object.keys(await chrome.storage.sync.get(null)).filter(key => key.startsWith('customTemplates')).sort(),
+    ['customTemplates', 'customTemplates.0', 'customTemplates.1']);
+
+  await settings.setSetting('customThemes', { 'custom-1': { name: 'Mine' } });
+  const reloaded = await settings.loadSettings();
+  assert.equal(reloaded.customTemplates.map(t => t.name).join(), 'T0,T1');
+  assert.equal(reloaded.customThemes['custom-1'].name, 'Mine');
+  assert.equal(settings.isSettingChange({ 'customThemes.0': {} }, 'customThemes'), true);
+  assert.equal(settings.isSettingChange({ customThemesOld: {} }, 'customThemes'), false);
+});
+
+test('settings saved whole before splitting still load', async () => {
+  const { settings, chrome } = loadSettingsSandbox({});
+  await chrome.storage.sync.set({ settingsVersion: 1, alertRules: ['security null => nullsec'] });
+
+  assert.equal((await settings.loadSettings()).alertRules.join(), 'security null => nullsec');
+});
+
+test('a save storage refuses is reported and undone', async () => {
+  const { settings, chrome } = loadSettingsSandbox({});
+  limitItemSize(chrome.storage.sync);
+  await settings.loadSettings();
+  await settings.setSetting('customTemplates', [{ id: 'custom-1', name: 'Short', template: '{system}' }]);
+
+  const huge = [{ id: 'custom-2', name: 'Huge', template: 'x'.repeat(9000) }];
+  assert.equal(await settings.saveSettings({ customTemplates: huge, routeMode: 'secure' }), false);
+  assert.equal(settings.getSetting('customTemplates')[0].name, 'Short');
+  assert.equal(settings.getSetting('routeMode'), 'both');
+});
@@ -0,0 +1,61 @@
+/* ============================================================================
+   GRAB-AND-GO - Shortcut Tests
+   ============================================================================
+
+   Checks "Grab and copy" run from the background worker (runShortcut() in
+   background.js): the text goes through the page's clipboard, and a copy
+   the browser refuses is reported on the page instead of being recorded.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadFixture, loadWorker, createClipboardStub, waitFor } = require('./helpers');
+
+/**
+ * Loads the worker with a fixture page as the tab, and a clipboard stub
+ *
+ * @param {Object} t - Test context, to close the page afterwards
+ * @returns {Promise<Object>} - {worker, chrome, page, clipboard}
+ */
+async function loadShortcutWorker(t) {
+  const page = loadFixture('highsec.html');
+  const clipboard = createClipboardStub();
+  Object.defineProperty(page.window.navigator, 'clipboard', { value: clipboard });
+  t.after(() => page.window.close());
+
+  const { worker, chrome } = loadWorker(page);
+  await waitFor(() => chrome.runtime.onMessage.listeners.length > 0);
+  return { worker, chrome, page, clipboard };
+}
+
+/**
+ * @param {JSDOM} page - Fixture page
+ * @returns {string} - Text of the shortcut's toast
+ */
+function toastText(page) {
+  const toast = page.window.document.getElementById('grab-and-go-toast');
+  return toast ? toast.textContent : '';
+}
+
+test('grab and copy: the text goes to the clipboard and the history', async (t) => {
+  const { worker, chrome, page, clipboard } = await loadShortcutWorker(t);
+
+  await worker.runShortcut('grab-copy', { id: 1 });
+
+  assert.equal(clipboard.writes.length, 1);
+  assert.match(clipboard.writes[0]['text/plain'], /Egmur/);
+  assert.equal(toastText(page), 'Grab-and-Go: Copied Egmur');
+  const history = (await chrome.storage.local.get('history')).history;
+  assert.equal(history[0].result, 'copied');
+});
+
+test('grab and copy: a refused copy says so and is not recorded', async (t) => {
+  const { worker, chrome, page, clipboard } = await loadShortcutWorker(t);
+  clipboard.error = new page.window.Error('Document is not focused.');
+
+  await worker.runShortcut('grab-copy', { id: 1 });
+
+  assert.equal(toastText(page), 'Grab-and-Go: Copy failed: Document is not focused.');
+  assert.equal((await chrome.storage.local.get('history')).history, undefined);
+});
@@ -0,0 +1,101 @@
+/* ============================================================================
+   GRAB-AND-GO - System Info Tests
+   ============================================================================
+
+   Checks that enrichRecord() (systems.js) adds region, constellation,
+   and wormhole effect to a record, and that the template fields
+   and the Discord embed pick them up.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts, loadSystemInfo } = require('./helpers');
+
+const { enrichRecord, enrichScrapeResult, getTemplateFields, buildDiscordEmbed } =
+  loadScripts('record.js', 'systems.js', 'discord.js');
+
+const SYSTEM_INFO = {
+  version: 1,
+  source: 'test',
+  constellations: { 'A-C00311': 'A-R00001', 'Kimotoro': 'The Forge' },
+  systems: {
+    'J123456': ['A-C00311', 'Pulsar'],
+    'Jita': ['Kimotoro']
+  }
+};
+
+/**
+ * @param {Object} fields - Fields to override
+ * @returns {Object} - A record as getSystemData() returns it
+ */
+function makeRecord(fields) {
+  return Object.assign({
+    system: 'J123456',
+    security: -1,
+    securityBand: 'wormhole',
+    wormholeClass: 'C4',
+    region: null,
+    route: 'SHORTEST',
+    destinations: [{ name: 'Jita', jumps: 22, shortest: 22, secure: null }],
+    extractedAt: '2024-01-01T12:00:00.000Z',
+    sourceUrl: 'https://wormholes.new-eden.io/maps'
+  }, fields);
+}
+
+test('wormhole: region, constellation and effect are added', () => {
+  const record = enrichRecord(makeRecord({}), SYSTEM_INFO);
+
+  assert.equal(record.region, 'A-R00001');
+  assert.equal(record.constellation, 'A-C00311');
+  assert.equal(record.effect, 'Pulsar');
+
+  const fields = getTemplateFields(record);
+  assert.equal(fields.region, 'A-R00001');
+  assert.equal(fields.constellation, 'A-C00311');
+  assert.equal(fields.effect, 'Pulsar');
+
+  assert.equal(buildDiscordEmbed(record).description,
+    'Security -1.0 · wormhole\nA-R00001 · A-C00311\nPulsar');
+});
+
+test('K-space: location only, no wormhole line in the embed', () => {
+  const record = enrichRecord(makeRecord({ system: 'Jita', security: 0.9, securityBand: 'high', wormholeClass: null }),
+    SYSTEM_INFO);
+
+  assert.equal(record.region, 'The Forge');
+  assert.equal(record.effect, null);
+  assert.equal(buildDiscordEmbed(record).description, 'Security 0.9 · high\nThe Forge · Kimotoro');
+});
+
+test('unknown system keeps the region the scraper found', () => {
+  const record = enrichRecord(makeRecord({ system: 'Kino', region: 'Pochven' }), SYSTEM_INFO);
+
+  assert.equal(record.region, 'Pochven');
+  assert.equal(record.constellation, null);
+  assert.equal(getTemplateFields(record).constellation, '');
+});
+
+test('results without a record are passed through, the record is not modified', () => {
+  const failed = { success: false, error: 'No system selected.', record: null };
+  assert.equal(enrichScrapeResult(failed, SYSTEM_INFO), failed);
+
+  const original = makeRecord({});
+  enrichScrapeResult({ success: true, record: original }, SYSTEM_INFO);
+  assert.equal(original.constellation, undefined);
+});
+
+test('bundled data: every system points at a listed constellation', () => {
+  const info = loadSystemInfo();
+  for (const [name, entry] of Object.entries(info.systems)) {
+    assert.ok(entry[0] in info.constellations, `${name}: unknown constellation ${entry[0]}`);
+  }
+});
+
+test('bundled data: wormhole effects come with the generated data', () => {
+  const record = enrichRecord(makeRecord({ system: 'J100744', wormholeClass: 'C1' }), loadSystemInfo());
+
+  assert.equal(record.region, 'A-R00001');
+  assert.equal(record.constellation, 'A-C00311');
+  assert.equal(record.effect, 'Cataclysmic Variable');
+});
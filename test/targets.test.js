@@ -0,0 +1,119 @@
+/* ============================================================================
+   GRAB-AND-GO - Output Target Tests
+   ============================================================================
+
+   Checks the output adapters (targets.js): Slack-compatible and JSON
+   bodies without Discord's mentions and embeds, custom headers for JSON
+   webhooks, and posting to each target type through the mock webhook
+   server.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+const { createMockWebhookServer } = require('../tools/mock-webhook-server');
+
+const targets = loadScripts('webhooks.js', 'discord.js', 'targets.js');
+targets.URL = URL;
+targets.fetch = fetch;
+
+const EMBED_PAYLOAD = {
+  embeds: [{
+    title: 'J123450 (C3)',
+    url: 'https://wormholes.new-eden.io/maps',
+    description: 'Security -1.0 · wormhole',
+    color: 0x3498db,
+    fields: [{ name: 'Jita', value: '12 jumps', inline: true }],
+    footer: { text: 'SHORTEST route · Grab-and-Go' },
+    timestamp: '2024-01-02T03:04:05.000Z'
+  }]
+};
+
+/**
+ * Starts a mock webhook server on a free port
+ *
+ * @returns {Promise<Object>} - {requests, cannedResponses, base: "http://127.0.0.1:<port>"}
+ */
+async function startMockServer(t) {
+  const mock = createMockWebhookServer({ quiet: true });
+  await new Promise(resolve => mock.server.listen(0, '127.0.0.1', resolve));
+  t.after(() => mock.server.close());
+  return Object.assign(mock, { base: `http://127.0.0.1:${mock.server.address().port}` });
+}
+
+test('slack: embeds become text in Slack\'s markup, with the username and avatar overrides', () => {
+  const body = targets.buildSlackBody(EMBED_PAYLOAD, { username: 'Scout Bot', avatar_url: 'https://example.com/a.png' });
+  assert.equal(JSON.stringify(body), JSON.stringify({
+    text: '<https://wormholes.new-eden.io/maps|J123450 (C3)>\nSecurity -1.0 · wormhole\n*Jita*: 12 jumps\n' +
+      'SHORTEST route · Grab-and-Go',
+    username: 'Scout Bot',
+    icon_url: 'https://example.com/a.png'
+  }));
+});
+
+test('slack and JSON: Discord mentions are dropped and Discord bold is converted', () => {
+  const payload = {
+    content: '<@&123456789012345678> PvP target **J123450** C5',
+    allowed_mentions: { parse: [], roles: ['123456789012345678'] }
+  };
+  assert.equal(JSON.stringify(targets.buildSlackBody(payload, {})), '{"text":"PvP target *J123450* C5"}');
+
+  const json = targets.getOutputTarget({ type: 'json' });
+  const request = json.buildRequest(payload, { name: 'Bot', url: 'https://example.com/hook' }, null);
+  assert.equal(JSON.stringify(request.body),
+    '{"source":"grab-and-go","profile":"Bot","content":"PvP target J123450 C5","record":null}');
+});
+
+test('targets: URLs, header lines and masking for non-Discord webhooks', () => {
+  assert.equal(targets.validateHttpUrl('https://hooks.slack.com/services/T0/B0/SECRET').join(), '');
+  assert.equal(targets.validateHttpUrl('http://example.com/hook').join(), 'Webhook URLs start with https:// (got http://)');
+  assert.equal(targets.validateHttpUrl('https://example.com').join(), 'The URL has no path - copy the whole webhook URL');
+
+  const parsed = targets.parseHeaderLines('X-Api-Key: abc:123\n\n  Authorization: Bearer t  \nnot a header');
+  assert.equal(JSON.stringify(parsed.headers), '{"X-Api-Key":"abc:123","Authorization":"Bearer t"}');
+  assert.equal(parsed.problems.join(), 'Headers are written "Name: value" (got "not a header")');
+  assert.equal(targets.formatHeaderLines(parsed.headers), 'X-Api-Key: abc:123\nAuthorization: Bearer t');
+
+  assert.equal(targets.maskWebhookUrl('https://hooks.slack.com/services/T0/B0/SECRETTOKEN'),
+    'https://hooks.slack.com/services/T0/B0/SECR••••••');
+});
+
+test('targets: each type posts its own format to the mock server', async (t) => {
+  const { requests, base } = await startMockServer(t);
+  const record = { system: 'J123450', destinations: [] };
+
+  const discordId = await targets.postToTarget({ content: 'Hi' },
+    { name: 'Intel', url: `${base}/api/webhooks/123/mock-token` }, record, 1);
+  assert.match(discordId, /^\d+$/, 'profiles without a type are Discord');
+
+  assert.equal(await targets.postToTarget(EMBED_PAYLOAD,
+    { type: 'slack', name: 'Ops', url: `${base}/hooks/mock-token` }, record, 2), null);
+  assert.equal(requests[1].path, '/hooks/mock-token');
+  assert.match(requests[1].payload.text, /^<https:\/\/wormholes\.new-eden\.io\/maps\|J123450 \(C3\)>/);
+
+  await targets.postToTarget({ content: 'Hi' },
+    { type: 'json', name: 'Bot', url: `${base}/json/mock-token`, headers: { 'X-Api-Key': 'abc' } }, record, 3);
+  assert.equal(requests[2].headers['x-api-key'], 'abc');
+  assert.equal(JSON.stringify(requests[2].payload),
+    JSON.stringify({ source: 'grab-and-go', profile: 'Bot', content: 'Hi', record: record }));
+});
+
+test('targets: errors keep the service\'s reason; unknown types and untestable checks are permanent', async (t) => {
+  const { base } = await startMockServer(t);
+  const slack = { type: 'slack', name: 'Ops', url: `${base}/hooks/mock-token` };
+
+  await assert.rejects(targets.postToTarget({ content: '' }, slack, null, 1), error => {
+    assert.equal(error.message, 'Webhook returned status 400: no_text');
+    assert.equal(error.status, 400);
+    return true;
+  });
+
+  await assert.rejects(targets.postToTarget({ content: 'Hi' }, { type: 'teams', name: 'X', url: base }, null, 2),
+    error => error.permanent && error.message === 'Unknown webhook type "teams"');
+
+  await assert.rejects(targets.testTarget(slack, false, 3), error => error.permanent &&
+    error.message === 'Slack / Mattermost webhooks can only be tested by posting - tick "Test posts a message"');
+  const tested = await targets.testTarget(slack, true, 4);
+  assert.equal(`${tested.name} / ${tested.messageId}`, 'null / null');
+});
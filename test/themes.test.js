@@ -0,0 +1,85 @@
+/* ============================================================================
+   GRAB-AND-GO - Theme Tests
+   ============================================================================
+
+   Checks theme validation (themes.js) against the bundled colors.json,
+   and how missing themes and colors fall back to the default theme.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { loadScripts } = require('./helpers');
+
+const themes = loadScripts('themes.js');
+const BUILT_IN = JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'colors.json'), 'utf8'));
+
+// Custom themes are settings (settings.js) - kept in memory here
+const settings = { customThemes: {}, theme: 'default' };
+themes.getSetting = key => settings[key];
+themes.setSetting = (key, value) => {
+  settings[key] = value;
+  return Promise.resolve(true);
+};
+
+test('every bundled theme is complete', () => {
+  for (const [id, theme] of Object.entries(BUILT_IN)) {
+    assert.equal(themes.validateTheme(theme).join('\n'), '', id);
+  }
+});
+
+test('validation lists missing keys and bad colors instead of throwing', () => {
+  const theme = JSON.parse(JSON.stringify(BUILT_IN.caldari));
+  delete theme.discordButton;
+  delete theme.name;
+  theme.titleBox.fontColor = 'white';
+
+  const problems = themes.validateTheme(theme);
+  assert.equal(problems[0], 'name is missing');
+  assert.ok(problems.includes('discordButton.hoverColor is missing'));
+  assert.ok(problems.includes('titleBox.fontColor must be a hex color like #ff914d (got "white")'));
+  assert.equal(themes.validateTheme('[1, 2]').join(), 'The theme must be a JSON object');
+
+  const completed = themes.completeTheme(theme, BUILT_IN.default);
+  assert.equal(themes.validateTheme(completed).join(), '');
+  assert.equal(completed.titleBox.fontColor, BUILT_IN.default.titleBox.fontColor);
+  assert.equal(completed.titleBox.backgroundColor, BUILT_IN.caldari.titleBox.backgroundColor);
+});
+
+test('an unknown or incomplete theme falls back to Default and says why', async () => {
+  const missing = themes.resolveTheme(BUILT_IN, 'blue');
+  assert.equal(missing.id, 'default');
+  assert.equal(missing.problems.join(), `Theme "blue" not found - using ${BUILT_IN.default.name}`);
+
+  const id = await themes.saveCustomTheme(null, { name: 'Half done', titleBox: { backgroundColor: '#123', fontColor: '#fff' } });
+  const partial = themes.resolveTheme(BUILT_IN, id);
+  assert.equal(partial.name, 'Half done');
+  assert.equal(partial.builtIn, false);
+  assert.equal(partial.theme.titleBox.backgroundColor, '#123');
+  assert.equal(partial.theme.copyButton.hoverColor, BUILT_IN.default.copyButton.hoverColor);
+  assert.ok(partial.problems.includes('copyButton.hoverColor is missing'));
+  assert.equal(themes.toColorInputValue('#1A3'), '#11aa33');
+});
+
+test('import refuses incomplete themes and round-trips exported ones', async () => {
+  await assert.rejects(themes.importCustomTheme('{"name": "Broken"'), /^Error: Not valid JSON/);
+  await assert.rejects(themes.importCustomTheme('{"name": "Empty"}'), /backgroundGradient\.start is missing/);
+
+  const id = await themes.importCustomTheme(themes.exportTheme(BUILT_IN.nebula));
+  assert.match(id, /^custom-\d+$/);
+  assert.equal(JSON.stringify(themes.loadCustomThemes()[id]), JSON.stringify(BUILT_IN.nebula));
+});
+
+test('a theme storage refuses is reported, not kept', async () => {
+  themes.setSetting = () => Promise.resolve(false);
+  try {
+    await assert.rejects(themes.saveCustomTheme(null, BUILT_IN.caldari), /could not be saved/);
+  } finally {
+    themes.setSetting = (key, value) => {
+      settings[key] = value;
+      return Promise.resolve(true);
+    };
+  }
+});
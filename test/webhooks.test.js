@@ -0,0 +1,73 @@
+/* ============================================================================
+   GRAB-AND-GO - Webhook Tests
+   ============================================================================
+
+   Checks webhook URL validation and masking (webhooks.js), and the "Test"
+   action (testTarget() in targets.js) against the mock webhook server.
+
+   ============================================================================ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadScripts } = require('./helpers');
+const { createMockWebhookServer } = require('../tools/mock-webhook-server');
+
+const webhooks = loadScripts('webhooks.js', 'discord.js', 'targets.js');
+webhooks.URL = URL;
+webhooks.fetch = fetch;
+
+test('webhook URLs: Discord hosts with an id and token are accepted', () => {
+  for (const url of [
+    'https://discord.com/api/webhooks/123456789/abc-DEF_123',
+    'https://discordapp.com/api/webhooks/123456789/abc',
+    'https://canary.discord.com/api/webhooks/123456789/abc',
+    'https://ptb.discord.com/api/v10/webhooks/123456789/abc',
+    'http://localhost:8787/api/webhooks/123/mock-token'
+  ]) {
+    assert.equal(webhooks.validateWebhookUrl(url).join('\n'), '', url);
+  }
+});
+
+test('webhook URLs: typos are reported, and the token is masked for display', () => {
+  const problems = url => webhooks.validateWebhookUrl(url).join('\n');
+
+  assert.match(problems('discord.com/api/webhooks/1/abc'), /^Not a URL/);
+  assert.equal(problems('https://discord.gg/api/webhooks/1/abc'),
+    'The host must be discord.com, discordapp.com, canary.discord.com, ptb.discord.com (got discord.gg)');
+  assert.equal(problems('http://discord.com/api/webhooks/1/abc'), 'Discord webhook URLs start with https:// (got http://)');
+  assert.equal(problems('https://discord.com/api/webhooks/123456789'), 'The path must be /api/webhooks/<id>/<token>');
+  assert.equal(problems('https://discord.com/api/webhooks/12345678O/abc'), 'The webhook id must be a number (got 12345678O)');
+
+  assert.equal(webhooks.maskWebhookUrl('https://discord.com/api/webhooks/123456789/abcdSECRET'),
+    'https://discord.com/api/webhooks/123456789/abcd••••••');
+});
+
+test('test action: GET shows the webhook, a test post is optional, errors keep Discord\'s reason', async (t) => {
+  const { server, requests, cannedResponses } = createMockWebhookServer({ quiet: true });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  t.after(() => server.close());
+
+  const profile = {
+    name: 'Intel',
+    url: `http://127.0.0.1:${server.address().port}/api/webhooks/123/mock-token`,
+    thread_id: '42'
+  };
+
+  const checked = await webhooks.testTarget(profile, false, 1);
+  assert.equal(`${checked.name} / ${checked.channelId} / ${checked.messageId}`, 'Mock webhook / 1 / null');
+  assert.equal(requests.map(r => `${r.method} ${JSON.stringify(r.query)}`).join(), 'GET {}');
+
+  const posted = await webhooks.testTarget(profile, true, 2);
+  assert.match(posted.messageId, /^\d+$/);
+  assert.equal(requests[2].method, 'POST');
+  assert.equal(requests[2].query.thread_id, '42');
+  assert.equal(requests[2].payload.content, 'Grab-and-Go test message for webhook profile "Intel"');
+
+  cannedResponses.push({ status: 401 });
+  await assert.rejects(webhooks.testTarget(profile, true, 3), error => {
+    assert.equal(error.status, 401);
+    assert.equal(error.message, 'Discord API returned status 401: Mock response 401');
+    return true;
+  });
+  assert.equal(requests.length, 4, 'nothing is posted when the webhook check fails');
+});
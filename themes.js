@@ -0,0 +1,279 @@
+/* ============================================================================
+   GRAB-AND-GO - Themes
+   ============================================================================
+
+   PURPOSE:
+   Popup color themes. Built-in themes live in colors.json; users can edit
+   a copy in the popup's theme editor, save it, and share it as a JSON file.
+
+   THEME SHAPE (see THEME_SCHEMA):
+   {
+     name: "Slate",
+     backgroundGradient: { start, end },
+     titleBox: { backgroundColor, fontColor },
+     copyButton: { backgroundGradientStart, backgroundGradientEnd, hoverColor, fontColor },
+     discordButton: { backgroundGradientStart, backgroundGradientEnd, hoverColor, fontColor },
+     headerData: { fontColor },
+     number: { fontColor },
+     notification: { backgroundColor, fontColor }
+   }
+   Colors are hex, "#rrggbb" or "#rgb".
+
+   STORAGE:
+   Like the output templates, custom themes and the selected theme are
+   settings (see settings.js), so they sync with the user's browser:
+   - customThemes:  { id: theme } - ids start with "custom-"
+   - theme:         Id of the selected theme (a colors.json key or custom id)
+
+   VALIDATION:
+   validateTheme() lists what's missing or malformed instead of throwing.
+   Imports with problems are refused; a stored theme with problems is
+   still shown, with the missing colors taken from the default theme.
+
+   ============================================================================ */
+
+// Id of the built-in theme used when the selected one is missing
+const DEFAULT_THEME_ID = 'default';
+
+// Every color a theme sets, grouped as in colors.json, with editor labels
+const THEME_SCHEMA = {
+  backgroundGradient: { label: 'Background', colors: { start: 'Start', end: 'End' } },
+  titleBox: { label: 'Title', colors: { backgroundColor: 'Background', fontColor: 'Text' } },
+  copyButton: {
+    label: 'Copy button',
+    colors: { backgroundGradientStart: 'Start', backgroundGradientEnd: 'End', hoverColor: 'Hover', fontColor: 'Text' }
+  },
+  discordButton: {
+    label: 'Discord button',
+    colors: { backgroundGradientStart: 'Start', backgroundGradientEnd: 'End', hoverColor: 'Hover', fontColor: 'Text' }
+  },
+  headerData: { label: 'System', colors: { fontColor: 'Text' } },
+  number: { label: 'Hubs', colors: { fontColor: 'Text' } },
+  notification: { label: 'Notification', colors: { backgroundColor: 'Background', fontColor: 'Text' } }
+};
+
+// Accepted color values
+const THEME_COLOR_PATTERN = /^#(?:[0-9a-fA-F]{3}){1,2}$/;
+
+// ============================================================================
+// VALIDATION
+// ============================================================================
+
+/**
+ * Checks a theme against THEME_SCHEMA
+ *
+ * @param {Object} theme - Parsed theme
+ * @returns {string[]} - Problems found, e.g. "copyButton.hoverColor is missing"
+ *                       (empty if the theme is complete)
+ */
+function validateTheme(theme) {
+  if (!theme || typeof theme !== 'object' || Array.isArray(theme)) {
+    return ['The theme must be a JSON object'];
+  }
+
+  const problems = [];
+  if (typeof theme.name !== 'string' || theme.name.trim() === '') {
+    problems.push('name is missing');
+  }
+
+  for (const [group, section] of Object.entries(THEME_SCHEMA)) {
+    for (const key of Object.keys(section.colors)) {
+      const value = theme[group] ? theme[group][key] : undefined;
+      if (value === undefined) {
+        problems.push(`${group}.${key} is missing`);
+      } else if (typeof value !== 'string' || !THEME_COLOR_PATTERN.test(value)) {
+        problems.push(`${group}.${key} must be a hex color like #ff914d (got ${JSON.stringify(value)})`);
+      }
+    }
+  }
+  return problems;
+}
+
+/**
+ * Fills missing or malformed colors from another theme
+ *
+ * @param {Object} theme - Theme, possibly incomplete
+ * @param {Object} base - Complete theme to take the gaps from
+ * @returns {Object} - A complete theme
+ */
+function completeTheme(theme, base) {
+  const source = theme && typeof theme === 'object' ? theme : {};
+  const result = { name: typeof source.name === 'string' ? source.name : base.name };
+
+  for (const [group, section] of Object.entries(THEME_SCHEMA)) {
+    result[group] = {};
+    for (const key of Object.keys(section.colors)) {
+      const value = source[group] ? source[group][key] : undefined;
+      result[group][key] = typeof value === 'string' && THEME_COLOR_PATTERN.test(value) ? value : base[group][key];
+    }
+  }
+  return result;
+}
+
+/**
+ * @param {string} color - Valid theme color, "#rrggbb" or "#rgb"
+ * @returns {string} - "#rrggbb" in lower case, as <input type="color"> needs
+ */
+function toColorInputValue(color) {
+  const hex = color.slice(1).toLowerCase();
+  return hex.length === 3 ? `#${hex.split('').map(digit => digit + digit).join('')}` : `#${hex}`;
+}
+
+// ============================================================================
+// THEME LIST
+// ============================================================================
+
+/**
+ * @returns {Promise<Object>} - Built-in themes from colors.json, { id: theme }
+ */
+function loadBuiltInThemes() {
+  return fetch('colors.json').then(response => response.json());
+}
+
+/**
+ * Returns built-in themes followed by the user's custom themes
+ *
+ * @param {Object} builtIns - From loadBuiltInThemes()
+ * @returns {Array} - [{id, name, builtIn, theme}, ...]
+ */
+function getAllThemes(builtIns) {
+  const toEntry = builtIn => ([id, theme]) => ({
+    id: id,
+    name: theme && typeof theme.name === 'string' ? theme.name : id,
+    builtIn: builtIn,
+    theme: theme
+  });
+  return Object.entries(builtIns).map(toEntry(true))
+    .concat(Object.entries(loadCustomThemes()).map(toEntry(false)));
+}
+
+/**
+ * Finds the theme to apply, saying what was wrong with it
+ *
+ * @param {Object} builtIns - From loadBuiltInThemes()
+ * @param {string} id - Theme id
+ * @returns {Object} - {id, name, builtIn, theme, problems}: `theme` is always
+ *                     complete; `problems` explains any fallback
+ */
+function resolveTheme(builtIns, id) {
+  const base = builtIns[DEFAULT_THEME_ID];
+  const entry = getAllThemes(builtIns).find(t => t.id === id);
+  if (!entry) {
+    return {
+      id: DEFAULT_THEME_ID,
+      name: base.name,
+      builtIn: true,
+      theme: base,
+      problems: [`Theme "${id}" not found - using ${base.name}`]
+    };
+  }
+
+  const problems = validateTheme(entry.theme);
+  return Object.assign({}, entry, {
+    theme: problems.length > 0 ? completeTheme(entry.theme, base) : entry.theme,
+    problems: problems.length > 0 ? problems.concat(`Missing colors are taken from ${base.name}`) : []
+  });
+}
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * @returns {Object} - The user's custom themes, { id: theme }
+ */
+function loadCustomThemes() {
+  const saved = getSetting('customThemes');
+  return saved && typeof saved === 'object' && !Array.isArray(saved) ? saved : {};
+}
+
+/**
+ * Creates or updates a custom theme
+ *
+ * @param {string|null} id - Id to overwrite, or null for a new theme
+ * @param {Object} theme - Complete theme
+ * @returns {Promise<string>} - Id of the saved theme; rejects if storage
+ *                              refused it (e.g. over the sync quota)
+ */
+function saveCustomTheme(id, theme) {
+  const custom = Object.assign({}, loadCustomThemes());
+  const savedId = id || `custom-${Date.now()}`;
+  custom[savedId] = theme;
+  return setSetting('customThemes', custom).then(saved => {
+    if (!saved) {
+      throw new Error(`Theme "${theme.name}" could not be saved - see the console`);
+    }
+    console.log(`Theme saved: ${theme.name}`);
+    return savedId;
+  });
+}
+
+/**
+ * Deletes a custom theme. Built-in themes are ignored.
+ *
+ * @param {string} id - Theme id
+ * @returns {Promise<boolean>} - false if storage refused the change
+ */
+function deleteCustomTheme(id) {
+  const custom = Object.assign({}, loadCustomThemes());
+  delete custom[id];
+  const selected = getSelectedThemeId() === id;
+
+  return setSetting('customThemes', custom)
+    .then(saved => (saved && selected ? setSetting('theme', DEFAULT_THEME_ID) : saved))
+    .then(saved => {
+      console.log(saved ? `Theme deleted: ${id}` : `Theme ${id} could not be deleted`);
+      return saved;
+    });
+}
+
+/**
+ * @returns {string} - Id of the theme the user last selected
+ */
+function getSelectedThemeId() {
+  return getSetting('theme') || DEFAULT_THEME_ID;
+}
+
+/**
+ * @param {string} id - Id of the theme to remember as selected
+ * @returns {Promise<boolean>} - See setSetting()
+ */
+function setSelectedThemeId(id) {
+  return setSetting('theme', id);
+}
+
+// ============================================================================
+// IMPORT / EXPORT
+// ============================================================================
+
+/**
+ * Validates a theme file and saves it as a new custom theme
+ *
+ * @param {string} json - Contents of the theme file
+ * @returns {Promise<string>} - Id of the imported theme; rejects with the
+ *                              problems if the file isn't a complete theme
+ */
+function importCustomTheme(json) {
+  return Promise.resolve().then(() => {
+    let theme;
+    try {
+      theme = JSON.parse(json);
+    } catch (error) {
+      throw new Error(`Not valid JSON: ${error.message}`);
+    }
+
+    const problems = validateTheme(theme);
+    if (problems.length > 0) {
+      throw new Error(problems.join('\n'));
+    }
+    return saveCustomTheme(null, completeTheme(theme, theme));
+  });
+}
+
+/**
+ * @param {Object} theme - Theme to share
+ * @returns {string} - Pretty-printed JSON, importable with importCustomTheme()
+ */
+function exportTheme(theme) {
+  return JSON.stringify(theme, null, 2);
+}
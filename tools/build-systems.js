@@ -0,0 +1,253 @@
+/* ============================================================================
+   GRAB-AND-GO - System Data Builder (development only)
+   ============================================================================
+
+   PURPOSE:
+   Regenerates the bundled solar system data from the EVE static data
+   export. Not part of the extension - it runs with plain Node.
+
+   - systems.json: the names the scraper accepts as destinations when it
+     has to search a route panel without row selectors (see
+     extractAllDestinationsFromContainer() in scraper.js), and the class
+     table it uses to classify the selected system (see classifySystem())
+   - system-info.json: region, constellation and wormhole effect of every
+     system, added to records by enrichRecord() (systems.js)
+
+   USAGE:
+   node tools/build-systems.js <sde-folder>
+
+   <sde-folder> holds these tables of the static data export as CSV files,
+   e.g. the ones published by Fuzzwork: mapSolarSystems.csv,
+   mapConstellations.csv, mapRegions.csv, mapLocationWormholeClasses.csv,
+   mapDenormalize.csv and invTypes.csv.
+
+   WHAT GOES IN:
+   - Every New Eden and wormhole system (ids below 32000000 - Abyssal and
+     other instanced systems are left out)
+   - systems.json "names": names covered by one of its "patterns"
+     (J123456, nullsec codes like 1DQ1-A) are left out to keep it small
+   - systems.json "systems": class and region of every system in wormhole
+     space and Pochven. The class is set on the system, its constellation
+     or its region (mapLocationWormholeClasses) - the most specific one wins
+   - system-info.json: the effect is the type of the system's secondary
+     sun (Pulsar, Wolf-Rayet Star...), which only wormhole systems have
+
+   ============================================================================ */
+
+const fs = require('fs');
+const path = require('path');
+
+const SYSTEMS_FILE = path.join(__dirname, '..', 'systems.json');
+const SYSTEM_INFO_FILE = path.join(__dirname, '..', 'system-info.json');
+
+// Ids from here up are instanced space (Abyssal deadspace, void systems...)
+const FIRST_INSTANCED_SYSTEM_ID = 32000000;
+
+// invGroups id of secondary suns - the celestial that gives a wormhole its effect
+const SECONDARY_SUN_GROUP_ID = '995';
+
+// mapLocationWormholeClasses ids of the classes the scraper tells apart.
+// The others (7-9: high, low and null security) come from the security rating.
+const WORMHOLE_CLASS_NAMES = {
+  1: 'C1', 2: 'C2', 3: 'C3', 4: 'C4', 5: 'C5', 6: 'C6',
+  12: 'Thera',
+  13: 'C13',
+  14: 'C14', 15: 'C15', 16: 'C16', 17: 'C17', 18: 'C18',
+  25: 'Pochven'
+};
+
+/**
+ * Splits one CSV line, honouring double-quoted fields
+ *
+ * @param {string} line - A line of the CSV file
+ * @returns {string[]} - Field values
+ */
+function parseCsvLine(line) {
+  const fields = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (quoted) {
+      if (char === '"' && line[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      fields.push(field);
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  fields.push(field);
+  return fields;
+}
+
+/**
+ * Reads a CSV file into one object per row, keyed by the header names
+ *
+ * @param {string} file - Path of the CSV file
+ * @returns {Object[]} - Rows
+ */
+function readCsv(file) {
+  const lines = fs.readFileSync(file, 'utf8').split(/\r?\n/).filter(line => line.trim());
+  const header = parseCsvLine(lines[0]);
+  return lines.slice(1).map(line => {
+    const fields = parseCsvLine(line);
+    const row = {};
+    header.forEach((column, index) => {
+      row[column] = (fields[index] || '').trim();
+    });
+    return row;
+  });
+}
+
+/**
+ * @param {Object[]} solarSystems - mapSolarSystems rows
+ * @returns {Object[]} - The rows for real (not instanced) systems
+ */
+function readSystems(solarSystems) {
+  if (solarSystems.length === 0 || !('solarSystemID' in solarSystems[0]) ||
+      !('solarSystemName' in solarSystems[0])) {
+    throw new Error('Expected solarSystemID and solarSystemName columns');
+  }
+  return solarSystems.filter(row =>
+    row.solarSystemName && Number(row.solarSystemID) < FIRST_INSTANCED_SYSTEM_ID);
+}
+
+/**
+ * Builds the name -> {region, class} table for wormhole space and Pochven
+ *
+ * @param {Object[]} systems - From readSystems()
+ * @param {Object[]} regions - mapRegions rows
+ * @param {Object[]} wormholeClasses - mapLocationWormholeClasses rows
+ * @returns {Object} - {"J123456": {region: "D-R00016", class: "C4"}, ...}
+ */
+function buildSystemTable(systems, regions, wormholeClasses) {
+  const regionNames = new Map(regions.map(row => [row.regionID, row.regionName]));
+  const classIds = new Map(wormholeClasses.map(row => [row.locationID, Number(row.wormholeClassID)]));
+
+  const table = {};
+  for (const system of systems.slice().sort((a, b) => a.solarSystemName.localeCompare(b.solarSystemName))) {
+    const classId = classIds.get(system.solarSystemID) ??
+      classIds.get(system.constellationID) ??
+      classIds.get(system.regionID);
+    if (WORMHOLE_CLASS_NAMES[classId]) {
+      table[system.solarSystemName] = {
+        region: regionNames.get(system.regionID) || null,
+        class: WORMHOLE_CLASS_NAMES[classId]
+      };
+    }
+  }
+  return table;
+}
+
+/**
+ * Builds system-info.json's constellation and system tables
+ *
+ * @param {Object[]} systems - From readSystems()
+ * @param {Object} sde - CSV rows: {constellations, regions, denormalize, types}
+ * @returns {Object} - {constellations, systems}
+ */
+function buildSystemInfo(systems, sde) {
+  const regionNames = new Map(sde.regions.map(row => [row.regionID, row.regionName]));
+  const constellationNames = new Map(sde.constellations.map(row => [row.constellationID, row.constellationName]));
+  const typeNames = new Map(sde.types.map(row => [row.typeID, row.typeName]));
+  const effects = new Map(sde.denormalize
+    .filter(row => row.groupID === SECONDARY_SUN_GROUP_ID)
+    .map(row => [row.solarSystemID, typeNames.get(row.typeID) || null]));
+
+  const usedConstellations = new Set(systems.map(system => system.constellationID));
+  const constellations = {};
+  for (const row of sde.constellations.slice().sort((a, b) => a.constellationName.localeCompare(b.constellationName))) {
+    if (usedConstellations.has(row.constellationID)) {
+      constellations[row.constellationName] = regionNames.get(row.regionID) || null;
+    }
+  }
+
+  const table = {};
+  for (const system of systems.slice().sort((a, b) => a.solarSystemName.localeCompare(b.solarSystemName))) {
+    const name = system.solarSystemName;
+    const effect = effects.get(system.solarSystemID) || null;
+    const entry = [constellationNames.get(system.constellationID) || null];
+    if (effect) {
+      entry.push(effect);
+    }
+    table[name] = entry;
+  }
+  return { constellations: constellations, systems: table };
+}
+
+/**
+ * Writes system-info.json with one system per line, to keep it compact
+ *
+ * @param {Object} info - {version, source, constellations, systems}
+ */
+function writeSystemInfo(info) {
+  const lines = Object.keys(info.systems)
+    .map(name => `    ${JSON.stringify(name)}: ${JSON.stringify(info.systems[name])}`);
+  const json = JSON.stringify({
+    version: info.version,
+    source: info.source,
+    constellations: info.constellations,
+    systems: '@SYSTEMS@'
+  }, null, 2).replace('"@SYSTEMS@"', `{\n${lines.join(',\n')}\n  }`);
+  fs.writeFileSync(SYSTEM_INFO_FILE, json + '\n');
+}
+
+function main() {
+  const [sdeFolder] = process.argv.slice(2);
+  if (!sdeFolder) {
+    console.error('Usage: node tools/build-systems.js <sde-folder>');
+    process.exit(1);
+  }
+  const sdeTable = name => readCsv(path.join(sdeFolder, `${name}.csv`));
+
+  const systems = readSystems(sdeTable('mapSolarSystems'));
+  const regions = sdeTable('mapRegions');
+
+  // systems.json
+  const currentSystems = JSON.parse(fs.readFileSync(SYSTEMS_FILE, 'utf8'));
+  const patterns = currentSystems.patterns.map(pattern => new RegExp(pattern));
+  const names = Array.from(new Set(systems.map(row => row.solarSystemName)))
+    .filter(name => !patterns.some(pattern => pattern.test(name)))
+    .sort((a, b) => a.localeCompare(b));
+  const classTable = buildSystemTable(systems, regions, sdeTable('mapLocationWormholeClasses'));
+
+  fs.writeFileSync(SYSTEMS_FILE, JSON.stringify({
+    version: currentSystems.version,
+    source: 'EVE Online static data export (mapSolarSystems, mapRegions, mapLocationWormholeClasses) ' +
+      '- regenerate with tools/build-systems.js',
+    patterns: currentSystems.patterns,
+    names: names,
+    systems: classTable
+  }, null, 2) + '\n');
+  console.log(`Wrote ${names.length} names and ${Object.keys(classTable).length} classified systems to ${SYSTEMS_FILE}`);
+
+  // system-info.json
+  const currentInfo = JSON.parse(fs.readFileSync(SYSTEM_INFO_FILE, 'utf8'));
+  const info = buildSystemInfo(systems, {
+    constellations: sdeTable('mapConstellations'),
+    regions: regions,
+    denormalize: sdeTable('mapDenormalize'),
+    types: sdeTable('invTypes')
+  });
+
+  writeSystemInfo({
+    version: currentInfo.version,
+    source: 'EVE Online static data export (mapSolarSystems, mapConstellations, mapRegions, mapDenormalize, ' +
+      'invTypes) - regenerate with tools/build-systems.js',
+    constellations: info.constellations,
+    systems: info.systems
+  });
+  console.log(`Wrote ${Object.keys(info.systems).length} systems to ${SYSTEM_INFO_FILE}`);
+}
+
+main();
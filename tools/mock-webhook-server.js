@@ -0,0 +1,221 @@
+/* ============================================================================
+   GRAB-AND-GO - Mock Webhook Server (development only)
+   ============================================================================
+
+   PURPOSE:
+   A local stand-in for the webhooks the extension posts to (see
+   targets.js). It records every payload the extension sends so the output
+   can be checked without spamming a real channel. Not part of the
+   extension - it runs with plain Node.
+
+   USAGE:
+   node tools/mock-webhook-server.js [port]      (default port: 8787)
+
+   Then use one of these as the URL of a webhook profile in the popup:
+   http://localhost:8787/api/webhooks/123/mock-token   (type: Discord)
+   http://localhost:8787/hooks/mock-token              (type: Slack / Mattermost)
+   http://localhost:8787/json/mock-token               (type: JSON webhook)
+
+   ENDPOINTS:
+   GET  /api/webhooks/...   Answers with the webhook, like Discord (used by
+                            the popup's "Test" button)
+   POST /api/webhooks/...   Records the JSON body, answers 204 like Discord
+                            (or 200 with the message when ?wait=true)
+   PATCH/DELETE /api/webhooks/.../messages/<id>
+                            Edits/deletes a posted message (404 if unknown)
+   POST /hooks/...          Slack-compatible: answers "ok", or 400 "no_text"
+                            when there is neither text nor attachments
+   POST /json/...           Generic JSON webhook: answers {"ok": true}
+   GET  /payloads           Returns every recorded request as JSON
+   DELETE /payloads         Clears the recorded requests
+   POST /responses          Queues canned responses for the next webhook
+                            calls, e.g. [{"status": 429, "retryAfter": 2},
+                            {"status": 500}] - used to exercise the outbox
+
+   Recorded requests include their headers, to check custom headers.
+
+   ============================================================================ */
+
+const http = require('http');
+
+/**
+ * Creates the mock server without starting it
+ *
+ * @param {Object} options - {quiet: true} to not print each request (the
+ *                           tests read `requests` instead)
+ * @returns {Object} - {server, requests, cannedResponses} - live lists of recorded
+ *                     calls and of responses queued for the next calls
+ */
+function createMockWebhookServer(options = {}) {
+  const requests = [];
+  const cannedResponses = [];
+  const messages = new Map();  // Posted messages by id, for PATCH/DELETE
+  let nextMessageId = 1000;
+
+  /**
+   * Answers a webhook call the way Discord does
+   */
+  function respondLikeDiscord(method, url, payload, res) {
+    const messageMatch = url.pathname.match(/\/messages\/([^/]+)$/);
+
+    // PATCH / DELETE /api/webhooks/<id>/<token>/messages/<message_id>
+    if (messageMatch) {
+      const message = messages.get(messageMatch[1]);
+      if (!message) {
+        res.writeHead(404, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Unknown Message', code: 10008 }));
+        return;
+      }
+      if (method === 'DELETE') {
+        messages.delete(message.id);
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      Object.assign(message, payload, { edited_timestamp: new Date().toISOString() });
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(message));
+      return;
+    }
+
+    // GET /api/webhooks/<id>/<token>
+    if (method === 'GET') {
+      const [, , , id, token] = url.pathname.split('/');
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ id: id, type: 1, name: 'Mock webhook', channel_id: '1', guild_id: '1', token: token }));
+      return;
+    }
+
+    // POST /api/webhooks/<id>/<token>
+    const message = Object.assign({ id: String(nextMessageId++), channel_id: '1' }, payload);
+    messages.set(message.id, message);
+
+    // Discord answers 204 No Content unless ?wait=true asks for the message
+    if (url.searchParams.get('wait') === 'true') {
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(message));
+      return;
+    }
+    res.writeHead(204);
+    res.end();
+  }
+
+  /**
+   * Answers an incoming webhook call the way Slack does (Mattermost is
+   * similar, with an empty body)
+   */
+  function respondLikeSlack(payload, res) {
+    const hasContent = payload && (payload.text || (payload.attachments && payload.attachments.length > 0));
+    res.writeHead(hasContent ? 200 : 400, { 'Content-Type': 'text/plain' });
+    res.end(hasContent ? 'ok' : 'no_text');
+  }
+
+  const server = http.createServer((req, res) => {
+    // The popup calls from a chrome-extension:// origin
+    res.setHeader('Access-Control-Allow-Origin', '*');
+    res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PATCH, DELETE, OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204);
+      res.end();
+      return;
+    }
+
+    const url = new URL(req.url, 'http://localhost');
+
+    if (url.pathname === '/payloads') {
+      if (req.method === 'DELETE') {
+        requests.length = 0;
+        res.writeHead(204);
+        res.end();
+        return;
+      }
+      res.writeHead(200, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(requests, null, 2));
+      return;
+    }
+
+    if (url.pathname === '/responses' && req.method === 'POST') {
+      let body = '';
+      req.on('data', chunk => {
+        body += chunk;
+      });
+      req.on('end', () => {
+        cannedResponses.push(...JSON.parse(body || '[]'));
+        res.writeHead(204);
+        res.end();
+      });
+      return;
+    }
+
+    const isWebhook = ['/api/webhooks/', '/hooks/', '/json/'].some(prefix => url.pathname.startsWith(prefix));
+    if (!isWebhook || (req.method !== 'POST' && !url.pathname.startsWith('/api/webhooks/'))) {
+      res.writeHead(404, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify({ message: 'Unknown Webhook', code: 10015 }));
+      return;
+    }
+
+    let body = '';
+    req.on('data', chunk => {
+      body += chunk;
+    });
+    req.on('end', () => {
+      let payload = null;
+      try {
+        payload = body ? JSON.parse(body) : null;
+      } catch (error) {
+        res.writeHead(400, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ message: 'Cannot send an empty message', code: 50006 }));
+        return;
+      }
+
+      const entry = {
+        method: req.method,
+        path: url.pathname,
+        query: Object.fromEntries(url.searchParams),
+        payload: payload,
+        headers: req.headers,
+        receivedAt: new Date().toISOString()
+      };
+      requests.push(entry);
+      if (!options.quiet) {
+        console.log(`${entry.method} ${entry.path}`, JSON.stringify(payload, null, 2));
+      }
+
+      // Canned failure queued through POST /responses
+      const canned = cannedResponses.shift();
+      if (canned) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (canned.retryAfter !== undefined) {
+          headers['Retry-After'] = String(canned.retryAfter);
+        }
+        res.writeHead(canned.status, headers);
+        res.end(JSON.stringify({ message: `Mock response ${canned.status}`, retry_after: canned.retryAfter }));
+        return;
+      }
+
+      if (url.pathname.startsWith('/hooks/')) {
+        respondLikeSlack(payload, res);
+      } else if (url.pathname.startsWith('/json/')) {
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({ ok: true }));
+      } else {
+        respondLikeDiscord(req.method, url, payload, res);
+      }
+    });
+  });
+
+  return { server, requests, cannedResponses };
+}
+
+module.exports = { createMockWebhookServer };
+
+// Run standalone: node tools/mock-webhook-server.js [port]
+if (require.main === module) {
+  const port = Number(process.argv[2]) || 8787;
+  const { server } = createMockWebhookServer();
+  server.listen(port, () => {
+    console.log(`Mock webhook listening on http://localhost:${port}/api/webhooks/123/mock-token`);
+  });
+}
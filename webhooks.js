@@ -0,0 +1,251 @@
+/* ============================================================================
+   GRAB-AND-GO - Webhook Profiles
+   ============================================================================
+
+   PURPOSE:
+   Scouts post to several channels (intel, logistics, fleet...). Instead of
+   one webhook URL, the extension keeps named webhook profiles.
+
+   PROFILE SHAPE:
+   {
+     id: "profile-1700000000000",
+     type: "discord",              // Output target - discord, slack or json (targets.js);
+                                   //   profiles from older versions have none (discord)
+     name: "Intel",
+     url: "https://discord.com/api/webhooks/<id>/<token>",
+     username: "Scout Bot",        // Optional - overrides the webhook's name
+     avatar_url: "https://...",    // Optional - overrides the webhook's avatar
+     thread_id: "123456789",       // Optional, Discord - posts into a forum/thread
+     headers: {"X-Api-Key": "..."} // Optional, JSON webhooks - sent with every post
+   }
+
+   STORAGE:
+   Profiles are settings (see settings.js). They stay in chrome.storage.local
+   - URLs are secrets - unless the user turns on "Sync webhook profiles":
+   - webhookProfiles:         Array of profiles
+   - selectedWebhookProfile:  Profile id, or MULTIPLE_PROFILES
+   - multiWebhookProfiles:    Profile ids used when sending to several at once
+   URL CHECKS:
+   validateWebhookUrl() checks a Discord URL's shape before a profile is
+   saved or tested, so a typo shows up in the editor rather than as a failed
+   report (other targets check their URLs in targets.js). maskWebhookUrl()
+   hides the token (the secret part) for display.
+
+   Always in chrome.storage.local:
+   - lastPosts:               { profileId: {messageId, label, sentAt, editedAt} }
+                              - the last message per profile, written by
+                              background.js (editedAt only once it was edited)
+
+   ============================================================================ */
+
+// Dropdown value meaning "send to several profiles at once"
+const MULTIPLE_PROFILES = '__multiple__';
+
+// Hosts Discord serves webhooks from
+const DISCORD_WEBHOOK_HOSTS = ['discord.com', 'discordapp.com', 'canary.discord.com', 'ptb.discord.com'];
+
+// Local hosts, for tools/mock-webhook-server.js (http allowed)
+const LOCAL_WEBHOOK_HOSTS = ['localhost', '127.0.0.1'];
+
+// /api/webhooks/<id>/<token>, optionally with an API version (/api/v10/...)
+const WEBHOOK_PATH_PATTERN = /^\/api(?:\/v\d+)?\/webhooks\/([^/]+)\/([^/]+)\/?$/;
+
+// ============================================================================
+// STORAGE
+// ============================================================================
+
+/**
+ * Loads webhook profiles and the current selection
+ *
+ * (A webhook URL saved by older versions is turned into a profile named
+ * "Default" by the first settings migration - see settings.js.)
+ *
+ * @returns {Promise<Object>} - {profiles, selectedId, multiIds}
+ */
+function loadWebhookProfiles() {
+  return loadSettings().then(settings => {
+    const profiles = settings.webhookProfiles;
+    return {
+      profiles: profiles,
+      selectedId: settings.selectedWebhookProfile || (profiles[0] ? profiles[0].id : null),
+      multiIds: settings.multiWebhookProfiles
+    };
+  });
+}
+
+/**
+ * @param {Array} profiles - All webhook profiles
+ * @returns {Promise} - Resolves when saved
+ */
+function saveWebhookProfiles(profiles) {
+  return saveSettings({ webhookProfiles: profiles });
+}
+
+/**
+ * @param {string} selectedId - Profile id or MULTIPLE_PROFILES
+ * @param {string[]} multiIds - Profile ids for multi-send
+ * @returns {Promise} - Resolves when saved
+ */
+function saveWebhookSelection(selectedId, multiIds) {
+  return saveSettings({
+    selectedWebhookProfile: selectedId,
+    multiWebhookProfiles: multiIds
+  });
+}
+
+// ============================================================================
+// URL CHECKS
+// ============================================================================
+
+/**
+ * Checks that a URL looks like a Discord webhook URL
+ *
+ * @param {string} url - URL as typed
+ * @returns {string[]} - Problems found (empty if the URL looks right)
+ */
+function validateWebhookUrl(url) {
+  let parsed;
+  try {
+    parsed = new URL(url.trim());
+  } catch (error) {
+    return ['Not a URL - copy it from Discord: Edit Channel → Integrations → Webhooks → Copy Webhook URL'];
+  }
+
+  const problems = [];
+  const isLocal = LOCAL_WEBHOOK_HOSTS.includes(parsed.hostname);
+  if (!DISCORD_WEBHOOK_HOSTS.includes(parsed.hostname) && !isLocal) {
+    problems.push(`The host must be ${DISCORD_WEBHOOK_HOSTS.join(', ')} (got ${parsed.hostname})`);
+  }
+  if (parsed.protocol !== 'https:' && !(isLocal && parsed.protocol === 'http:')) {
+    problems.push(`Discord webhook URLs start with https:// (got ${parsed.protocol}//)`);
+  }
+
+  const path = parsed.pathname.match(WEBHOOK_PATH_PATTERN);
+  if (!path) {
+    problems.push('The path must be /api/webhooks/<id>/<token>');
+  } else {
+    if (!/^\d+$/.test(path[1])) {
+      problems.push(`The webhook id must be a number (got ${path[1]})`);
+    }
+    if (!/^[\w-]+$/.test(path[2])) {
+      problems.push('The webhook token may only contain letters, digits, - and _');
+    }
+  }
+  return problems;
+}
+
+/**
+ * Hides the token part of a webhook URL for display
+ *
+ * Discord's token follows /webhooks/<id>/; Slack and Mattermost URLs end
+ * with theirs, so elsewhere the last path segment is masked.
+ *
+ * @param {string} url - Webhook URL
+ * @returns {string} - e.g. "https://discord.com/api/webhooks/1234/abcd••••••"
+ */
+function maskWebhookUrl(url) {
+  const trimmed = url.trim();
+  if (/\/webhooks\/[^/]+\/[^/?#]/.test(trimmed)) {
+    return trimmed.replace(/(\/webhooks\/[^/]+\/)([^/?#]{0,4})[^/?#]*/, '$1$2••••••');
+  }
+  return trimmed.replace(/(\/)([^/?#]{0,4})[^/?#]+(?=[?#]|$)/, '$1$2••••••');
+}
+
+/**
+ * Creates a profile object, dropping empty optional fields
+ *
+ * @param {Object} fields - {id?, type?, name, url, username?, avatar_url?, thread_id?, headers?}
+ * @returns {Object} - Webhook profile
+ */
+function createWebhookProfile(fields) {
+  const profile = {
+    id: fields.id || `profile-${Date.now()}`,
+    type: fields.type || 'discord',
+    name: fields.name,
+    url: fields.url
+  };
+
+  for (const key of ['username', 'avatar_url', 'thread_id']) {
+    if (fields[key] && fields[key].trim() !== '') {
+      profile[key] = fields[key].trim();
+    }
+  }
+  if (fields.headers && Object.keys(fields.headers).length > 0) {
+    profile.headers = Object.assign({}, fields.headers);
+  }
+  return profile;
+}
+
+/**
+ * Resolves which profiles a send should go to
+ *
+ * @param {Object} state - {profiles, selectedId, multiIds} from loadWebhookProfiles()
+ * @returns {Array} - Target profiles (empty if none are configured)
+ */
+function getTargetProfiles(state) {
+  if (state.selectedId === MULTIPLE_PROFILES) {
+    return state.profiles.filter(p => state.multiIds.includes(p.id));
+  }
+  const profile = state.profiles.find(p => p.id === state.selectedId);
+  return profile ? [profile] : [];
+}
+
+// ============================================================================
+// PROFILE OVERRIDES
+// ============================================================================
+
+/**
+ * Builds the URL for a webhook request, adding the profile's thread_id
+ *
+ * @param {Object} profile - Webhook profile
+ * @param {Object} options - {wait: boolean, messageId: string}
+ *                           wait: ask Discord to return the created message
+ *                           messageId: target an existing message (edit/delete)
+ * @returns {string} - URL to send the request to
+ */
+function buildWebhookUrl(profile, options = {}) {
+  const url = new URL(profile.url);
+  if (options.messageId) {
+    url.pathname = `${url.pathname.replace(/\/$/, '')}/messages/${options.messageId}`;
+  }
+  if (options.wait) {
+    url.searchParams.set('wait', 'true');
+  }
+  if (profile.thread_id) {
+    url.searchParams.set('thread_id', profile.thread_id);
+  }
+  return url.toString();
+}
+
+/**
+ * Adds the profile's username/avatar overrides to a payload
+ *
+ * @param {Object} payload - JSON body from buildDiscordPayload()
+ * @param {Object} profile - Webhook profile
+ * @returns {Object} - New payload with the overrides applied
+ */
+function applyProfileOverrides(payload, profile) {
+  const result = Object.assign({}, payload);
+  if (profile.username) {
+    result.username = profile.username;
+  }
+  if (profile.avatar_url) {
+    result.avatar_url = profile.avatar_url;
+  }
+  return result;
+}
+
+// ============================================================================
+// LAST POSTS
+// The id of the last message each profile posted, so it can be edited/deleted
+// ============================================================================
+
+// chrome.storage.local key holding the last post per profile
+const LAST_POSTS_KEY = 'lastPosts';
+
+/**
+ * @returns {Promise<Object>} - { profileId: {messageId, label, sentAt, editedAt} }
+ */
+function loadLastPosts() {
+  return chrome.storage.local.get(LAST_POSTS_KEY).then(stored => stored[LAST_POSTS_KEY] || {});
+}